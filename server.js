@@ -8,23 +8,668 @@
 
 const express = require("express");
 const http = require("http");
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
 const { Server } = require("socket.io");
+const { ClusterAdapterWithHeartbeat } = require("socket.io-adapter");
 
 const app = express();
 const server = http.createServer(app);
 
 // ========== CONFIGURATION ==========
 
-const IS_DEV = true;
-const STALE_DRIVER_TIMEOUT = 5 * 60 * 1000;
-const DISCONNECT_GRACE_PERIOD = 30 * 1000;
+/**
+ * Settings loaded at startup from (lowest to highest precedence) the defaults below, the JSON
+ * config file (CONFIG_FILE, default ./config.json when present) and environment variables of
+ * the same name. "reloadable" settings are re-applied on SIGHUP or POST /api/v1/admin/config/reload
+ * without dropping connections; the others need a restart.
+ */
+const CONFIG_FILE_PATH = process.env.CONFIG_FILE || path.join(__dirname, "config.json");
+const CONFIG_SCHEMA = {
+  PORT: { type: "integer", default: 3000, min: 1, max: 65535 },
+  HOST: { type: "string", default: "0.0.0.0" },
+  IS_DEV: { type: "boolean", default: process.env.NODE_ENV !== "production" },
+  LOG_LEVEL: { type: "enum", values: ["debug", "info", "warn", "error"], default: (config) => (config.IS_DEV ? "debug" : "info"), reloadable: true },
+  // "json" (one object per line, for log shippers) or "pretty" (the emoji messages only)
+  LOG_FORMAT: { type: "enum", values: ["json", "pretty"], default: (config) => (config.IS_DEV ? "pretty" : "json"), reloadable: true },
+  // Coordinate redaction: "users" (logs written on behalf of non-driver sockets), "all" or "none"
+  LOG_REDACT_COORDINATES: { type: "enum", values: ["users", "all", "none"], default: "users", reloadable: true },
+  STALE_DRIVER_TIMEOUT: { type: "integer", default: 5 * 60 * 1000, min: 1000, reloadable: true },
+  DISCONNECT_GRACE_PERIOD: { type: "integer", default: 30 * 1000, min: 0, reloadable: true },
+  LOCATION_UPDATE_INTERVAL: { type: "integer", default: 15000, min: 1000, reloadable: true },
+  MAX_LOCATION_UPDATES_PER_MINUTE: { type: "integer", default: 10, min: 1, reloadable: true },
+  // Buses per organization in driversSnapshot (0 = unlimited)
+  MAX_SNAPSHOT_DRIVERS: { type: "integer", default: 50, min: 0, reloadable: true },
+  STALE_USER_TIMEOUT: { type: "integer", default: 5 * 60 * 1000, min: 1000, reloadable: true },
+  SESSION_TTL: { type: "integer", default: 10 * 60 * 1000, min: 0, reloadable: true },
+  MAX_BOARDING_PASSENGERS: { type: "integer", default: 10, min: 1, reloadable: true },
+  // How long a ping stays active before "pingExpired" (0 = never)
+  PING_TTL: { type: "integer", default: 15 * 60 * 1000, min: 0, reloadable: true },
+  // Meters a rider may move away from the pinged spot before the ping expires (0 = unlimited)
+  PING_MAX_DISTANCE: { type: "integer", default: 500, min: 0, reloadable: true },
+  // Pings a rider may hold across drivers: "unlimited", "replace" (a new ping replaces the active one)
+  // or "reject" (a second ping is refused until the first is gone)
+  PING_LIMIT_POLICY: { type: "enum", values: ["unlimited", "replace", "reject"], default: "unlimited", reloadable: true },
+  // Pings that don't fit the remaining seats: "waitlist" (ordered boarding waitlist), "reject" ("bus full")
+  // or "ignore" (accepted regardless of capacity)
+  PING_CAPACITY_POLICY: { type: "enum", values: ["waitlist", "reject", "ignore"], default: "waitlist", reloadable: true },
+  // What riders see of other riders waiting for a bus: "exact" (user IDs and positions), "anonymized"
+  // (per-bus pseudonymous IDs, positions snapped to a grid) or "count" (only the waiting count)
+  WAITING_PASSENGER_PRIVACY: { type: "enum", values: ["exact", "anonymized", "count"], default: "anonymized", reloadable: true },
+  // Keys the anonymized waiting-user IDs. Required with CLUSTER_BROKER_URL so every instance derives
+  // the same IDs; a single instance without it generates one and keeps it in the state store
+  WAITING_USER_ID_SECRET: { type: "string", default: null, secret: true },
+  // Cluster liveness: instances that haven't sent a heartbeat for CLUSTER_INSTANCE_TIMEOUT are considered down
+  CLUSTER_HEARTBEAT_INTERVAL: { type: "integer", default: 5000, min: 100 },
+  CLUSTER_INSTANCE_TIMEOUT: { type: "integer", default: 15000, min: 500 },
+  // Changing the ping settings of live connections would make clients time out, so they need a restart
+  SOCKET_PING_TIMEOUT: { type: "integer", default: 60000, min: 1000 },
+  SOCKET_PING_INTERVAL: { type: "integer", default: 25000, min: 1000 },
+};
+
+function readConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+  const values = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    throw new Error("must contain a JSON object");
+  }
+  return values;
+}
+
+/**
+ * Parse and validate one setting (environment variables arrive as strings).
+ * @returns {{ value } | { error }}
+ */
+function parseConfigValue(spec, raw) {
+  switch (spec.type) {
+    case "integer":
+    case "number": {
+      const value = typeof raw === "string" && raw.trim() !== "" ? Number(raw) : raw;
+      if (typeof value !== "number" || !isFinite(value)) return { error: "must be a number" };
+      if (spec.type === "integer" && !Number.isInteger(value)) return { error: "must be an integer" };
+      if (spec.min !== undefined && value < spec.min) return { error: `must be >= ${spec.min}` };
+      if (spec.max !== undefined && value > spec.max) return { error: `must be <= ${spec.max}` };
+      return { value };
+    }
+    case "boolean":
+      if (typeof raw === "boolean") return { value: raw };
+      if (["true", "1"].includes(String(raw).toLowerCase())) return { value: true };
+      if (["false", "0"].includes(String(raw).toLowerCase())) return { value: false };
+      return { error: "must be true or false" };
+    case "enum":
+      if (!spec.values.includes(raw)) return { error: `must be one of: ${spec.values.join(", ")}` };
+      return { value: raw };
+    default:
+      if (typeof raw !== "string" || raw.trim() === "") return { error: "must be a non-empty string" };
+      return { value: raw };
+  }
+}
+
+/**
+ * Load every setting from the defaults, config file and environment.
+ * @returns {{ values: object, errors: string[] }}
+ */
+function loadConfig() {
+  const values = {};
+  const errors = [];
+
+  let fileValues = {};
+  try {
+    fileValues = readConfigFile(CONFIG_FILE_PATH);
+  } catch (error) {
+    errors.push(`${CONFIG_FILE_PATH}: ${error.message}`);
+  }
+  for (const key of Object.keys(fileValues)) {
+    if (!CONFIG_SCHEMA[key]) errors.push(`${key} (file): unknown setting`);
+  }
+
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    let raw;
+    let source;
+    if (process.env[key] !== undefined && process.env[key] !== "") {
+      raw = process.env[key];
+      source = "env";
+    } else if (key in fileValues) {
+      raw = fileValues[key];
+      source = "file";
+    } else {
+      values[key] = typeof spec.default === "function" ? spec.default(values) : spec.default;
+      continue;
+    }
+    const result = parseConfigValue(spec, raw);
+    if (result.error) {
+      errors.push(`${key} (${source}): ${result.error}`);
+    } else {
+      values[key] = result.value;
+    }
+  }
+  if (process.env.CLUSTER_BROKER_URL && !values.WAITING_USER_ID_SECRET) {
+    errors.push("WAITING_USER_ID_SECRET: required when CLUSTER_BROKER_URL is set");
+  }
+  return { values, errors };
+}
+
+const startupConfig = loadConfig();
+if (startupConfig.errors.length > 0) {
+  console.error(`❌ Invalid configuration:\n  ${startupConfig.errors.join("\n  ")}`);
+  process.exit(1);
+}
+const config = startupConfig.values;
+
+const PORT = config.PORT;
+const HOST = config.HOST;
+const IS_DEV = config.IS_DEV;
+// Reloadable settings are `let` so reloadConfig() can update them in place
+let LOG_FORMAT = config.LOG_FORMAT;
+let LOG_REDACT_COORDINATES = config.LOG_REDACT_COORDINATES;
+let STALE_DRIVER_TIMEOUT = config.STALE_DRIVER_TIMEOUT;
+let DISCONNECT_GRACE_PERIOD = config.DISCONNECT_GRACE_PERIOD;
 const MAX_RECONNECT_ATTEMPTS = 3;
-const LOCATION_CHANGE_THRESHOLD = 0.0001;
-const LOCATION_UPDATE_INTERVAL = 15000;
-const MAX_LOCATION_UPDATES_PER_MINUTE = 10;
+const LOCATION_CHANGE_THRESHOLD = 10; // meters
+let LOCATION_UPDATE_INTERVAL = config.LOCATION_UPDATE_INTERVAL;
+let MAX_LOCATION_UPDATES_PER_MINUTE = config.MAX_LOCATION_UPDATES_PER_MINUTE;
 const CLEANUP_INTERVAL = 60000;
-const MAX_SNAPSHOT_DRIVERS = 50;
-const STALE_USER_TIMEOUT = 5 * 60 * 1000;
+let MAX_SNAPSHOT_DRIVERS = config.MAX_SNAPSHOT_DRIVERS;
+let STALE_USER_TIMEOUT = config.STALE_USER_TIMEOUT;
+let SESSION_TTL = config.SESSION_TTL; // How long a session survives after its socket disconnects
+let MAX_BOARDING_PASSENGERS = config.MAX_BOARDING_PASSENGERS; // Maximum group size of a single ping
+let PING_TTL = config.PING_TTL;
+let PING_MAX_DISTANCE = config.PING_MAX_DISTANCE;
+let PING_LIMIT_POLICY = config.PING_LIMIT_POLICY;
+let PING_CAPACITY_POLICY = config.PING_CAPACITY_POLICY;
+let WAITING_PASSENGER_PRIVACY = config.WAITING_PASSENGER_PRIVACY;
+const WAITING_PASSENGER_GRID_SIZE = 0.002; // degrees (~220 m) that anonymized waiting positions snap to
+// Set once at startup: configured, restored from the state store or generated (see CONFIG_SCHEMA)
+let WAITING_USER_ID_SECRET = config.WAITING_USER_ID_SECRET;
+const PING_SWEEP_INTERVAL = 10000;
+const GRID_CELL_SIZE = 0.05; // Spatial index cell size in degrees (~5.5 km)
+const MAX_VIEWPORT_CELLS = 400; // Larger viewports fall back to receiving every bus
+const EARTH_RADIUS_METERS = 6371000;
+const DEFAULT_NEARBY_RADIUS = 2000; // meters
+const MAX_NEARBY_RADIUS = 50000; // meters
+const DEFAULT_NEARBY_LIMIT = 20;
+const MAX_NEARBY_LIMIT = 100;
+const ETA_SPEED_WINDOW = 2 * 60 * 1000; // Location samples used for the speed estimate
+const ETA_MAX_SAMPLES = 20;
+const DEFAULT_BUS_SPEED = 5.5; // m/s (~20 km/h), used until enough samples exist
+const MIN_ETA_SPEED = 2; // m/s, so a bus stopped at a light doesn't produce an endless ETA
+const MAX_ETA_SPEED = 25; // m/s (~90 km/h), caps GPS jumps
+const MIN_SPEED_SAMPLE_SPAN = 5000; // Samples must span at least this long to measure speed
+const ROUTE_SNAP_DISTANCE = 150; // meters from the route polyline to count as "on the route"
+const DIRECT_DETOUR_FACTOR = 1.3; // Straight-line distance multiplier when the route can't be used
+const STOP_GEOFENCE_RADIUS = 50; // meters, for stops that don't set their own radius
+const DESTINATION_GEOFENCE_RADIUS = 100; // meters around the driver's destination
+const GEOFENCE_EXIT_MARGIN = 20; // meters beyond the radius before a bus counts as departed
+const MAX_TRIP_STOP_VISITS = 1000;
+const MAX_PING_NOTE_LENGTH = 200; // Characters of the note a driver can attach to acceptPing / declinePing
+const MAX_CHAT_MESSAGE_LENGTH = 500;
+const MAX_CHAT_MESSAGES = 200; // Per chat; a rider and driver only chat while a ping is active
+const MAX_CHAT_MESSAGES_PER_MINUTE = 30;
+const ALERT_SWEEP_INTERVAL = 15000; // Starts scheduled alerts and removes ended ones
+const MAX_DRIVER_ALERT_DURATION = 12 * 60 * 60 * 1000; // Alerts posted by drivers end after at most this long
+const MAX_DRIVER_ALERTS = 3; // Alerts a driver may have posted at once
+const MAX_DRIVER_ALERTS_PER_MINUTE = 5;
+const STATE_STORE_BACKEND = process.env.STATE_STORE || "file"; // "file" or "memory"
+const STATE_FILE_PATH =
+  process.env.STATE_FILE || path.join(__dirname, "data", "state.json");
+const STATE_PERSIST_INTERVAL = 5000;
+const TRIP_PERSIST_INTERVAL = 30000;
+const TRIP_RETENTION = 7 * 24 * 60 * 60 * 1000;
+const MAX_TRIP_POINTS = 10000;
+const ORGANIZATIONS_FILE_PATH = process.env.ORGANIZATIONS_FILE || path.join(__dirname, "organizations.json");
+const ROUTES_FILE_PATH = process.env.ROUTES_FILE || path.join(__dirname, "routes.json");
+const PUBLIC_SCOPE = "public"; // Broadcast scope of buses visible to users without organization subscriptions
+const MAX_ORGANIZATION_SUBSCRIPTIONS = 10;
+const API_DEFAULT_PAGE_SIZE = 50;
+const API_MAX_PAGE_SIZE = 200;
+// Set AUTH_REQUIRED=false only for local development with clients that don't send tokens yet
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED !== "false";
+// Comma-separated list so keys can be rotated (first key signs, every key verifies)
+const AUTH_HMAC_SECRETS = (process.env.AUTH_HMAC_SECRETS || "")
+  .split(",")
+  .map((secret) => secret.trim())
+  .filter(Boolean);
+const AUTH_TOKEN_ISSUER = process.env.AUTH_TOKEN_ISSUER || null;
+// Accounts allowed to register as drivers without a role "driver" claim (comma-separated),
+// e.g. Firebase accounts, whose ID tokens carry no role
+const DRIVER_ACCOUNT_IDS = new Set(
+  (process.env.DRIVER_ACCOUNT_IDS || "")
+    .split(",")
+    .map((accountId) => accountId.trim())
+    .filter(Boolean)
+);
+const AUTH_CLOCK_SKEW_SECONDS = 60;
+// Static admin API keys (comma-separated); signed tokens with role "admin" are accepted as well
+const ADMIN_API_KEYS = (process.env.ADMIN_API_KEYS || "")
+  .split(",")
+  .map((key) => key.trim())
+  .filter(Boolean);
+const FIREBASE_PROJECT_ID =
+  process.env.FIREBASE_PROJECT_ID || readFirebaseProjectId();
+const FIREBASE_CERTS_URL =
+  "https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com";
+// Multi-instance mode: every instance connects to the same broker (tcp://host:port).
+// Unset = single instance with the default in-memory adapter.
+const CLUSTER_BROKER_URL = process.env.CLUSTER_BROKER_URL || null;
+// Port for the stand-in broker hosted inside this process (local testing / small deployments)
+const CLUSTER_BROKER_LISTEN = process.env.CLUSTER_BROKER_LISTEN
+  ? Number(process.env.CLUSTER_BROKER_LISTEN)
+  : null;
+const INSTANCE_ID = process.env.INSTANCE_ID || `${require("os").hostname()}-${process.pid}`;
+const CLUSTER_SYNC_DELAY = 50; // Coalesce state changes made by handlers into one sync message
+const CLUSTER_SYNC_INTERVAL = 1000; // Fallback sync for changes made outside handlers (timers)
+const CLUSTER_HEARTBEAT_INTERVAL = config.CLUSTER_HEARTBEAT_INTERVAL;
+const CLUSTER_INSTANCE_TIMEOUT = config.CLUSTER_INSTANCE_TIMEOUT;
+const CLUSTER_RECONNECT_DELAY = 1000;
+const CLUSTER_BROKER_MAX_BUFFER = 16 * 1024 * 1024; // Bytes queued for a subscriber before the stand-in broker drops it
+
+// ========== LOGGING ==========
+/**
+ * Leveled logger. JSON entries carry the context of the socket event being handled
+ * (socketId, accountId, role, event, requestId) via AsyncLocalStorage, so handlers
+ * don't have to pass it along.
+ */
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const COORDINATE_PAIR_PATTERN = /\(\s*-?\d{1,3}\.\d+\s*,\s*-?\d{1,3}\.\d+\s*\)/g;
+const COORDINATE_FIELD_PATTERN = /("?\b\w*(?:lat|lng|Lat|Lng|latitude|longitude)"?\s*[:=]\s*)"?-?\d+(?:\.\d+)?"?/g;
+const COORDINATE_KEY_PATTERN = /(?:lat|lng|latitude|longitude)$/i;
+const logContext = new AsyncLocalStorage();
+
+let currentLogLevel = config.LOG_LEVEL;
+
+function getLogLevel() {
+  return currentLogLevel;
+}
+
+/**
+ * Change the log level at runtime.
+ * @returns {boolean} false when the level is unknown
+ */
+function setLogLevel(level) {
+  if (!LOG_LEVELS[level]) return false;
+  const previous = currentLogLevel;
+  currentLogLevel = level;
+  log(`📝 Log level changed: ${previous} → ${level}`, "warn");
+  return true;
+}
+
+/**
+ * Re-read the config file and environment and apply the reloadable settings.
+ * Invalid configuration is rejected as a whole; changed settings that need a restart are reported.
+ * @returns {{ ok: boolean, errors?: string[], applied?: object, restartRequired?: string[] }}
+ */
+function reloadConfig() {
+  const { values, errors } = loadConfig();
+  if (errors.length > 0) {
+    log(`❌ Configuration reload rejected: ${errors.join("; ")}`, "error");
+    return { ok: false, errors };
+  }
+
+  const applied = {};
+  const restartRequired = [];
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    if (values[key] === config[key]) continue;
+    if (spec.reloadable) {
+      config[key] = values[key];
+      applied[key] = values[key];
+    } else {
+      restartRequired.push(key);
+    }
+  }
+
+  LOG_FORMAT = config.LOG_FORMAT;
+  LOG_REDACT_COORDINATES = config.LOG_REDACT_COORDINATES;
+  STALE_DRIVER_TIMEOUT = config.STALE_DRIVER_TIMEOUT;
+  DISCONNECT_GRACE_PERIOD = config.DISCONNECT_GRACE_PERIOD;
+  LOCATION_UPDATE_INTERVAL = config.LOCATION_UPDATE_INTERVAL;
+  MAX_LOCATION_UPDATES_PER_MINUTE = config.MAX_LOCATION_UPDATES_PER_MINUTE;
+  MAX_SNAPSHOT_DRIVERS = config.MAX_SNAPSHOT_DRIVERS;
+  STALE_USER_TIMEOUT = config.STALE_USER_TIMEOUT;
+  SESSION_TTL = config.SESSION_TTL;
+  MAX_BOARDING_PASSENGERS = config.MAX_BOARDING_PASSENGERS;
+  PING_TTL = config.PING_TTL;
+  PING_MAX_DISTANCE = config.PING_MAX_DISTANCE;
+  PING_LIMIT_POLICY = config.PING_LIMIT_POLICY;
+  PING_CAPACITY_POLICY = config.PING_CAPACITY_POLICY;
+  WAITING_PASSENGER_PRIVACY = config.WAITING_PASSENGER_PRIVACY;
+  // Only a changed LOG_LEVEL overrides a level set through the admin API
+  if ("LOG_LEVEL" in applied) setLogLevel(config.LOG_LEVEL);
+
+  log(
+    `⚙️  Configuration reloaded: ${Object.keys(applied).length > 0 ? JSON.stringify(applied) : "no changes"}${
+      restartRequired.length > 0 ? ` (restart required for: ${restartRequired.join(", ")})` : ""
+    }`,
+    "warn"
+  );
+  return { ok: true, applied, restartRequired };
+}
+
+/**
+ * Run fn with a log context (socket event or HTTP request); every log() inside it, including
+ * after awaits, is tagged with that context.
+ */
+function withLogContext(context, fn) {
+  return logContext.run({ requestId: crypto.randomUUID(), ...context }, fn);
+}
+
+function currentLogFields() {
+  const context = logContext.getStore();
+  if (!context) return {};
+  const { socket, ...fields } = context;
+  if (socket) {
+    fields.socketId = socket.id;
+    fields.accountId = socketToAccountId[socket.id];
+    fields.role = socket.role;
+  }
+  return fields;
+}
+
+function redactCoordinates(text) {
+  return text
+    .replace(COORDINATE_PAIR_PATTERN, "([redacted])")
+    .replace(COORDINATE_FIELD_PATTERN, '$1"[redacted]"');
+}
+
+function redactCoordinateFields(fields) {
+  const redacted = {};
+  for (const [key, value] of Object.entries(fields)) {
+    redacted[key] = COORDINATE_KEY_PATTERN.test(key) && typeof value === "number" ? "[redacted]" : value;
+  }
+  return redacted;
+}
+
+/**
+ * Log a message at the given level. `fields` are added to the JSON entry.
+ * Driver positions are public (they are broadcast); everything else logged outside a
+ * driver socket's context may contain rider locations, so it's redacted in "users" mode.
+ */
+function log(message, level = "info", fields = {}) {
+  if (!LOG_LEVELS[level]) level = "info";
+  if (LOG_LEVELS[level] < LOG_LEVELS[currentLogLevel]) return;
+
+  let entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: String(message),
+    ...currentLogFields(),
+    ...fields,
+  };
+  if (LOG_REDACT_COORDINATES === "all" || (LOG_REDACT_COORDINATES === "users" && entry.role !== "driver")) {
+    entry = redactCoordinateFields({ ...entry, msg: redactCoordinates(entry.msg) });
+  }
+
+  const output = LOG_FORMAT === "json" ? JSON.stringify(entry) : entry.msg;
+  if (level === "error") {
+    console.error(output);
+  } else {
+    console.log(output);
+  }
+}
+
+// ========== CLUSTER BROKER ==========
+/**
+ * Minimal pub/sub broker used to run several instances behind a load balancer.
+ * The wire protocol is newline-delimited JSON: { op: "sub", channel } and { op: "pub", channel, message }.
+ * It has no authentication, so CLUSTER_BROKER_LISTEN must only be reachable from the instances
+ * (localhost or a private network). Any backend exposing publish(channel, message),
+ * subscribe(channel, handler) and onConnect(handler) (e.g. Redis pub/sub) can replace it.
+ */
+function startStandInBroker(port) {
+  const subscriptions = new Map(); // channel -> Set of connections
+  const hub = net.createServer((connection) => {
+    const channels = new Set();
+    let buffer = "";
+    connection.setEncoding("utf8");
+    connection.on("data", (chunk) => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf("\n")) >= 0) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+        let frame;
+        try {
+          frame = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        if (frame.op === "sub") {
+          channels.add(frame.channel);
+          if (!subscriptions.has(frame.channel)) subscriptions.set(frame.channel, new Set());
+          subscriptions.get(frame.channel).add(connection);
+        } else if (frame.op === "pub") {
+          subscriptions.get(frame.channel)?.forEach((subscriber) => {
+            // A subscriber that stopped reading would buffer without bound: drop it, it reconnects and re-syncs
+            if (subscriber.writableLength > CLUSTER_BROKER_MAX_BUFFER) {
+              log(`⚠️ Cluster broker dropped ${subscriber.remoteAddress}:${subscriber.remotePort} (not reading)`, "warn");
+              subscriber.destroy();
+              return;
+            }
+            subscriber.write(`${line}\n`);
+          });
+        }
+      }
+    });
+    connection.on("close", () => {
+      channels.forEach((channel) => subscriptions.get(channel)?.delete(connection));
+    });
+    connection.on("error", (error) => {
+      log(`❌ Cluster broker connection error (${connection.remoteAddress}:${connection.remotePort}): ${error.message}`, "error");
+    });
+  });
+  hub.on("error", (error) => log(`❌ Stand-in cluster broker error: ${error.message}`, "error"));
+  hub.listen(port, () => log(`📡 Stand-in cluster broker listening on port ${port}`));
+  return hub;
+}
+
+/**
+ * Client for the stand-in broker. Reconnects automatically and re-subscribes its channels.
+ * Messages published while disconnected are dropped (state is re-synced on reconnect).
+ */
+function createTcpBrokerClient(url) {
+  const { protocol, hostname, port } = new URL(url);
+  if (protocol !== "tcp:" || !port) {
+    throw new Error(`Unsupported CLUSTER_BROKER_URL "${url}" (expected tcp://host:port)`);
+  }
+  const handlers = new Map(); // channel -> Set of handlers
+  const connectHandlers = [];
+  let connection = null;
+
+  const send = (frame) => {
+    if (connection) connection.write(`${JSON.stringify(frame)}\n`);
+  };
+
+  const connect = () => {
+    const socket = net.createConnection({ host: hostname, port: Number(port) });
+    let buffer = "";
+    socket.setEncoding("utf8");
+    socket.on("connect", () => {
+      connection = socket;
+      handlers.forEach((channelHandlers, channel) => send({ op: "sub", channel }));
+      log(`📡 Connected to cluster broker ${url}`);
+      connectHandlers.forEach((handler) => handler());
+    });
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf("\n")) >= 0) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+        try {
+          const frame = JSON.parse(line);
+          handlers.get(frame.channel)?.forEach((handler) => handler(frame.message));
+        } catch (error) {
+          log(`❌ Error handling cluster message: ${error.message}`, "error");
+        }
+      }
+    });
+    socket.on("error", (error) => {
+      log(`❌ Cluster broker connection error: ${error.message}`, "error");
+    });
+    socket.on("close", () => {
+      if (connection === socket) connection = null;
+      setTimeout(connect, CLUSTER_RECONNECT_DELAY);
+    });
+  };
+  connect();
+
+  return {
+    name: url,
+    publish: (channel, message) => send({ op: "pub", channel, message }),
+    subscribe: (channel, handler) => {
+      if (!handlers.has(channel)) {
+        handlers.set(channel, new Set());
+        send({ op: "sub", channel });
+      }
+      handlers.get(channel).add(handler);
+    },
+    onConnect: (handler) => connectHandlers.push(handler),
+  };
+}
+
+/**
+ * Socket.IO adapter that relays room broadcasts, joins and remote disconnects through the broker,
+ * so io.to(room) / io.to(socketId) reach sockets connected to any instance.
+ */
+class BrokerAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, broker) {
+    super(nsp, { heartbeatInterval: CLUSTER_HEARTBEAT_INTERVAL, heartbeatTimeout: CLUSTER_INSTANCE_TIMEOUT });
+    this.broker = broker;
+    this.channel = `socket.io#${nsp.name}`;
+    broker.subscribe(this.channel, (message) => this.onMessage(message));
+    broker.subscribe(this.responseChannel(this.uid), (response) => this.onResponse(response));
+  }
+
+  responseChannel(uid) {
+    return `socket.io-response#${this.nsp.name}#${uid}`;
+  }
+
+  doPublish(message) {
+    this.broker.publish(this.channel, message);
+    return Promise.resolve("");
+  }
+
+  doPublishResponse(requesterUid, response) {
+    this.broker.publish(this.responseChannel(requesterUid), response);
+    return Promise.resolve();
+  }
+}
+
+const clusterBrokerHub = CLUSTER_BROKER_LISTEN ? startStandInBroker(CLUSTER_BROKER_LISTEN) : null;
+const clusterBroker = CLUSTER_BROKER_URL ? createTcpBrokerClient(CLUSTER_BROKER_URL) : null;
+
+// ========== REPLICATED STATE TRACKING ==========
+/**
+ * With a cluster broker, every instance keeps a full replica of the maps created with
+ * trackReplicatedMap. Each of them is wrapped in a proxy that records, when it is written,
+ * which entry and top-level field changed (also for nested writes such as
+ * driver.waitingPassengers[userId] = ping), so a sync only looks at what was written since the last one.
+ * Fields are last-writer-wins, except those in REPLICATED_COLLECTIONS: they are replicated per item,
+ * so e.g. two riders pinging the same bus, or both sides of a chat, writing through different instances
+ * don't overwrite each other.
+ */
+const WHOLE_VALUE_FIELD = "*"; // Field name used for non-object values (strings, arrays)
+const ENTRY_REPLACED = null; // Dirty marker for entries that were assigned or deleted as a whole
+const REPLICATED_COLLECTIONS = {
+  drivers: {
+    waitingPassengers: { type: "object" }, // Keyed by user accountId
+    pingWaitlist: { type: "array", id: "userAccountId", order: "waitlistedAt" },
+  },
+  chats: {
+    messages: { type: "array", id: "messageId", order: "sentAt" },
+  },
+};
+const replicaMapTargets = {}; // Maps map name -> the map itself (writes to it are not tracked)
+const dirtyReplicaEntries = {}; // Maps map name -> Map(key -> Set of fields written since the last sync)
+const replicaProxies = new WeakMap(); // Maps object -> Map(dirty path -> proxy)
+const replicaProxyTargets = new WeakMap(); // Maps proxy -> object
+
+function markReplicaDirty(mapName, key, field) {
+  const dirty = dirtyReplicaEntries[mapName];
+  if (!dirty.has(key)) dirty.set(key, new Set());
+  dirty.get(key).add(field);
+}
+
+function isTrackableValue(value) {
+  if (value === null || typeof value !== "object") return false;
+  const prototype = Object.getPrototypeOf(value);
+  return Array.isArray(value) || prototype === Object.prototype || prototype === null;
+}
+
+function unwrapReplicaValue(value) {
+  return replicaProxyTargets.get(value) || value;
+}
+
+/**
+ * Proxy for an object stored in a replicated map. Without a field, the object is the entry and
+ * writes mark the field they set; otherwise writes at any depth mark that field.
+ */
+function trackReplicaValue(target, mapName, key, field) {
+  const path = `${mapName}\u0000${key}\u0000${field ?? ""}`;
+  if (!replicaProxies.has(target)) replicaProxies.set(target, new Map());
+  const proxies = replicaProxies.get(target);
+  if (proxies.has(path)) return proxies.get(path);
+
+  const dirtyField = (property) => field ?? property;
+  const proxy = new Proxy(target, {
+    get(object, property, receiver) {
+      const value = Reflect.get(object, property, receiver);
+      if (typeof property !== "string" || !isTrackableValue(value)) return value;
+      return trackReplicaValue(value, mapName, key, dirtyField(property));
+    },
+    set(object, property, value) {
+      object[property] = unwrapReplicaValue(value);
+      if (typeof property === "string") markReplicaDirty(mapName, key, dirtyField(property));
+      return true;
+    },
+    deleteProperty(object, property) {
+      delete object[property];
+      if (typeof property === "string") markReplicaDirty(mapName, key, dirtyField(property));
+      return true;
+    },
+  });
+  proxies.set(path, proxy);
+  replicaProxyTargets.set(proxy, target);
+  return proxy;
+}
+
+/**
+ * Register a map replicated across the cluster. Returns the map wrapped for write tracking,
+ * or the map itself when running a single instance.
+ */
+function trackReplicatedMap(mapName, map) {
+  replicaMapTargets[mapName] = map;
+  dirtyReplicaEntries[mapName] = new Map();
+  if (!clusterBroker) return map;
+
+  const proxy = new Proxy(map, {
+    get(object, key, receiver) {
+      const value = Reflect.get(object, key, receiver);
+      if (typeof key !== "string" || !isTrackableValue(value)) return value;
+      return trackReplicaValue(value, mapName, key, Array.isArray(value) ? WHOLE_VALUE_FIELD : undefined);
+    },
+    set(object, key, value) {
+      const entry = unwrapReplicaValue(value);
+      // Entries are often rebuilt from the previous one ({ ...prevDriver, lat, lng }); storing the
+      // unwrapped field values keeps unchanged fields recognizable by identity when diffing
+      if (isTrackableValue(entry) && !Array.isArray(entry)) {
+        for (const [field, fieldValue] of Object.entries(entry)) entry[field] = unwrapReplicaValue(fieldValue);
+      }
+      object[key] = entry;
+      if (typeof key === "string") markReplicaDirty(mapName, key, ENTRY_REPLACED);
+      return true;
+    },
+    deleteProperty(object, key) {
+      if (Object.hasOwn(object, key)) markReplicaDirty(mapName, key, ENTRY_REPLACED);
+      delete object[key];
+      return true;
+    },
+  });
+  replicaProxyTargets.set(proxy, map);
+  return proxy;
+}
 
 // ========== SOCKET.IO WITH OPTIMIZATION ==========
 const io = new Server(server, {
@@ -32,314 +677,4574 @@ const io = new Server(server, {
     origin: "*",
     methods: ["GET", "POST"],
   },
-  pingTimeout: 60000, // 60 seconds - how long to wait for pong response
-  pingInterval: 25000, // 25 seconds - how often to send ping
+  pingTimeout: config.SOCKET_PING_TIMEOUT, // how long to wait for pong response
+  pingInterval: config.SOCKET_PING_INTERVAL, // how often to send ping
   maxHttpBufferSize: 1e6, // 1MB - maximum message size
   compression: true, // Enable compression for large payloads (like route geometry)
 
   transports: ["websocket", "polling"], // Prefer WebSocket, fallback to polling
+  // Socket.IO calls the adapter factory with `new`, so this must be a regular function
+  ...(clusterBroker && {
+    adapter: function (nsp) {
+      return new BrokerAdapter(nsp, clusterBroker);
+    },
+  }),
 });
 
 // ========== IN-MEMORY DATA STORES ==========
-const drivers = {};
+const drivers = trackReplicatedMap("drivers", {});
 const socketToAccountId = {};
 const rateLimitMap = {};
-const users = {};
-const accountIdToSocketId = {};
+const users = trackReplicatedMap("users", {});
+const accountIdToSocketId = trackReplicatedMap("accountIdToSocketId", {});
 // Session management for duplicate connection prevention
-const sessionKeyToSocketId = {}; // Maps sessionKey -> socketId
-const socketIdToSessionKey = {}; // Maps socketId -> sessionKey
-const sessions = {}; // Maps sessionKey -> { accountId, role, createdAt, lastActivity }
+// Sessions are keyed by session ID, the hash of the session key held by the client (see hashSessionKey)
+const sessionKeyToSocketId = trackReplicatedMap("sessionKeyToSocketId", {}); // Maps session ID -> socketId
+const socketIdToSessionKey = trackReplicatedMap("socketIdToSessionKey", {}); // Maps socketId -> session ID
+const sessions = trackReplicatedMap("sessions", {}); // Maps session ID -> { accountId, role, createdAt, lastActivity, expiresAt, suspendedPings? }
 // Track drivers that need state restoration after registration (to avoid race condition with stale maxCapacity)
 const pendingStateRestore = new Set(); // Set of accountIds that need state restoration
+// Spatial index of driver locations (grid cells), used to route updates to users' map viewports
+const driverGridCells = {}; // Maps accountId -> grid cell key
+const gridCellDrivers = new Map(); // Maps grid cell key -> Set of accountIds
+// The same grid for registry stops, used to find the stop geofences near a bus
+const stopGridCells = {}; // Maps stopId -> grid cell key
+const gridCellStops = new Map(); // Maps grid cell key -> Set of stopIds
+const driverPositionSamples = trackReplicatedMap("driverPositionSamples", {}); // Maps accountId -> recent [{ lat, lng, t }] for speed estimates
+const driverRouteCache = {}; // Maps accountId -> { geometry, coordinates } (parsed route geometry)
+const routeGeometryCache = {}; // Maps routeId -> { polyline, coordinates } (parsed registry route polyline)
+// Trip history: every accepted updateLocation is appended to the driver's active trip
+const trips = {}; // Maps tripId -> trip
+const activeTripIds = {}; // Maps accountId -> tripId of the trip being recorded
+const dirtyTripIds = new Set(); // Trips changed since they were last saved
+const persistedTripPoints = {}; // Maps tripId -> number of its points already appended to the store
+const socketInstanceIds = trackReplicatedMap("socketInstanceIds", {}); // Maps socketId -> INSTANCE_ID of the instance holding the connection
+const compactPayloadState = {}; // Maps accountId -> encoded geometry and the part versions last broadcast (compact format)
+const organizations = trackReplicatedMap("organizations", {}); // Maps organizationId -> { organizationId, name, visibility, settings, createdAt, updatedAt }
+const routes = trackReplicatedMap("routes", {}); // Maps routeId -> { routeId, name, organizationId, stopIds, polyline, createdAt, updatedAt }
+const stops = trackReplicatedMap("stops", {}); // Maps stopId -> { stopId, name, lat, lng, createdAt, updatedAt }
+const chats = trackReplicatedMap("chats", {}); // Maps "driverAccountId:userAccountId" -> { chatId, driverAccountId, userAccountId, openedAt, messages }
+const alerts = trackReplicatedMap("alerts", {}); // Maps alertId -> { alertId, scope, organizationId, driverAccountId, area, severity, title, message, startsAt, endsAt, ... }
+
+// ========== STATE PERSISTENCE ==========
 
-// ========== HELPER FUNCTIONS ==========
+/**
+ * In-memory backend: nothing survives a restart (useful for local testing).
+ */
+function createMemoryStateStore() {
+  let snapshot = null;
+  const savedTrips = new Map();
+  return {
+    name: "memory",
+    load: () => snapshot,
+    save: (data) => {
+      snapshot = data;
+    },
+    loadTrips: () => Array.from(savedTrips.values()),
+    saveTrip: ({ points, ...metadata }) => {
+      savedTrips.set(metadata.tripId, { ...metadata, points: savedTrips.get(metadata.tripId)?.points || [] });
+    },
+    appendTripPoints: (tripId, points) => {
+      savedTrips.get(tripId)?.points.push(...points);
+    },
+    deleteTrip: (tripId) => {
+      savedTrips.delete(tripId);
+    },
+    close: () => {},
+  };
+}
 
 /**
- * Emit driverStateRestored event if driver is pending restoration
- * This ensures we have the correct maxCapacity from the client before restoring state
+ * Write JSON to a temp file and rename it into place,
+ * so a crash mid-write never leaves a half-written file behind.
  */
-function emitDriverStateRestoredIfPending(socket, accountId) {
-  if (pendingStateRestore.has(accountId)) {
-    const driver = drivers[accountId];
-    if (driver) {
-      socket.emit("driverStateRestored", {
-        accountId: accountId,
-        passengerCount: driver.passengerCount ?? 0,
-        maxCapacity: driver.maxCapacity ?? 0,
-        destinationName: driver.destinationName,
-        destinationLat: driver.destinationLat,
-        destinationLng: driver.destinationLng,
-        organizationName: driver.organizationName,
-        lat: driver.lat,
-        lng: driver.lng,
-        lastUpdated: driver.lastUpdated
-      });
-      
-      log(`🔄 [${accountId}] Driver state restored after update: ${driver.passengerCount ?? 0}/${driver.maxCapacity ?? 0} passengers, destination: ${driver.destinationName || "Unknown"}`);
-      pendingStateRestore.delete(accountId);
+function writeJsonFileAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data));
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * File backend: the snapshot is a single JSON file; trips are stored in a "trips" directory next
+ * to it, as a metadata file per trip plus an append-only NDJSON file of its track points.
+ */
+function createFileStateStore(filePath) {
+  const tripsDir = path.join(path.dirname(filePath), "trips");
+  const tripPath = (tripId) => path.join(tripsDir, `${tripId}.json`);
+  const tripPointsPath = (tripId) => path.join(tripsDir, `${tripId}.points.ndjson`);
+  const appendTripPoints = (tripId, points) => {
+    fs.mkdirSync(tripsDir, { recursive: true });
+    fs.appendFileSync(tripPointsPath(tripId), points.map((point) => `${JSON.stringify(point)}\n`).join(""));
+  };
+  const loadTrip = (file) => {
+    const trip = JSON.parse(fs.readFileSync(path.join(tripsDir, file), "utf8"));
+    if (!fs.existsSync(tripPointsPath(trip.tripId))) {
+      // Saved before points were appended separately: move the inline points to their own file
+      const points = trip.points || [];
+      if (points.length > 0) appendTripPoints(trip.tripId, points);
+      return { ...trip, points };
+    }
+    const points = [];
+    for (const line of fs.readFileSync(tripPointsPath(trip.tripId), "utf8").split("\n")) {
+      if (!line) continue;
+      try {
+        points.push(JSON.parse(line));
+      } catch (error) {
+        // A line cut short by a crash mid-append
+      }
+    }
+    return { ...trip, points };
+  };
+  return {
+    name: `file (${filePath})`,
+    load: () => {
+      if (!fs.existsSync(filePath)) return null;
+      return JSON.parse(fs.readFileSync(filePath, "utf8"));
+    },
+    save: (data) => writeJsonFileAtomic(filePath, data),
+    loadTrips: () => {
+      if (!fs.existsSync(tripsDir)) return [];
+      return fs
+        .readdirSync(tripsDir)
+        .filter((file) => file.endsWith(".json"))
+        .map(loadTrip);
+    },
+    saveTrip: ({ points, ...metadata }) => writeJsonFileAtomic(tripPath(metadata.tripId), metadata),
+    appendTripPoints,
+    deleteTrip: (tripId) => {
+      fs.rmSync(tripPath(tripId), { force: true });
+      fs.rmSync(tripPointsPath(tripId), { force: true });
+    },
+    close: () => {},
+  };
+}
+
+const stateStoreBackends = {
+  memory: () => createMemoryStateStore(),
+  file: () => createFileStateStore(STATE_FILE_PATH),
+};
+
+/**
+ * Create the configured state store backend.
+ * Every backend implements load() -> snapshot | null, save(snapshot),
+ * loadTrips() -> trip[], saveTrip(trip) (everything but the points), appendTripPoints(tripId, points),
+ * deleteTrip(tripId) and close().
+ */
+function createStateStore(backend) {
+  const factory = stateStoreBackends[backend];
+  if (!factory) {
+    throw new Error(`Unknown state store backend: "${backend}" (expected one of: ${Object.keys(stateStoreBackends).join(", ")})`);
+  }
+  return factory();
+}
+
+const stateStore = createStateStore(STATE_STORE_BACKEND);
+let lastPersistedState = null;
+
+/**
+ * Build a serializable snapshot of the live state.
+ * Socket-bound maps (socketToAccountId, accountIdToSocketId, sessionKeyToSocketId, rateLimitMap)
+ * are not persisted: socket IDs never survive a restart, clients re-bind them on resume/register.
+ */
+function buildStateSnapshot() {
+  return {
+    version: 1,
+    organizations,
+    routes,
+    stops,
+    chats,
+    alerts,
+    drivers,
+    users,
+    sessions,
+    pendingStateRestore: Array.from(pendingStateRestore),
+    // A generated key is kept so anonymized waiting-user IDs don't change on restart
+    ...(config.WAITING_USER_ID_SECRET ? {} : { waitingUserIdSecret: WAITING_USER_ID_SECRET }),
+  };
+}
+
+/**
+ * Write the current state to the store (skipped when nothing changed since the last write).
+ */
+function persistState() {
+  try {
+    const snapshot = buildStateSnapshot();
+    const serialized = JSON.stringify(snapshot);
+    if (serialized === lastPersistedState) return;
+    stateStore.save({ ...snapshot, savedAt: new Date().toISOString() });
+    lastPersistedState = serialized;
+  } catch (error) {
+    log(`❌ Failed to persist state: ${error.message}`, "error");
+  }
+}
+
+/**
+ * Rehydrate state saved by a previous process.
+ * Every driver and user comes back as "disconnected, in grace period" so that
+ * resumeSession / registerRole can re-attach them and driverStateRestored fires as usual.
+ */
+function rehydrateState() {
+  let snapshot;
+  try {
+    snapshot = stateStore.load();
+  } catch (error) {
+    log(`❌ Failed to load persisted state: ${error.message}`, "error");
+    return;
+  }
+  if (!snapshot) return;
+
+  if (!WAITING_USER_ID_SECRET && snapshot.waitingUserIdSecret) {
+    WAITING_USER_ID_SECRET = snapshot.waitingUserIdSecret;
+  }
+  const now = Date.now();
+  Object.assign(organizations, snapshot.organizations || {});
+  Object.assign(routes, snapshot.routes || {});
+  Object.assign(stops, snapshot.stops || {});
+  Object.values(stops).forEach(indexStop);
+  Object.assign(chats, snapshot.chats || {});
+  Object.assign(alerts, snapshot.alerts || {});
+  for (const [accountId, driver] of Object.entries(snapshot.drivers || {})) {
+    drivers[accountId] = {
+      ...driver,
+      socketId: null,
+      disconnected: true,
+      disconnectedAt: now,
+    };
+    if (typeof driver.lat === "number" && typeof driver.lng === "number") {
+      indexDriverLocation(accountId, driver.lat, driver.lng);
     }
   }
-}
+  for (const [accountId, user] of Object.entries(snapshot.users || {})) {
+    users[accountId] = {
+      ...user,
+      socketId: null,
+      disconnected: true,
+      disconnectedAt: now,
+    };
+  }
+  for (const [sessionKey, session] of Object.entries(snapshot.sessions || {})) {
+    // Snapshots from before session IDs were hashed are keyed by the raw session key
+    const sessionId = /^[0-9a-f]{64}$/.test(sessionKey) ? sessionKey : hashSessionKey(sessionKey);
+    sessions[sessionId] = {
+      ...session,
+      expiresAt: session.expiresAt || now + SESSION_TTL,
+    };
+  }
+
+  // Pings of (now disconnected) users are suspended into their session so resumeSession can restore them
+  for (const [driverAccountId, driver] of Object.entries(drivers)) {
+    for (const [userId, ping] of Object.entries(driver.waitingPassengers || {})) {
+      const session = Object.values(sessions).find(
+        (s) => s.role === "user" && s.accountId === userId
+      );
+      if (session) {
+        session.suspendedPings = { ...session.suspendedPings, [driverAccountId]: ping };
+      }
+    }
+    driver.waitingPassengers = {};
+  }
+  (snapshot.pendingStateRestore || []).forEach((accountId) =>
+    pendingStateRestore.add(accountId)
+  );
+
+  log(
+    `♻️  Restored state from ${snapshot.savedAt || "unknown time"}: ${
+      Object.keys(drivers).length
+    } driver(s), ${Object.keys(users).length} user(s), ${
+      Object.keys(sessions).length
+    } session(s)`
+  );
+}
+
+// ========== SHARED STATE (CLUSTER) ==========
+/**
+ * Changes to the maps registered with trackReplicatedMap are published on the broker per entry
+ * and per top-level field (per item for REPLICATED_COLLECTIONS). Trip history and rate limits
+ * stay local to the instance the driver is connected to.
+ */
+const STATE_CHANNEL = "taravel:state";
+const replicaValues = {}; // Maps map name -> Map(key -> { field: value as last synced })
+const replicaItems = {}; // Maps map name -> Map(key -> Map(field -> Map(item id -> serialized item))) as last synced
+const clusterInstances = new Map(); // Maps INSTANCE_ID of other live instances -> last seen timestamp
+let stateSyncTimer = null;
+let stateSyncReady = false;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function knownReplicaItems(mapName, key, field) {
+  if (!replicaItems[mapName]) replicaItems[mapName] = new Map();
+  const entries = replicaItems[mapName];
+  if (!entries.has(key)) entries.set(key, new Map());
+  if (!entries.get(key).has(field)) entries.get(key).set(field, new Map());
+  return entries.get(key).get(field);
+}
+
+function replicaCollectionItems(value, spec) {
+  if (spec.type === "array") {
+    return new Map((Array.isArray(value) ? value : []).map((item) => [String(item?.[spec.id]), item]));
+  }
+  return new Map(isPlainObject(value) ? Object.entries(value) : []);
+}
+
+/**
+ * Per-item diff of a collection field against what was last synced.
+ * @returns {{ set: Object, removed: string[] } | null}
+ */
+function diffReplicaItems(mapName, key, field, spec, value) {
+  const known = knownReplicaItems(mapName, key, field);
+  const items = replicaCollectionItems(value, spec);
+  const set = {};
+  const removed = [];
+  for (const [id, item] of items) {
+    const serialized = JSON.stringify(item);
+    if (known.get(id) !== serialized) {
+      set[id] = item;
+      known.set(id, serialized);
+    }
+  }
+  for (const id of known.keys()) {
+    if (!items.has(id)) {
+      removed.push(id);
+      known.delete(id);
+    }
+  }
+  return Object.keys(set).length > 0 || removed.length > 0 ? { set, removed } : null;
+}
+
+/**
+ * Merge items published by another instance into a collection field, in place. Arrays are kept
+ * sorted by the collection's order field.
+ */
+function mergeReplicaItems(entry, mapName, key, field, spec, { set = {}, removed = [] }) {
+  const known = knownReplicaItems(mapName, key, field);
+  removed.forEach((id) => known.delete(id));
+  Object.entries(set).forEach(([id, item]) => known.set(id, JSON.stringify(item)));
+
+  if (spec.type === "array") {
+    if (!Array.isArray(entry[field])) entry[field] = [];
+    const merged = entry[field].filter((item) => {
+      const id = String(item?.[spec.id]);
+      return !removed.includes(id) && !Object.hasOwn(set, id);
+    });
+    merged.push(...Object.values(set));
+    if (spec.order) {
+      merged.sort((a, b) => (a[spec.order] < b[spec.order] ? -1 : a[spec.order] > b[spec.order] ? 1 : 0));
+    }
+    entry[field].splice(0, entry[field].length, ...merged);
+  } else {
+    if (!isPlainObject(entry[field])) entry[field] = {};
+    removed.forEach((id) => delete entry[field][id]);
+    Object.assign(entry[field], set);
+  }
+}
+
+/**
+ * Diff one entry written since the last sync against what was last synced. Fields that still
+ * hold the synced value (by identity) and weren't written in place are skipped without serializing.
+ * @returns {{ map, key, created?, deleted?, set?, unset?, items? } | null}
+ */
+function diffReplicaEntry(mapName, key, dirtyFields) {
+  const map = replicaMapTargets[mapName];
+  if (!replicaValues[mapName]) replicaValues[mapName] = new Map();
+  const known = replicaValues[mapName];
+  const previous = known.get(key);
+
+  if (!Object.hasOwn(map, key)) {
+    if (!previous) return null;
+    known.delete(key);
+    replicaItems[mapName]?.delete(key);
+    return { map: mapName, key, deleted: true };
+  }
+
+  const value = map[key];
+  const fields = isPlainObject(value) ? value : { [WHOLE_VALUE_FIELD]: value };
+  const collections = REPLICATED_COLLECTIONS[mapName] || {};
+  const change = { map: mapName, key, created: !previous, set: {}, unset: [] };
+  const synced = {};
+  let changed = !previous;
+  for (const [field, fieldValue] of Object.entries(fields)) {
+    if (fieldValue === undefined) continue;
+    synced[field] = fieldValue;
+    if (previous && previous[field] === fieldValue && !dirtyFields.has(field)) continue;
+    if (collections[field]) {
+      const items = diffReplicaItems(mapName, key, field, collections[field], fieldValue);
+      if (items) {
+        change.items = { ...change.items, [field]: items };
+        changed = true;
+      }
+    } else {
+      change.set[field] = fieldValue;
+      changed = true;
+    }
+  }
+  for (const field of Object.keys(previous || {})) {
+    if (!(field in synced)) {
+      change.unset.push(field);
+      replicaItems[mapName]?.get(key)?.delete(field);
+      changed = true;
+    }
+  }
+  known.set(key, synced);
+  return changed ? change : null;
+}
+
+/**
+ * Changes to the replicated maps since the last sync.
+ * @returns {Array<{ map, key, created?, deleted?, set?, unset?, items? }>}
+ */
+function collectStateChanges() {
+  const changes = [];
+  for (const [mapName, dirty] of Object.entries(dirtyReplicaEntries)) {
+    for (const [key, fields] of dirty) {
+      const change = diffReplicaEntry(mapName, key, fields);
+      if (change) changes.push(change);
+    }
+    dirty.clear();
+  }
+  return changes;
+}
+
+/**
+ * Every entry of the replicated maps, as "created" changes (answer to a joining instance).
+ */
+function collectFullState() {
+  const changes = [];
+  for (const [mapName, map] of Object.entries(replicaMapTargets)) {
+    for (const [key, value] of Object.entries(map)) {
+      const set = isPlainObject(value) ? value : { [WHOLE_VALUE_FIELD]: value };
+      changes.push({ map: mapName, key, created: true, set, unset: [] });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Apply changes published by another instance and keep derived indexes in sync.
+ * Field updates for entries this instance already deleted are ignored (the delete wins), and
+ * local writes not yet synced to the same fields are dropped (the remote write wins).
+ */
+function applyStateChanges(changes) {
+  for (const change of changes) {
+    const map = replicaMapTargets[change.map];
+    if (!map) continue;
+    if (!replicaValues[change.map]) replicaValues[change.map] = new Map();
+    const known = replicaValues[change.map];
+    const dirty = dirtyReplicaEntries[change.map];
+
+    if (change.deleted) {
+      delete map[change.key];
+      known.delete(change.key);
+      replicaItems[change.map]?.delete(change.key);
+      dirty.delete(change.key);
+    } else if (WHOLE_VALUE_FIELD in change.set) {
+      map[change.key] = change.set[WHOLE_VALUE_FIELD];
+      known.set(change.key, { [WHOLE_VALUE_FIELD]: map[change.key] });
+      dirty.delete(change.key);
+    } else {
+      if (!isPlainObject(map[change.key])) {
+        if (!change.created) continue;
+        map[change.key] = {};
+      }
+      const entry = map[change.key];
+      const synced = known.get(change.key) || {};
+      const collections = REPLICATED_COLLECTIONS[change.map] || {};
+      for (const [field, value] of Object.entries(change.set)) {
+        entry[field] = value;
+        synced[field] = value;
+        dirty.get(change.key)?.delete(field);
+        if (collections[field]) {
+          // Replaced as a whole (answer to a joining instance): its items are now the synced ones
+          replicaItems[change.map]?.get(change.key)?.delete(field);
+          diffReplicaItems(change.map, change.key, field, collections[field], value);
+        }
+      }
+      for (const field of change.unset || []) {
+        delete entry[field];
+        delete synced[field];
+        dirty.get(change.key)?.delete(field);
+        replicaItems[change.map]?.get(change.key)?.delete(field);
+      }
+      for (const [field, items] of Object.entries(change.items || {})) {
+        if (!collections[field]) continue;
+        mergeReplicaItems(entry, change.map, change.key, field, collections[field], items);
+        synced[field] = entry[field];
+      }
+      known.set(change.key, synced);
+    }
+
+    if (change.map === "drivers") {
+      const driver = drivers[change.key];
+      if (!driver) {
+        removeDriverFromIndex(change.key);
+        forgetDriverMotion(change.key);
+      } else if (typeof driver.lat === "number" && typeof driver.lng === "number") {
+        indexDriverLocation(change.key, driver.lat, driver.lng);
+      }
+    } else if (change.map === "stops") {
+      if (stops[change.key]) indexStop(stops[change.key]);
+      else removeStopFromIndex(change.key);
+    } else if (change.map === "routes") {
+      delete routeGeometryCache[change.key];
+    }
+  }
+}
+
+/**
+ * Publish local changes to the other instances.
+ */
+function syncState() {
+  if (stateSyncTimer) {
+    clearTimeout(stateSyncTimer);
+    stateSyncTimer = null;
+  }
+  if (!clusterBroker || !stateSyncReady) return;
+  const changes = collectStateChanges();
+  if (changes.length > 0) {
+    clusterBroker.publish(STATE_CHANNEL, { type: "state", from: INSTANCE_ID, changes });
+  }
+}
+
+/**
+ * Sync shortly after a handler ran, coalescing bursts of changes into one message.
+ */
+function scheduleStateSync() {
+  if (!clusterBroker || stateSyncTimer) return;
+  stateSyncTimer = setTimeout(syncState, CLUSTER_SYNC_DELAY);
+}
+
+/**
+ * Forget an instance that left or stopped sending heartbeats. Its sockets are dropped from
+ * socketInstanceIds, so the regular cleanup treats its drivers and users as disconnected.
+ */
+function forgetClusterInstance(instanceId, reason) {
+  clusterInstances.delete(instanceId);
+  for (const [socketId, ownerId] of Object.entries(socketInstanceIds)) {
+    if (ownerId === instanceId) delete socketInstanceIds[socketId];
+  }
+  log(`📡 Instance ${instanceId} left the cluster (${reason})`);
+}
+
+/**
+ * Whether this instance runs the cluster-wide sweeps whose results are broadcast (scheduled alerts,
+ * expiry of pings to buses that aren't connected): the live instance with the lowest INSTANCE_ID,
+ * so riders get each event once. Always true without a broker; never before this instance has
+ * joined the cluster.
+ */
+function isClusterLeader() {
+  if (!clusterBroker) return true;
+  if (!stateSyncReady) return false;
+  for (const instanceId of clusterInstances.keys()) {
+    if (instanceId < INSTANCE_ID) return false;
+  }
+  return true;
+}
+
+function handleStateMessage(message) {
+  if (!message || message.from === INSTANCE_ID) return;
+  if (!clusterInstances.has(message.from) && message.type !== "bye") {
+    log(`📡 Instance ${message.from} joined the cluster`);
+  }
+  clusterInstances.set(message.from, Date.now());
+
+  switch (message.type) {
+    case "hello":
+      clusterBroker.publish(STATE_CHANNEL, { type: "state", from: INSTANCE_ID, changes: collectFullState() });
+      break;
+    case "state":
+      applyStateChanges(message.changes || []);
+      break;
+    case "bye":
+      forgetClusterInstance(message.from, "shutdown");
+      break;
+  }
+}
+
+/**
+ * Join the cluster: ask the other instances for their state, then start publishing ours.
+ * Waiting one sync interval first keeps entries rehydrated from a local snapshot from
+ * overwriting the newer live state held by running instances.
+ */
+function startStateSync() {
+  if (!clusterBroker) return;
+  clusterBroker.subscribe(STATE_CHANNEL, handleStateMessage);
+  clusterBroker.onConnect(() => {
+    clusterBroker.publish(STATE_CHANNEL, { type: "hello", from: INSTANCE_ID });
+    setTimeout(() => {
+      stateSyncReady = true;
+      syncState();
+    }, CLUSTER_SYNC_INTERVAL);
+  });
+  setInterval(syncState, CLUSTER_SYNC_INTERVAL);
+  setInterval(() => {
+    clusterBroker.publish(STATE_CHANNEL, { type: "heartbeat", from: INSTANCE_ID });
+    const now = Date.now();
+    for (const [instanceId, lastSeen] of clusterInstances) {
+      if (now - lastSeen > CLUSTER_INSTANCE_TIMEOUT) forgetClusterInstance(instanceId, "heartbeat timeout");
+    }
+  }, CLUSTER_HEARTBEAT_INTERVAL);
+}
+
+// ========== METRICS ==========
+/**
+ * Counters for the Prometheus /metrics endpoint. Gauges (sockets, drivers, map sizes)
+ * are computed when the endpoint is scraped.
+ */
+function createCounter(name, help) {
+  return { name, help, values: new Map() };
+}
+
+function incrementCounter(counter, labels = {}, amount = 1) {
+  const key = JSON.stringify(labels);
+  const entry = counter.values.get(key);
+  if (entry) {
+    entry.value += amount;
+  } else {
+    counter.values.set(key, { labels, value: amount });
+  }
+}
+
+const metrics = {
+  socketEvents: createCounter("taravel_socket_events_total", "Socket.IO events received, by namespace and event"),
+  handlerErrors: createCounter("taravel_socket_handler_errors_total", "Errors caught by safeHandler, by event"),
+  rateLimitRejections: createCounter("taravel_rate_limit_rejections_total", "Events rejected by checkRateLimit, by event"),
+  broadcasts: createCounter("taravel_broadcasts_total", "Room/broadcast emits, by event"),
+  broadcastRecipients: createCounter("taravel_broadcast_recipients_total", "Sockets reached by room/broadcast emits (fan-out), by event"),
+  cleanupRemovals: createCounter("taravel_cleanup_removals_total", "Entries removed by the periodic cleanup, by kind"),
+  tripPointsDropped: createCounter("taravel_trip_points_dropped_total", "Location updates not recorded because the trip reached MAX_TRIP_POINTS"),
+};
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatMetricSample(name, labels, value) {
+  const labelPairs = Object.entries(labels).map(([key, labelValue]) => `${key}="${escapeLabelValue(labelValue)}"`);
+  return `${name}${labelPairs.length > 0 ? `{${labelPairs.join(",")}}` : ""} ${value}`;
+}
+
+function formatMetricFamily(name, help, type, samples) {
+  return [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} ${type}`,
+    ...samples.map(({ labels, value }) => formatMetricSample(name, labels, value)),
+  ];
+}
+
+/**
+ * Count the local sockets a room/broadcast emit reaches (rooms union, minus excluded rooms).
+ */
+function countBroadcastRecipients(adapter, opts) {
+  const recipients = new Set();
+  if (opts.rooms.size === 0) {
+    adapter.sids.forEach((rooms, socketId) => recipients.add(socketId));
+  } else {
+    opts.rooms.forEach((room) => adapter.rooms.get(room)?.forEach((socketId) => recipients.add(socketId)));
+  }
+  opts.except?.forEach((room) => adapter.rooms.get(room)?.forEach((socketId) => recipients.delete(socketId)));
+  return recipients.size;
+}
+
+/**
+ * Wrap an adapter's broadcast() so every room/broadcast emit (io.to(...).emit) is counted with its fan-out.
+ */
+function instrumentBroadcasts(adapter) {
+  const broadcast = adapter.broadcast.bind(adapter);
+  adapter.broadcast = (packet, opts) => {
+    const eventName = Array.isArray(packet.data) ? String(packet.data[0]) : "unknown";
+    incrementCounter(metrics.broadcasts, { event: eventName });
+    incrementCounter(metrics.broadcastRecipients, { event: eventName }, countBroadcastRecipients(adapter, opts));
+    return broadcast(packet, opts);
+  };
+}
+
+instrumentBroadcasts(io.of("/").adapter);
+
+/**
+ * Render every metric in the Prometheus text exposition format.
+ */
+function renderMetrics() {
+  const socketsByRole = {};
+  io.sockets.sockets.forEach((socket) => {
+    const role = socket.role || "unregistered";
+    socketsByRole[role] = (socketsByRole[role] || 0) + 1;
+  });
+  socketsByRole.admin = io.of("/admin").sockets.size;
+
+  const driverList = Object.values(drivers);
+  const disconnectedDrivers = driverList.filter((driver) => driver.disconnected === true).length;
+
+  const mapSizes = {
+    drivers: Object.keys(drivers).length,
+    users: Object.keys(users).length,
+    sessions: Object.keys(sessions).length,
+    socketToAccountId: Object.keys(socketToAccountId).length,
+    accountIdToSocketId: Object.keys(accountIdToSocketId).length,
+    sessionKeyToSocketId: Object.keys(sessionKeyToSocketId).length,
+    socketIdToSessionKey: Object.keys(socketIdToSessionKey).length,
+    rateLimitMap: Object.keys(rateLimitMap).length,
+    pendingStateRestore: pendingStateRestore.size,
+    driverGridCells: Object.keys(driverGridCells).length,
+    stopGridCells: Object.keys(stopGridCells).length,
+    gridCellDrivers: gridCellDrivers.size,
+    driverPositionSamples: Object.keys(driverPositionSamples).length,
+    driverRouteCache: Object.keys(driverRouteCache).length,
+    routeGeometryCache: Object.keys(routeGeometryCache).length,
+    trips: Object.keys(trips).length,
+    activeTripIds: Object.keys(activeTripIds).length,
+    dirtyTripIds: dirtyTripIds.size,
+    socketInstanceIds: Object.keys(socketInstanceIds).length,
+    organizations: Object.keys(organizations).length,
+    routes: Object.keys(routes).length,
+    stops: Object.keys(stops).length,
+    chats: Object.keys(chats).length,
+    alerts: Object.keys(alerts).length,
+    compactPayloadState: Object.keys(compactPayloadState).length,
+  };
+
+  const lines = [
+    ...formatMetricFamily(
+      "taravel_connected_sockets",
+      "Connected sockets by role",
+      "gauge",
+      Object.entries(socketsByRole).map(([role, value]) => ({ labels: { role }, value }))
+    ),
+    ...formatMetricFamily("taravel_drivers", "Drivers in memory by connection state", "gauge", [
+      { labels: { state: "active" }, value: driverList.length - disconnectedDrivers },
+      { labels: { state: "disconnected" }, value: disconnectedDrivers },
+    ]),
+    ...formatMetricFamily(
+      "taravel_map_entries",
+      "Entries in each in-memory data store",
+      "gauge",
+      Object.entries(mapSizes).map(([map, value]) => ({ labels: { map }, value }))
+    ),
+    ...formatMetricFamily("taravel_cluster_instances", "Live server instances seen by this instance (including itself)", "gauge", [
+      { labels: {}, value: clusterInstances.size + 1 },
+    ]),
+    ...formatMetricFamily("taravel_uptime_seconds", "Process uptime", "gauge", [
+      { labels: {}, value: process.uptime() },
+    ]),
+  ];
+  for (const counter of Object.values(metrics)) {
+    lines.push(...formatMetricFamily(counter.name, counter.help, "counter", Array.from(counter.values.values())));
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+// ========== HELPER FUNCTIONS ==========
+
+/**
+ * Emit driverStateRestored event if driver is pending restoration
+ * This ensures we have the correct maxCapacity from the client before restoring state
+ */
+function emitDriverStateRestoredIfPending(socket, accountId) {
+  if (pendingStateRestore.has(accountId)) {
+    const driver = drivers[accountId];
+    if (driver) {
+      socket.emit("driverStateRestored", {
+        accountId: accountId,
+        passengerCount: driver.passengerCount ?? 0,
+        maxCapacity: driver.maxCapacity ?? 0,
+        destinationName: driver.destinationName,
+        destinationLat: driver.destinationLat,
+        destinationLng: driver.destinationLng,
+        organizationId: driver.organizationId || null,
+        organizationName: driver.organizationName,
+        routeId: driver.routeId || null,
+        lat: driver.lat,
+        lng: driver.lng,
+        lastUpdated: driver.lastUpdated
+      });
+      
+      log(`🔄 [${accountId}] Driver state restored after update: ${driver.passengerCount ?? 0}/${driver.maxCapacity ?? 0} passengers, destination: ${driver.destinationName || "Unknown"}`);
+      pendingStateRestore.delete(accountId);
+    }
+  }
+}
+
+/**
+ * Whether a socket is connected, either to this instance or to another live cluster instance.
+ */
+function isSocketConnected(socketId) {
+  if (!socketId) return false;
+  const socket = io.sockets.sockets.get(socketId);
+  if (socket) return socket.connected === true;
+  const instanceId = socketInstanceIds[socketId];
+  return Boolean(instanceId && instanceId !== INSTANCE_ID && clusterInstances.has(instanceId));
+}
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+/**
+ * Calculate the great-circle distance in meters between two coordinates (haversine formula).
+ */
+function calculateDistance(lat1, lng1, lat2, lng2) {
+  if ([lat1, lng1, lat2, lng2].some((value) => typeof value !== "number" || isNaN(value))) {
+    return Infinity;
+  }
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Bounding box (viewport shape) that contains every point within radiusMeters of a coordinate.
+ */
+function boundingBoxAround(lat, lng, radiusMeters) {
+  const dLat = (radiusMeters / EARTH_RADIUS_METERS) * (180 / Math.PI);
+  const cosLat = Math.max(Math.cos(toRadians(lat)), 0.000001);
+  const dLng = Math.min(dLat / cosLat, 180);
+  return {
+    minLat: Math.max(lat - dLat, -90),
+    maxLat: Math.min(lat + dLat, 90),
+    minLng: Math.max(lng - dLng, -180),
+    maxLng: Math.min(lng + dLng, 180),
+  };
+}
+
+/**
+ * Check if a socket has exceeded the rate limit for location updates.
+ */
+function checkRateLimit(
+  socketId,
+  maxPerMinute = MAX_LOCATION_UPDATES_PER_MINUTE,
+  eventName = "updateLocation"
+) {
+  const now = Date.now();
+  const limit = rateLimitMap[socketId];
+
+  // If no limit exists or the reset time has passed, create a new limit window
+  if (!limit || now > limit.resetTime) {
+    rateLimitMap[socketId] = { count: 1, resetTime: now + 60000 };
+    return true;
+  }
+
+  // Check if limit exceeded
+  if (limit.count >= maxPerMinute) {
+    incrementCounter(metrics.rateLimitRejections, { event: eventName });
+    return false;
+  }
+
+  // Increment counter
+  limit.count++;
+  return true;
+}
+
+/**
+ * Clean up stale drivers from memory.
+ * Drivers that haven't sent an update in STALE_DRIVER_TIMEOUT milliseconds are considered inactive and are removed from the drivers store.
+ * 
+ * NOTE: This automatic cleanup runs every CLEANUP_INTERVAL (60s) for redundancy.
+ * Even if a driver was manually removed via "endSession", this function still runs
+ * and will safely skip drivers that no longer exist (no errors thrown).
+ */
+function cleanupStaleDrivers() {
+  const now = Date.now();
+  let cleaned = 0;
+  for (const [accountId, driver] of Object.entries(drivers)) {
+    const timeSinceUpdate = now - new Date(driver.lastUpdated).getTime();
+    const timeSinceDisconnect = driver.disconnectedAt
+      ? now - driver.disconnectedAt
+      : 0;
+    const isDisconnected = driver.disconnected === true;
+    const gracePeriodExpired =
+      isDisconnected && timeSinceDisconnect > DISCONNECT_GRACE_PERIOD;
+
+    if (driver.socketId && !isSocketConnected(driver.socketId)) {
+      if (!isDisconnected) {
+        driver.disconnected = true;
+        driver.disconnectedAt = Date.now();
+        driver.socketId = null;
+        delete accountIdToSocketId[accountId];
+        log(`🔌 [${accountId}] Driver socket disconnected (detected during cleanup)`);
+      }
+    }
+
+    if (timeSinceUpdate > STALE_DRIVER_TIMEOUT) {
+      if (!isDisconnected || gracePeriodExpired) {
+        endTrip(accountId, "stale");
+        delete drivers[accountId];
+        removeDriverFromIndex(accountId);
+        forgetDriverMotion(accountId);
+        emitBusStatus(accountId, false, "stale");
+        if (driver.socketId) {
+          delete socketToAccountId[driver.socketId];
+        }
+        delete accountIdToSocketId[accountId];
+        cleaned++;
+        incrementCounter(metrics.cleanupRemovals, { kind: "driver" });
+
+        const reason = isDisconnected
+          ? `(disconnected ${Math.round(
+              timeSinceDisconnect / 1000
+            )}s ago, grace period expired, ${
+              driver.reconnectAttempts || 0
+            } reconnects)`
+          : `(no updates for ${Math.round(timeSinceUpdate / 1000)}s)`;
+        log(`🗑️ Cleaned up stale driver ${accountId} ${reason}`);
+      } else {
+        // Driver is disconnected but still in grace period
+        const remainingTime = Math.round(
+          (DISCONNECT_GRACE_PERIOD - timeSinceDisconnect) / 1000
+        );
+        const reconnectCount = driver.reconnectAttempts || 0;
+        log(
+          `⏳ [${accountId}] Disconnected driver in grace period (${remainingTime}s remaining, ${reconnectCount}/${MAX_RECONNECT_ATTEMPTS} reconnects)`,
+          "debug"
+        );
+      }
+    } else if (isDisconnected) {
+      const remainingTime = Math.round(
+        (DISCONNECT_GRACE_PERIOD - timeSinceDisconnect) / 1000
+      );
+      if (remainingTime > 0) {
+        log(
+          `⏳ [${accountId}] Disconnected but has recent updates (${remainingTime}s remaining in grace period)`,
+          "debug"
+        );
+      }
+    }
+  }
+
+  if (cleaned > 0) {
+    log(`🧹 Cleaned up ${cleaned} stale driver(s)`);
+  }
+}
+
+function cleanupStaleUsers() {
+  const now = Date.now();
+  let cleaned = 0;
+  
+  for (const [accountId, user] of Object.entries(users)) {
+    const timeSinceActivity = now - user.lastActivity;
+    const timeSinceDisconnect = user.disconnectedAt ? (now - user.disconnectedAt) : 0;
+    const isDisconnected = user.disconnected === true;
+    
+    if (user.socketId && !isSocketConnected(user.socketId)) {
+      if (!isDisconnected) {
+        user.disconnected = true;
+        user.disconnectedAt = Date.now();
+        user.socketId = null;
+        delete accountIdToSocketId[accountId];
+        log(`🔌 [${accountId}] User socket disconnected (detected during cleanup)`);
+      }
+    }
+    
+    const gracePeriodExpired = isDisconnected && timeSinceDisconnect > DISCONNECT_GRACE_PERIOD;
+    
+    if (timeSinceActivity > STALE_USER_TIMEOUT) {
+      if (!isDisconnected || gracePeriodExpired) {
+        delete users[accountId];
+        if (user.socketId) {
+          delete socketToAccountId[user.socketId];
+        }
+        delete accountIdToSocketId[accountId];
+        cleaned++;
+        incrementCounter(metrics.cleanupRemovals, { kind: "user" });
+        
+        const reason = isDisconnected ? 
+          `(disconnected ${Math.round(timeSinceDisconnect/1000)}s ago, grace period expired)` :
+          `(no activity for ${Math.round(timeSinceActivity/1000)}s)`;
+        log(`🗑️ Cleaned up stale user ${accountId} ${reason}`);
+      } else {
+        const remainingTime = Math.round((DISCONNECT_GRACE_PERIOD - timeSinceDisconnect) / 1000);
+        log(`⏳ [${accountId}] Disconnected user in grace period (${remainingTime}s remaining)`, "debug");
+      }
+    }
+  }
+  
+  if (cleaned > 0) {
+    log(`🧹 Cleaned up ${cleaned} stale user(s)`);
+  }
+}
+
+/**
+ * Remove sessions whose socket has been gone for longer than SESSION_TTL.
+ * Sessions still bound to a live socket never expire; one whose socket vanished without
+ * a disconnect event starts its TTL here.
+ */
+function cleanupExpiredSessions() {
+  const now = Date.now();
+  let cleaned = 0;
+
+  for (const [sessionKey, session] of Object.entries(sessions)) {
+    const socketId = sessionKeyToSocketId[sessionKey];
+    if (isSocketConnected(socketId)) continue;
+
+    if (socketId) {
+      delete sessionKeyToSocketId[sessionKey];
+      delete socketIdToSessionKey[socketId];
+    }
+    if (!session.expiresAt) {
+      session.expiresAt = now + SESSION_TTL;
+      continue;
+    }
+
+    if (now > session.expiresAt) {
+      delete sessions[sessionKey];
+      cleaned++;
+      incrementCounter(metrics.cleanupRemovals, { kind: "session" });
+      log(`🗑️ Expired session ${sessionKey} (${session.role}${session.accountId ? `, ${session.accountId}` : ""})`);
+    }
+  }
+
+  if (cleaned > 0) {
+    log(`🧹 Cleaned up ${cleaned} expired session(s)`);
+  }
+}
+
+/**
+ * The waitingUsers list of a bus as riders see it, following the organization's
+ * waitingPassengerPrivacy (default WAITING_PASSENGER_PRIVACY). The driver's own view
+ * (`fullDetail`) always has the real user IDs and positions, as in pingReceived.
+ */
+function serializeWaitingPassengers(driver, fullDetail = false) {
+  const privacy = fullDetail
+    ? "exact"
+    : getOrganizationSetting(driver.organizationId, "waitingPassengerPrivacy", WAITING_PASSENGER_PRIVACY);
+  if (privacy === "count") return [];
+
+  return Object.values(driver.waitingPassengers || {}).map((passenger) => {
+    const userId = passenger.userAccountId || passenger.userId;
+    if (privacy === "exact") {
+      return { userId, lat: passenger.lat, lng: passenger.lng, passengerCount: passenger.passengerCount || 1 };
+    }
+    return {
+      userId: anonymizeWaitingUserId(driver.accountId, userId),
+      lat: coarsenCoordinate(passenger.lat),
+      lng: coarsenCoordinate(passenger.lng),
+      passengerCount: passenger.passengerCount || 1,
+    };
+  });
+}
+
+/**
+ * Pseudonymous ID of a waiting user, stable for one bus but different across buses.
+ */
+function anonymizeWaitingUserId(driverAccountId, userAccountId) {
+  const digest = crypto
+    .createHmac("sha256", WAITING_USER_ID_SECRET)
+    .update(`${driverAccountId}:${userAccountId}`)
+    .digest("hex");
+  return `w-${digest.slice(0, 12)}`;
+}
+
+function coarsenCoordinate(value) {
+  return Number((Math.round(value / WAITING_PASSENGER_GRID_SIZE) * WAITING_PASSENGER_GRID_SIZE).toFixed(6));
+}
+
+/**
+ * Broadcast a driver's current waiting passengers (count and locations) to all users.
+ */
+function broadcastWaitingPassengersUpdate(driverAccountId) {
+  const driver = drivers[driverAccountId];
+  if (!driver || !driver.lat || !driver.lng) return;
+
+  emitLocationUpdate(driverAccountId, buildLocationUpdate(driver));
+}
+
+/**
+ * Remove a ping and notify both the driver and the user with `eventName`
+ * ("pingRemoved", "pingExpired"), then broadcast the driver's updated waiting list.
+ * @returns {boolean} false when the ping doesn't exist
+ */
+function clearPing(driverAccountId, userAccountId, eventName, reason) {
+  const driver = drivers[driverAccountId];
+  const ping = getUserPing(driver, userAccountId);
+  if (!ping) return false;
+
+  const waitlisted = !driver.waitingPassengers?.[userAccountId];
+  const payload = {
+    from: "server",
+    driverAccountId,
+    userAccountId,
+    pingedAt: ping.pingedAt,
+    timestamp: Date.now(),
+    reason,
+    waitlisted,
+  };
+  emitToAccount(userAccountId, eventName, payload);
+  // Waitlisted pings never reached the driver
+  if (waitlisted) {
+    removeFromWaitlist(driver, userAccountId);
+    return true;
+  }
+
+  delete driver.waitingPassengers[userAccountId];
+  emitToAccount(driverAccountId, eventName, payload);
+  closeChat(driverAccountId, userAccountId, reason);
+  broadcastWaitingPassengersUpdate(driverAccountId);
+  promoteWaitlistedPings(driverAccountId);
+  return true;
+}
+
+/**
+ * A user's ping with a driver, active or on the driver's boarding waitlist.
+ */
+function getUserPing(driver, userAccountId) {
+  return (
+    driver?.waitingPassengers?.[userAccountId] ||
+    driver?.pingWaitlist?.find((ping) => ping.userAccountId === userAccountId) ||
+    null
+  );
+}
+
+/**
+ * Drivers a user currently has a ping with (active or waitlisted).
+ */
+function findActivePings(userAccountId) {
+  return Object.keys(drivers).filter((driverAccountId) => getUserPing(drivers[driverAccountId], userAccountId));
+}
+
+// ---------- Capacity & boarding waitlist ----------
+
+/**
+ * Seats left after the passengers on board and the groups of the active pings
+ * (optionally leaving out one user's ping, e.g. when they re-ping).
+ * @returns {number | null} null when the driver hasn't reported a maxCapacity
+ */
+function getRemainingSeats(driver, excludeUserAccountId = null) {
+  if (!driver.maxCapacity) return null;
+  const reservedSeats = Object.values(driver.waitingPassengers || {})
+    .filter((ping) => ping.userAccountId !== excludeUserAccountId)
+    .reduce((sum, ping) => sum + (ping.passengerCount || 1), 0);
+  return Math.max(0, driver.maxCapacity - (driver.passengerCount || 0) - reservedSeats);
+}
+
+function getPingCapacityPolicy(driver) {
+  return getOrganizationSetting(driver.organizationId, "pingCapacityPolicy", PING_CAPACITY_POLICY);
+}
+
+/**
+ * Put a ping on the driver's boarding waitlist. A user already on it keeps their position.
+ * @returns {number} the 1-based waitlist position
+ */
+function waitlistPing(driver, ping) {
+  if (!driver.pingWaitlist) driver.pingWaitlist = [];
+  const index = driver.pingWaitlist.findIndex((entry) => entry.userAccountId === ping.userAccountId);
+  if (index >= 0) {
+    driver.pingWaitlist[index] = { ...driver.pingWaitlist[index], ...ping };
+    return index + 1;
+  }
+  driver.pingWaitlist.push({ ...ping, waitlistedAt: Date.now() });
+  return driver.pingWaitlist.length;
+}
+
+function removeFromWaitlist(driver, userAccountId) {
+  if (!driver?.pingWaitlist) return;
+  driver.pingWaitlist = driver.pingWaitlist.filter((ping) => ping.userAccountId !== userAccountId);
+}
+
+/**
+ * Promote waitlisted pings in order while the head of the waitlist fits the remaining seats.
+ * Promoted users get "pingPromoted" (the driver a regular "pingReceived"); the ones still
+ * waiting get their new position in "pingWaitlisted".
+ * @returns {number} the number of promoted pings
+ */
+function promoteWaitlistedPings(driverAccountId) {
+  const driver = drivers[driverAccountId];
+  if (!driver?.pingWaitlist?.length) return 0;
+
+  let promoted = 0;
+  while (driver.pingWaitlist.length > 0) {
+    const remainingSeats = getRemainingSeats(driver);
+    const { waitlistedAt, ...next } = driver.pingWaitlist[0];
+    if (remainingSeats !== null && next.passengerCount > remainingSeats) break;
+
+    driver.pingWaitlist.shift();
+    const ping = { ...next, pingedAt: Date.now(), status: "pending" };
+    if (!driver.waitingPassengers) driver.waitingPassengers = {};
+    driver.waitingPassengers[ping.userAccountId] = ping;
+    promoted++;
+
+    const eta = estimateEta(driver, ping.lat, ping.lng);
+    emitToAccount(driverAccountId, "pingReceived", {
+      from: "user",
+      userAccountId: ping.userAccountId,
+      lat: ping.lat,
+      lng: ping.lng,
+      passengerCount: ping.passengerCount,
+      eta,
+      timestamp: ping.pingedAt,
+      promoted: true,
+    });
+    emitToAccount(ping.userAccountId, "pingPromoted", {
+      from: "server",
+      driverAccountId,
+      passengerCount: ping.passengerCount,
+      eta,
+      waitedSeconds: Math.round((ping.pingedAt - waitlistedAt) / 1000),
+      timestamp: ping.pingedAt,
+    });
+    log(`🎟️ Promoted ${ping.userAccountId} from driver ${driverAccountId}'s boarding waitlist`);
+  }
+
+  if (promoted > 0) {
+    driver.pingWaitlist.forEach((ping, index) => {
+      emitToAccount(ping.userAccountId, "pingWaitlisted", {
+        from: "server",
+        driverAccountId,
+        position: index + 1,
+        passengerCount: ping.passengerCount,
+        remainingSeats: getRemainingSeats(driver),
+        timestamp: Date.now(),
+      });
+    });
+    broadcastWaitingPassengersUpdate(driverAccountId);
+  }
+  return promoted;
+}
+
+function isPingExpired(ping, now = Date.now()) {
+  return PING_TTL > 0 && now - (ping.pingedAt || 0) > PING_TTL;
+}
+
+/**
+ * Whether this instance expires a driver's pings: the one holding the driver's socket, or the
+ * cluster leader when the driver isn't connected anywhere, so "pingExpired" is sent once.
+ */
+function sweepsDriverPings(driver) {
+  if (isSocketConnected(driver.socketId)) return io.sockets.sockets.has(driver.socketId);
+  return isClusterLeader();
+}
+
+/**
+ * Expire pings older than PING_TTL, both active ones ("pingExpired" to both sides) and the ones
+ * suspended in the sessions of disconnected users.
+ */
+function expireStalePings() {
+  if (PING_TTL === 0) return;
+  const now = Date.now();
+  let expired = 0;
+
+  for (const [driverAccountId, driver] of Object.entries(drivers)) {
+    if (!sweepsDriverPings(driver)) continue;
+    // Stale waitlist entries go first, so clearing an active ping can't promote one of them. Each
+    // entry is re-read before expiring: clearPing promotes riders, which restarts their pingedAt.
+    const userAccountIds = [
+      ...(driver.pingWaitlist || []).map((ping) => ping.userAccountId),
+      ...Object.keys(driver.waitingPassengers || {}),
+    ];
+    for (const userAccountId of userAccountIds) {
+      const ping = getUserPing(driver, userAccountId);
+      if (!ping || !isPingExpired(ping, now)) continue;
+      clearPing(driverAccountId, userAccountId, "pingExpired", "ttl");
+      expired++;
+      incrementCounter(metrics.cleanupRemovals, { kind: "ping" });
+      log(`⌛ Ping from ${userAccountId} to driver ${driverAccountId} expired`);
+    }
+  }
+  for (const session of Object.values(sessions)) {
+    for (const [driverAccountId, ping] of Object.entries(session.suspendedPings || {})) {
+      if (isPingExpired(ping, now)) delete session.suspendedPings[driverAccountId];
+    }
+  }
+
+  if (expired > 0) {
+    log(`🧹 Expired ${expired} ping(s)`);
+  }
+}
+
+/**
+ * Expire the user's pings whose pinged spot is now more than PING_MAX_DISTANCE away.
+ * @returns {string[]} the drivers whose ping expired
+ */
+function expireDistantPings(userAccountId, lat, lng) {
+  if (PING_MAX_DISTANCE === 0) return [];
+  return findActivePings(userAccountId).filter((driverAccountId) => {
+    const ping = getUserPing(drivers[driverAccountId], userAccountId);
+    if (calculateDistance(ping.lat, ping.lng, lat, lng) <= PING_MAX_DISTANCE) return false;
+    clearPing(driverAccountId, userAccountId, "pingExpired", "moved_away");
+    log(`🚶 Ping from ${userAccountId} to driver ${driverAccountId} expired (rider moved away)`);
+    return true;
+  });
+}
+
+/**
+ * Look up the waiting entry a driver event refers to ({ accountId, userAccountId }).
+ * The socket is notified with "error" when the driver or ping doesn't exist.
+ * @returns {{ driver: object, ping: object } | null}
+ */
+function getPingForDriverEvent(socket, eventName, data) {
+  const driver = drivers[data.accountId];
+  const ping = data.userAccountId ? driver?.waitingPassengers?.[data.userAccountId] : null;
+  if (!driver || !ping) {
+    socket.emit("error", { event: eventName, message: "Ping not found", userAccountId: data.userAccountId || null });
+    return null;
+  }
+  return { driver, ping };
+}
+
+/**
+ * Optional short note a driver attaches to a ping response.
+ */
+function normalizePingNote(note) {
+  if (typeof note !== "string") return null;
+  const trimmed = note.trim().slice(0, MAX_PING_NOTE_LENGTH);
+  return trimmed || null;
+}
+
+/**
+ * Re-apply the pings a user had active when their socket disconnected.
+ * Waitlisted pings rejoin the end of the driver's waitlist. Pings to drivers that no longer exist are dropped.
+ */
+function restoreSuspendedPings(socket, session) {
+  const suspendedPings = session.suspendedPings || {};
+  const userAccountId = session.accountId;
+  const restored = [];
+  const rejoinedWaitlists = [];
+
+  for (const [driverAccountId, ping] of Object.entries(suspendedPings)) {
+    const driver = drivers[driverAccountId];
+    if (!driver || isPingExpired(ping)) continue;
+
+    if (ping.waitlisted) {
+      const { waitlisted, waitlistedAt, ...entry } = ping;
+      const position = waitlistPing(driver, entry);
+      restored.push({
+        driverAccountId,
+        lat: ping.lat,
+        lng: ping.lng,
+        passengerCount: ping.passengerCount,
+        pingedAt: ping.pingedAt,
+        waitlisted: true,
+        position,
+      });
+      rejoinedWaitlists.push(driverAccountId);
+      continue;
+    }
+
+    if (!driver.waitingPassengers) {
+      driver.waitingPassengers = {};
+    }
+    driver.waitingPassengers[userAccountId] = ping;
+
+    if (isSocketConnected(driver.socketId) && !driver.disconnected) {
+      io.to(driver.socketId).emit("pingReceived", {
+        from: "user",
+        userAccountId,
+        lat: ping.lat,
+        lng: ping.lng,
+        passengerCount: ping.passengerCount,
+        timestamp: Date.now(),
+        restored: true,
+      });
+    }
+    broadcastWaitingPassengersUpdate(driverAccountId);
+
+    restored.push({
+      driverAccountId,
+      lat: ping.lat,
+      lng: ping.lng,
+      passengerCount: ping.passengerCount,
+      pingedAt: ping.pingedAt,
+    });
+  }
+
+  delete session.suspendedPings;
+
+  if (restored.length > 0) {
+    socket.emit("pingsRestored", { pings: restored });
+    log(`📍 [${userAccountId}] Restored ${restored.length} active ping(s) on session resume`);
+  }
+  // Seats may have freed up while the user was away
+  rejoinedWaitlists.forEach((driverAccountId) => promoteWaitlistedPings(driverAccountId));
+}
+
+/**
+ * Validate location data received from clients.
+ */
+function validateLocationData(data) {
+  if (!data || typeof data !== "object") return false;
+  if (!data.accountId || typeof data.accountId !== "string") return false;
+  // Coordinates are required for location updates
+  if (data.lat === undefined || data.lng === undefined) return false;
+  // Handle string coordinates (convert and validate)
+  const lat = typeof data.lat === "string" ? parseFloat(data.lat) : data.lat;
+  const lng = typeof data.lng === "string" ? parseFloat(data.lng) : data.lng;
+  if (typeof lat !== "number" || isNaN(lat) || lat < -90 || lat > 90)
+    return false;
+  if (typeof lng !== "number" || isNaN(lng) || lng < -180 || lng > 180)
+    return false;
+  return true;
+}
+
+/**
+ * Generate a session key: a random bearer credential that only the client holds. Sessions are
+ * stored, persisted and logged under hashSessionKey(key), so a state snapshot or log can't be replayed.
+ */
+function generateSessionKey() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+/**
+ * ID of the session a key belongs to (its SHA-256, hex).
+ */
+function hashSessionKey(sessionKey) {
+  return crypto.createHash("sha256").update(sessionKey).digest("hex");
+}
+
+/**
+ * Disconnect an old socket connection
+ * `notice` overrides the event/message sent to the socket before it is closed (e.g. admin force-disconnect).
+ */
+function disconnectOldSocket(oldSocketId, accountId, role, reason = "new connection established", notice = {}) {
+  if (!oldSocketId) return false;
+  
+  if (isSocketConnected(oldSocketId)) {
+    // A socket held by another cluster instance is reached through the adapter (io.to / io.in)
+    const oldSocket = io.sockets.sockets.get(oldSocketId);
+    const target = oldSocket || io.to(oldSocketId);
+    target.emit(notice.eventName || "connectionReplaced", {
+      message: notice.message || `A new connection was established for your account. This connection is being closed. Reason: ${reason}`,
+      timestamp: new Date().toISOString()
+    });
+    
+    // Read before disconnecting: the disconnect handler clears the socket's mappings synchronously
+    const oldSessionKey = socketIdToSessionKey[oldSocketId];
+    if (oldSocket) {
+      oldSocket.disconnect(true);
+    } else {
+      // Publish the caller's state changes (e.g. the new socket binding) first, so the owning
+      // instance's disconnect cleanup sees that the account has already moved to the new socket
+      setImmediate(() => {
+        syncState();
+        io.in(oldSocketId).disconnectSockets(true);
+      });
+    }
+    
+    // Clean up session mappings
+    if (oldSessionKey) {
+      delete sessionKeyToSocketId[oldSessionKey];
+      delete socketIdToSessionKey[oldSocketId];
+      delete sessions[oldSessionKey];
+    }
+    
+    log(`🔌 [${accountId || 'unknown'}] Disconnected old ${role} socket ${oldSocketId} (${reason})`);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Remove a driver from memory immediately (no grace period).
+ * Waiting passengers are notified with `waitingUserMessage`, all users get "driverRemoved".
+ * Used by endSession and the admin API.
+ * @returns {string[] | null} the notified waiting user IDs, or null if the driver wasn't found
+ */
+function removeDriver(accountId, reason, waitingUserMessage) {
+  const driver = drivers[accountId];
+  if (!driver) return null;
+
+  const waitingPassengerIds = [
+    ...Object.keys(driver.waitingPassengers || {}),
+    ...(driver.pingWaitlist || []).map((ping) => ping.userAccountId),
+  ];
+  const scopes = driverScopes(driver);
+
+  if (waitingPassengerIds.length > 0) {
+    log(`👥 Driver ${accountId} has ${waitingPassengerIds.length} waiting passenger(s) - notifying them before removal`);
+    
+    waitingPassengerIds.forEach((userId) => {
+      const userSocketId = accountIdToSocketId[userId];
+      if (userSocketId) {
+        if (isSocketConnected(userSocketId) && users[userId] && !users[userId].disconnected) {
+          io.to(userSocketId).emit("error", {
+            message: waitingUserMessage,
+            driverAccountId: accountId
+          });
+          log(`⚠️ Notified waiting user ${userId} that driver ${accountId} was removed (${reason})`);
+        }
+      }
+    });
+  }
+
+  closeDriverChats(accountId, reason);
+  endTrip(accountId, reason);
+  delete drivers[accountId];
+  delete compactPayloadState[accountId];
+  removeDriverFromIndex(accountId);
+  forgetDriverMotion(accountId);
+  if (driver.socketId) {
+    delete socketToAccountId[driver.socketId];
+  }
+  delete accountIdToSocketId[accountId];
+  
+  // Remove from pending state restoration if present
+  pendingStateRestore.delete(accountId);
+
+  // Notify the users who can see this driver that it is no longer available
+  organizationTarget(scopes).emit("driverRemoved", {
+    accountId: accountId,
+    timestamp: Date.now()
+  });
+  emitBusStatus(accountId, false, reason);
+
+  return waitingPassengerIds;
+}
+
+// ========== ORGANIZATIONS ==========
+/**
+ * Organizations are the tenants of the server. Every driver belongs to at most one organization;
+ * users subscribe to one or more organizations and only see (snapshots and broadcasts) the buses
+ * of those. Users without subscriptions see the buses of "public" organizations and of drivers
+ * without an organization. Organizations with visibility "subscribers" can only be joined with a
+ * token whose `org` / `orgs` claim names them.
+ * Seeded from ORGANIZATIONS_FILE (a JSON array) and managed through the admin API.
+ */
+const ORGANIZATION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const ORGANIZATION_VISIBILITIES = ["public", "subscribers"];
+// Per-organization settings; unset ones fall back to the server-wide configuration
+const ORGANIZATION_SETTINGS_SCHEMA = {
+  maxCapacity: { type: "integer", min: 1, max: 500 }, // Upper bound for a driver's reported maxCapacity
+  maxSnapshotDrivers: { type: "integer", min: 0 }, // Overrides MAX_SNAPSHOT_DRIVERS for this organization's buses
+  maxBoardingPassengers: { type: "integer", min: 1 }, // Overrides MAX_BOARDING_PASSENGERS
+  pingCapacityPolicy: { type: "enum", values: CONFIG_SCHEMA.PING_CAPACITY_POLICY.values }, // Overrides PING_CAPACITY_POLICY
+  waitingPassengerPrivacy: { type: "enum", values: CONFIG_SCHEMA.WAITING_PASSENGER_PRIVACY.values }, // Overrides WAITING_PASSENGER_PRIVACY
+};
+
+/**
+ * Validate an organization definition (file entry or admin API body).
+ * @returns {{ organization: object } | { error: string }}
+ */
+function normalizeOrganization(organizationId, input, existing = null) {
+  if (typeof organizationId !== "string" || !ORGANIZATION_ID_PATTERN.test(organizationId)) {
+    return { error: "organizationId must be 1-64 letters, digits, '-' or '_'" };
+  }
+  if (organizationId === PUBLIC_SCOPE) return { error: `"${PUBLIC_SCOPE}" is a reserved organizationId` };
+  if (!input || typeof input !== "object" || Array.isArray(input)) return { error: "organization must be an object" };
+
+  const name = typeof input.name === "string" ? input.name.trim() : "";
+  if (!name) return { error: "name must be a non-empty string" };
+  const visibility = input.visibility ?? "public";
+  if (!ORGANIZATION_VISIBILITIES.includes(visibility)) {
+    return { error: `visibility must be one of: ${ORGANIZATION_VISIBILITIES.join(", ")}` };
+  }
+
+  const settings = {};
+  for (const [key, value] of Object.entries(input.settings || {})) {
+    const spec = ORGANIZATION_SETTINGS_SCHEMA[key];
+    if (!spec) return { error: `settings.${key}: unknown setting` };
+    if (value === null) continue;
+    const result = parseConfigValue(spec, value);
+    if (result.error) return { error: `settings.${key} ${result.error}` };
+    settings[key] = result.value;
+  }
+
+  const now = new Date().toISOString();
+  return {
+    organization: {
+      organizationId,
+      name,
+      visibility,
+      settings,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    },
+  };
+}
+
+/**
+ * Add the organizations listed in ORGANIZATIONS_FILE that aren't known yet.
+ * Organizations already restored from the state store keep their (possibly admin-edited) definition.
+ */
+function seedOrganizations() {
+  if (!fs.existsSync(ORGANIZATIONS_FILE_PATH)) return;
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(ORGANIZATIONS_FILE_PATH, "utf8"));
+    if (!Array.isArray(entries)) throw new Error("must contain a JSON array");
+  } catch (error) {
+    log(`❌ Failed to load ${ORGANIZATIONS_FILE_PATH}: ${error.message}`, "error");
+    return;
+  }
+
+  let seeded = 0;
+  for (const entry of entries) {
+    if (organizations[entry?.organizationId]) continue;
+    const { organization, error } = normalizeOrganization(entry?.organizationId, entry);
+    if (error) {
+      log(`❌ Skipping organization ${JSON.stringify(entry?.organizationId)} in ${ORGANIZATIONS_FILE_PATH}: ${error}`, "error");
+      continue;
+    }
+    organizations[organization.organizationId] = organization;
+    seeded++;
+  }
+  if (seeded > 0) log(`🏢 Loaded ${seeded} organization(s) from ${ORGANIZATIONS_FILE_PATH}`);
+}
+
+function serializeOrganization(organization) {
+  return {
+    organizationId: organization.organizationId,
+    name: organization.name,
+    visibility: organization.visibility,
+    settings: organization.settings,
+  };
+}
+
+/**
+ * A per-organization setting, or `fallback` when the organization doesn't set it.
+ */
+function getOrganizationSetting(organizationId, key, fallback) {
+  return organizations[organizationId]?.settings?.[key] ?? fallback;
+}
+
+/**
+ * Whether buses of an organization (null: no organization) are shown to users without subscriptions.
+ */
+function isPublicOrganization(organizationId) {
+  const organization = organizationId && organizations[organizationId];
+  return !organization || organization.visibility === "public";
+}
+
+/**
+ * Public organization whose name matches a legacy free-text organizationName (case-insensitive).
+ */
+function findPublicOrganizationByName(name) {
+  if (typeof name !== "string" || !name.trim()) return null;
+  const wanted = name.trim().toLowerCase();
+  return (
+    Object.values(organizations).find(
+      (organization) => organization.visibility === "public" && organization.name.toLowerCase() === wanted
+    ) || null
+  );
+}
+
+/**
+ * Organization IDs a verified token grants access to (`org` and/or `orgs` claims).
+ */
+function claimedOrganizationIds(claims) {
+  const claimed = [];
+  if (typeof claims?.org === "string") claimed.push(claims.org);
+  if (Array.isArray(claims?.orgs)) claimed.push(...claims.orgs.filter((id) => typeof id === "string"));
+  return claimed;
+}
+
+/**
+ * Whether a user may subscribe to an organization: public ones are open, the others need a token claim.
+ */
+function canSubscribeToOrganization(claims, organizationId) {
+  const organization = organizations[organizationId];
+  if (!organization) return false;
+  return organization.visibility === "public" || claimedOrganizationIds(claims).includes(organizationId);
+}
+
+/**
+ * Validate the organizations a user asks to subscribe to.
+ * @returns {{ organizationIds: string[] } | { error: string }}
+ */
+function resolveUserOrganizations(claims, organizationIds) {
+  if (organizationIds === undefined || organizationIds === null) return { organizationIds: [] };
+  if (!Array.isArray(organizationIds)) return { error: "organizationIds must be an array" };
+  const unique = Array.from(new Set(organizationIds));
+  if (unique.length > MAX_ORGANIZATION_SUBSCRIPTIONS) {
+    return { error: `Cannot subscribe to more than ${MAX_ORGANIZATION_SUBSCRIPTIONS} organizations` };
+  }
+  for (const organizationId of unique) {
+    if (typeof organizationId !== "string" || !organizations[organizationId]) {
+      return { error: `Unknown organization: ${organizationId}` };
+    }
+    if (!canSubscribeToOrganization(claims, organizationId)) {
+      return { error: `Not authorized to subscribe to organization ${organizationId}` };
+    }
+  }
+  return { organizationIds: unique };
+}
+
+/**
+ * Determine a driver's organization at registration: the token's `org` claim, else the requested
+ * organizationId (public organizations only), else a public organization matching the legacy
+ * organizationName; drivers matching none have no organization.
+ * @returns {{ organizationId: string | null } | { error: string }}
+ */
+function resolveDriverOrganization(claims, requestedOrganizationId, organizationName) {
+  const claimedOrganizationId = typeof claims?.org === "string" ? claims.org : null;
+  if (claimedOrganizationId) {
+    if (requestedOrganizationId && requestedOrganizationId !== claimedOrganizationId) {
+      return { error: "organizationId does not match the authenticated organization" };
+    }
+    if (!organizations[claimedOrganizationId]) return { error: `Unknown organization: ${claimedOrganizationId}` };
+    return { organizationId: claimedOrganizationId };
+  }
+  if (requestedOrganizationId) {
+    const organization = organizations[requestedOrganizationId];
+    if (!organization) return { error: `Unknown organization: ${requestedOrganizationId}` };
+    if (organization.visibility !== "public") {
+      return { error: `Organization ${requestedOrganizationId} requires a token issued for it` };
+    }
+    return { organizationId: requestedOrganizationId };
+  }
+  return { organizationId: findPublicOrganizationByName(organizationName)?.organizationId || null };
+}
+
+/**
+ * Broadcast scopes of an organization's buses: the organization, plus the public scope when users
+ * without subscriptions may see them.
+ */
+function organizationScopes(organizationId) {
+  const scopes = organizationId ? [organizationId] : [];
+  if (isPublicOrganization(organizationId)) scopes.push(PUBLIC_SCOPE);
+  return scopes;
+}
+
+function driverScopes(driver) {
+  return organizationScopes(driver?.organizationId);
+}
+
+/**
+ * Scopes a socket receives buses from: its subscribed organizations, or the public scope.
+ * Subscriptions replace the public view rather than adding to it, so a rider subscribed to an
+ * organization sees only that organization's buses (public organizations' included).
+ */
+function socketScopes(socket) {
+  return socket.organizationIds?.length ? socket.organizationIds : [PUBLIC_SCOPE];
+}
+
+function canSeeDriver(socket, driver) {
+  const scopes = socketScopes(socket);
+  return driverScopes(driver).some((scope) => scopes.includes(scope));
+}
+
+/**
+ * Socket.IO room for bus lifecycle events (driverDisconnected, driverRemoved) of a scope.
+ */
+function organizationRoom(scope) {
+  return `org:${scope}`;
+}
+
+/**
+ * Broadcast target for the users that can see a driver (any subscription matching its scopes).
+ */
+function organizationTarget(scopes) {
+  return io.to(scopes.map(organizationRoom));
+}
+
+/**
+ * (Re)subscribe a user socket to organizations (an empty list means the public view).
+ */
+function applyOrganizationSubscriptions(socket, organizationIds) {
+  (socket.organizationRooms || []).forEach((room) => socket.leave(room));
+  socket.organizationIds = organizationIds;
+  socket.organizationRooms = socketScopes(socket).map(organizationRoom);
+  socket.join(socket.organizationRooms);
+
+  // Watched buses the new subscriptions don't cover (or that are gone) are dropped
+  const watchedBuses = Array.from(socket.watchedBuses || []);
+  const visibleBuses = watchedBuses.filter((busAccountId) => drivers[busAccountId] && canSeeDriver(socket, drivers[busAccountId]));
+  if (visibleBuses.length !== watchedBuses.length) {
+    watchedBuses
+      .filter((busAccountId) => !visibleBuses.includes(busAccountId))
+      .forEach((busAccountId) => leaveUpdateRooms(socket, [busRoom(busAccountId)]));
+    socket.watchedBuses = new Set(visibleBuses);
+    if (visibleBuses.length === 0) socket.exclusiveWatch = false;
+    const session = sessions[socketIdToSessionKey[socket.id]];
+    if (session) {
+      session.watchedBuses = visibleBuses;
+      session.exclusiveWatch = socket.exclusiveWatch === true;
+    }
+  }
+  applyViewport(socket, socket.viewport || null);
+  applyStopWatches(socket);
+}
+
+/**
+ * Clamp a driver-reported maxCapacity to its organization's limit.
+ */
+function clampToOrganizationCapacity(organizationId, maxCapacity) {
+  const limit = getOrganizationSetting(organizationId, "maxCapacity", null);
+  if (limit === null || typeof maxCapacity !== "number") return maxCapacity;
+  return Math.min(maxCapacity, limit);
+}
+
+// ========== SPATIAL INDEX & VIEWPORTS ==========
+
+/**
+ * Grid cell key for a coordinate.
+ */
+function gridCellKey(lat, lng) {
+  return `${Math.floor(lat / GRID_CELL_SIZE)}:${Math.floor(lng / GRID_CELL_SIZE)}`;
+}
+
+/**
+ * Socket.IO room for the users of a scope (organization or public) whose viewport covers a grid cell.
+ */
+function viewportRoom(scope, cellKey) {
+  return `viewport:${scope}:${cellKey}`;
+}
+
+/**
+ * Socket.IO room for the users of a scope without a viewport subscription (they receive every bus).
+ */
+function allBusesRoom(scope) {
+  return `user:all:${scope}`;
+}
+
+/**
+ * Place a driver in the spatial index.
+ * @returns {string | null} the cell the driver was in before this update
+ */
+function indexDriverLocation(accountId, lat, lng) {
+  const previousCellKey = driverGridCells[accountId] || null;
+  const cellKey = gridCellKey(lat, lng);
+
+  if (cellKey !== previousCellKey) {
+    if (previousCellKey) {
+      const previousCell = gridCellDrivers.get(previousCellKey);
+      previousCell?.delete(accountId);
+      if (previousCell && previousCell.size === 0) gridCellDrivers.delete(previousCellKey);
+    }
+    if (!gridCellDrivers.has(cellKey)) gridCellDrivers.set(cellKey, new Set());
+    gridCellDrivers.get(cellKey).add(accountId);
+    driverGridCells[accountId] = cellKey;
+  }
+  return previousCellKey;
+}
+
+/**
+ * Remove a driver from the spatial index (driver removed from memory).
+ */
+function removeDriverFromIndex(accountId) {
+  const cellKey = driverGridCells[accountId];
+  if (!cellKey) return;
+  const cell = gridCellDrivers.get(cellKey);
+  cell?.delete(accountId);
+  if (cell && cell.size === 0) gridCellDrivers.delete(cellKey);
+  delete driverGridCells[accountId];
+}
+
+/**
+ * Place a registry stop in the spatial index (again, if it moved).
+ */
+function indexStop(stop) {
+  const cellKey = gridCellKey(stop.lat, stop.lng);
+  if (stopGridCells[stop.stopId] === cellKey) return;
+  removeStopFromIndex(stop.stopId);
+  if (!gridCellStops.has(cellKey)) gridCellStops.set(cellKey, new Set());
+  gridCellStops.get(cellKey).add(stop.stopId);
+  stopGridCells[stop.stopId] = cellKey;
+}
+
+function removeStopFromIndex(stopId) {
+  const cellKey = stopGridCells[stopId];
+  if (!cellKey) return;
+  const cell = gridCellStops.get(cellKey);
+  cell?.delete(stopId);
+  if (cell && cell.size === 0) gridCellStops.delete(cellKey);
+  delete stopGridCells[stopId];
+}
+
+/**
+ * The stops in a point's grid cell and the 8 cells around it. Stop geofences (at most 1 km plus
+ * GEOFENCE_EXIT_MARGIN) are much smaller than a cell, so these hold every stop a bus can be inside.
+ */
+function getStopsNear(lat, lng) {
+  const row = Math.floor(lat / GRID_CELL_SIZE);
+  const col = Math.floor(lng / GRID_CELL_SIZE);
+  const nearby = [];
+  for (let r = row - 1; r <= row + 1; r++) {
+    for (let c = col - 1; c <= col + 1; c++) {
+      gridCellStops.get(`${r}:${c}`)?.forEach((stopId) => {
+        if (stops[stopId]) nearby.push(stops[stopId]);
+      });
+    }
+  }
+  return nearby;
+}
+
+/**
+ * Validate and normalize a viewport bounding box ({ minLat, minLng, maxLat, maxLng }).
+ * @returns {object | null} null when the bounding box is missing or invalid
+ */
+function normalizeViewport(data) {
+  if (!data || typeof data !== "object") return null;
+  const [minLat, minLng, maxLat, maxLng] = [data.minLat, data.minLng, data.maxLat, data.maxLng].map(
+    (value) => (typeof value === "string" ? parseFloat(value) : value)
+  );
+  if (![minLat, minLng, maxLat, maxLng].every((value) => typeof value === "number" && isFinite(value))) return null;
+  if (minLat < -90 || maxLat > 90 || minLng < -180 || maxLng > 180) return null;
+  if (minLat > maxLat || minLng > maxLng) return null;
+  return { minLat, minLng, maxLat, maxLng };
+}
+
+function isInViewport(viewport, lat, lng) {
+  return (
+    typeof lat === "number" &&
+    typeof lng === "number" &&
+    lat >= viewport.minLat &&
+    lat <= viewport.maxLat &&
+    lng >= viewport.minLng &&
+    lng <= viewport.maxLng
+  );
+}
+
+/**
+ * Grid cells covered by a viewport.
+ * @returns {string[] | null} null when the viewport spans more than MAX_VIEWPORT_CELLS cells
+ */
+function getViewportCellKeys(viewport) {
+  const minRow = Math.floor(viewport.minLat / GRID_CELL_SIZE);
+  const maxRow = Math.floor(viewport.maxLat / GRID_CELL_SIZE);
+  const minCol = Math.floor(viewport.minLng / GRID_CELL_SIZE);
+  const maxCol = Math.floor(viewport.maxLng / GRID_CELL_SIZE);
+  if ((maxRow - minRow + 1) * (maxCol - minCol + 1) > MAX_VIEWPORT_CELLS) return null;
+
+  const cellKeys = [];
+  for (let row = minRow; row <= maxRow; row++) {
+    for (let col = minCol; col <= maxCol; col++) {
+      cellKeys.push(`${row}:${col}`);
+    }
+  }
+  return cellKeys;
+}
+
+/**
+ * Drivers whose current location is inside a viewport.
+ */
+function getDriversInViewport(viewport) {
+  const cellKeys = getViewportCellKeys(viewport);
+  const candidateIds =
+    cellKeys && cellKeys.length < gridCellDrivers.size
+      ? cellKeys.flatMap((cellKey) => Array.from(gridCellDrivers.get(cellKey) || []))
+      : Object.keys(drivers);
+
+  return candidateIds
+    .map((accountId) => drivers[accountId])
+    .filter((driver) => driver && driver.accountId && isInViewport(viewport, driver.lat, driver.lng));
+}
+
+/**
+ * (Re)subscribe a user socket to a viewport, or to every bus when viewport is null.
+ */
+function applyViewport(socket, viewport) {
+  const previousRooms = new Set(socket.viewportRooms || []);
+  leaveUpdateRooms(socket, socket.viewportRooms || []);
+  socket.viewport = viewport || null;
+  socket.viewportRooms = [];
+
+  // While exclusively watching buses (watchBus), the viewport is remembered but not joined
+  if (socket.exclusiveWatch) return;
+
+  const scopes = socketScopes(socket);
+  const cellKeys = viewport ? getViewportCellKeys(viewport) : null;
+  if (!cellKeys) {
+    // No viewport, or too large to index: receive every bus (snapshots are still filtered to the viewport)
+    socket.viewportRooms = scopes.map(allBusesRoom);
+  } else {
+    socket.viewportRooms = scopes.flatMap((scope) => cellKeys.map((cellKey) => viewportRoom(scope, cellKey)));
+  }
+  joinUpdateRooms(socket, socket.viewportRooms);
+
+  // Buses of the rooms the socket wasn't in before
+  const joinedRooms = new Set(socket.viewportRooms.filter((room) => !previousRooms.has(room)));
+  if (joinedRooms.size === 0) return;
+  const joinedCellKeys = cellKeys?.filter((cellKey) => scopes.some((scope) => joinedRooms.has(viewportRoom(scope, cellKey))));
+  sendKeyframes(
+    socket,
+    joinedCellKeys ? joinedCellKeys.flatMap((cellKey) => Array.from(gridCellDrivers.get(cellKey) || [])) : Object.keys(drivers)
+  );
+}
+
+/**
+ * Socket.IO room for the users following a single bus (watchBus).
+ */
+function busRoom(accountId) {
+  return `bus:${accountId}`;
+}
+
+/**
+ * Rooms of a bus update: users watching every bus, users whose viewport covers the bus, and users
+ * following that bus, limited to the bus's organization scopes. When the bus just changed cells,
+ * viewers of the previous cell are included so they see it leave.
+ */
+function busUpdateRooms(accountId, previousCellKey = null) {
+  const rooms = [busRoom(accountId)];
+  const cellKey = driverGridCells[accountId];
+  for (const scope of driverScopes(drivers[accountId])) {
+    rooms.push(allBusesRoom(scope));
+    if (cellKey) rooms.push(viewportRoom(scope, cellKey));
+    if (previousCellKey && previousCellKey !== cellKey) rooms.push(viewportRoom(scope, previousCellKey));
+  }
+  return rooms;
+}
+
+function busUpdateTarget(accountId, previousCellKey = null) {
+  return io.to(busUpdateRooms(accountId, previousCellKey));
+}
+
+/**
+ * Notify users following a bus that it went online or offline.
+ */
+function emitBusStatus(accountId, isOnline, reason) {
+  io.to(busRoom(accountId)).emit("busStatus", {
+    accountId,
+    isOnline,
+    reason,
+    timestamp: Date.now(),
+  });
+}
+
+// ========== COMPACT LOCATION UPDATES ==========
+/**
+ * Clients pick the locationUpdate format in registerRole ({ payloadFormats: ["compact-v1", "full"] },
+ * most preferred first); "full" is the default. Alongside each bus update room (viewport cell, all
+ * buses, single bus) a socket joins that room's twin for its format, and every locationUpdate is
+ * emitted once to each format's twins.
+ *
+ * compact-v1 carries the scalar fields of the full payload, with coordinates polyline-encoded
+ * (`position` and `destination` at precision 6, `geometry` at precision 5) and the route geometry
+ * and waiting list replaced by version hashes (`geometryVersion`, `waitingVersion`). The parts
+ * themselves are included only when their version changed since the bus's previous broadcast;
+ * clients that see an unknown version ask for a keyframe with requestBusKeyframe. A socket entering
+ * a bus or viewport room is sent a keyframe for each bus it starts receiving.
+ */
+const PAYLOAD_FORMATS = ["full", "compact-v1"];
+const COMPACT_COORDINATE_PRECISION = 6;
+
+function formatRoom(room, format) {
+  return `${room}|${format}`;
+}
+
+/**
+ * The first supported format of a client's preference (a format name or a list of them).
+ */
+function negotiatePayloadFormat(requested) {
+  const preferences = Array.isArray(requested) ? requested : [requested];
+  return preferences.find((format) => PAYLOAD_FORMATS.includes(format)) || "full";
+}
+
+/**
+ * Join bus update rooms, along with their twins for the socket's payload format.
+ */
+function joinUpdateRooms(socket, rooms) {
+  socket.join(rooms.flatMap((room) => [room, formatRoom(room, socket.payloadFormat)]));
+}
+
+function leaveUpdateRooms(socket, rooms) {
+  for (const room of rooms) {
+    socket.leave(room);
+    socket.leave(formatRoom(room, socket.payloadFormat));
+  }
+}
+
+function applyPayloadFormat(socket, format) {
+  const rooms = [...(socket.viewportRooms || []), ...Array.from(socket.watchedBuses || [], busRoom)];
+  leaveUpdateRooms(socket, rooms);
+  socket.payloadFormat = format;
+  joinUpdateRooms(socket, rooms);
+}
+
+/**
+ * Send a compact-v1 socket a keyframe of each bus it just started receiving, so it doesn't depend
+ * on the next broadcast (or a requestBusKeyframe) for the geometry and waiting list.
+ */
+function sendKeyframes(socket, driverAccountIds) {
+  if (socket.payloadFormat !== "compact-v1") return;
+  for (const accountId of new Set(driverAccountIds)) {
+    const driver = drivers[accountId];
+    if (!driver || !driver.lat || !driver.lng || !canSeeDriver(socket, driver)) continue;
+    socket.emit("locationUpdate", encodeCompactLocationUpdate(buildLocationUpdate(driver), { keyframe: true }));
+  }
+}
+
+function hashPayloadPart(value) {
+  return crypto.createHash("sha1").update(value).digest("hex").slice(0, 12);
+}
+
+function encodePoint(lat, lng) {
+  return typeof lat === "number" && typeof lng === "number"
+    ? encodePolyline([[lat, lng]], COMPACT_COORDINATE_PRECISION)
+    : null;
+}
+
+/**
+ * Encode a full locationUpdate payload as compact-v1. With `keyframe`, geometry and waiting list
+ * are always included (and the broadcast versions are left alone).
+ */
+function encodeCompactLocationUpdate(payload, { keyframe = false } = {}) {
+  const { lat, lng, destinationLat, destinationLng, geometry, waitingUsers, ...fields } = payload;
+  if (!compactPayloadState[payload.accountId]) compactPayloadState[payload.accountId] = {};
+  const state = compactPayloadState[payload.accountId];
+
+  // The geometry is re-encoded only when the driver sends a new one
+  if (state.geometry !== geometry) {
+    const coordinates = extractRouteCoordinates(geometry);
+    state.geometry = geometry;
+    state.encodedGeometry = coordinates.length > 0 ? encodePolyline(coordinates) : null;
+    state.geometryVersion = state.encodedGeometry ? hashPayloadPart(state.encodedGeometry) : null;
+  }
+  const waiting = {
+    userIds: (waitingUsers || []).map((passenger) => passenger.userId),
+    passengerCounts: (waitingUsers || []).map((passenger) => passenger.passengerCount),
+    positions: encodePolyline(
+      (waitingUsers || []).map((passenger) => [passenger.lat, passenger.lng]),
+      COMPACT_COORDINATE_PRECISION
+    ),
+  };
+  const waitingVersion = hashPayloadPart(JSON.stringify(waiting));
+
+  const compact = {
+    ...fields,
+    format: "compact-v1",
+    position: encodePoint(lat, lng),
+    destination: encodePoint(destinationLat, destinationLng),
+    geometryVersion: state.geometryVersion ?? null,
+    waitingVersion,
+  };
+  if (keyframe || state.sentGeometryVersion !== state.geometryVersion) {
+    compact.geometry = state.encodedGeometry;
+  }
+  if (keyframe || state.sentWaitingVersion !== waitingVersion) {
+    compact.waitingUsers = waiting;
+  }
+  if (!keyframe) {
+    state.sentGeometryVersion = state.geometryVersion;
+    state.sentWaitingVersion = waitingVersion;
+  }
+  return compact;
+}
+
+/**
+ * The full locationUpdate payload for a driver's current state.
+ */
+function buildLocationUpdate(driver) {
+  return {
+    from: "driver",
+    accountId: driver.accountId,
+    lat: driver.lat,
+    lng: driver.lng,
+    geometry: driver.geometry,
+    routeId: driver.routeId || null,
+    destinationName: driver.destinationName || "Unknown",
+    destinationLat: driver.destinationLat,
+    destinationLng: driver.destinationLng,
+    passengerCount: driver.passengerCount || 0,
+    maxCapacity: driver.maxCapacity || 0,
+    waitingUsersCount: Object.values(driver.waitingPassengers || {}).reduce(
+      (sum, passenger) => sum + (passenger.passengerCount || 1),
+      0
+    ),
+    waitingUsers: serializeWaitingPassengers(driver),
+    lastUpdated: driver.lastUpdated || new Date().toISOString(),
+    isOnline: !driver.disconnected,
+  };
+}
+
+/**
+ * Broadcast a locationUpdate to the bus's viewers, in each socket's negotiated format.
+ */
+function emitLocationUpdate(accountId, payload, previousCellKey = null) {
+  const rooms = busUpdateRooms(accountId, previousCellKey);
+  io.to(rooms.map((room) => formatRoom(room, "full"))).emit("locationUpdate", payload);
+  io.to(rooms.map((room) => formatRoom(room, "compact-v1"))).emit("locationUpdate", encodeCompactLocationUpdate(payload));
+}
+
+// ========== SNAPSHOTS ==========
+
+/**
+ * Detailed info for a single bus (getBusInfo / watchBus).
+ */
+function buildBusInfo(driver) {
+  return {
+    from: "server",
+    accountId: driver.accountId,
+    organizationId: driver.organizationId || null,
+    organizationName: driver.organizationName,
+    routeId: driver.routeId || null,
+    destinationName: driver.destinationName,
+    destinationLat: driver.destinationLat,
+    destinationLng: driver.destinationLng,
+
+    passengerCount: driver.passengerCount,
+    maxCapacity: driver.maxCapacity,
+    remainingSeats: getRemainingSeats(driver),
+    waitlistCount: (driver.pingWaitlist || []).length,
+    lastUpdated: driver.lastUpdated,
+  };
+}
+
+/**
+ * Drivers a socket should see in snapshots: those of its organizations inside its viewport,
+ * or every active driver of its organizations.
+ */
+function getVisibleDrivers(socket) {
+  const candidates = socket.viewport
+    ? getDriversInViewport(socket.viewport)
+    : Object.values(drivers).filter((driver) => driver.accountId && (driver.lat || driver.geometry));
+  return candidates.filter((driver) => canSeeDriver(socket, driver));
+}
+
+/**
+ * Serialize a driver for snapshot payloads (lastUpdated is server-only, used for sorting).
+ * Waiting users are shown in full detail only to the driver themselves (`viewerAccountId`).
+ */
+function serializeDriverForSnapshot(driver, viewerAccountId = null) {
+  // Calculate waiting passengers data
+  const waitingPassengersList = serializeWaitingPassengers(driver, viewerAccountId === driver.accountId);
+  const totalWaitingPassengers = Object.values(driver.waitingPassengers || {}).reduce(
+    (sum, passenger) => sum + (passenger.passengerCount || 1),
+    0
+  );
+
+  return {
+    accountId: driver.accountId,
+    lat: driver.lat,
+    lng: driver.lng,
+    geometry: driver.geometry, // CRITICAL: Includes the polyline
+    destinationName: driver.destinationName,
+    destinationLat: driver.destinationLat,
+    destinationLng: driver.destinationLng,
+    passengerCount: driver.passengerCount ?? 0,
+    maxCapacity: driver.maxCapacity ?? 0,
+    organizationId: driver.organizationId || null,
+    organizationName: driver.organizationName,
+    routeId: driver.routeId || null,
+    lastUpdated: driver.lastUpdated,
+    isOnline: !driver.disconnected, // Include connection status
+    waitingUsersCount: totalWaitingPassengers,
+    waitingUsers: waitingPassengersList
+  };
+}
+
+/**
+ * Build the driversSnapshot payload for a socket.
+ * Each organization's buses are limited to its maxSnapshotDrivers (default MAX_SNAPSHOT_DRIVERS)
+ * most recently updated drivers.
+ */
+function buildDriversSnapshot(socket) {
+  const byOrganization = new Map();
+  const viewerAccountId = socketToAccountId[socket.id];
+  for (const driver of getVisibleDrivers(socket).map((visible) => serializeDriverForSnapshot(visible, viewerAccountId))) {
+    const group = byOrganization.get(driver.organizationId) || [];
+    group.push(driver);
+    byOrganization.set(driver.organizationId, group);
+  }
+
+  let driversArray = [];
+  let totalDrivers = 0;
+  let limited = false;
+  for (const [organizationId, group] of byOrganization) {
+    const maxDrivers = getOrganizationSetting(organizationId, "maxSnapshotDrivers", MAX_SNAPSHOT_DRIVERS);
+    totalDrivers += group.length;
+    if (maxDrivers > 0 && group.length > maxDrivers) {
+      limited = true;
+      group
+        .sort((a, b) => new Date(b.lastUpdated || 0) - new Date(a.lastUpdated || 0))
+        .splice(maxDrivers);
+    }
+    driversArray = driversArray.concat(group);
+  }
+
+  return {
+    drivers: driversArray.map(({ lastUpdated, ...driver }) => driver),
+    count: driversArray.length,
+    total: totalDrivers,
+    limited,
+    viewport: socket.viewport || null,
+    organizationIds: socket.organizationIds || [],
+    alerts: getAlertsForSocket(socket),
+  };
+}
+
+/**
+ * Build the currentData (late joiner) payload for a socket.
+ */
+function buildCurrentData(socket) {
+  return {
+    buses: getVisibleDrivers(socket)
+      .map((driver) => serializeDriverForSnapshot(driver, socketToAccountId[socket.id]))
+      .map(({ lastUpdated, ...driver }) => driver),
+    alerts: getAlertsForSocket(socket),
+  };
+}
+
+// ========== NEARBY BUSES ==========
+
+/**
+ * Validate a nearby-buses query (socket payload or REST query string; values may be strings).
+ * @returns {{ error: string } | { query: object }}
+ */
+function parseNearbyQuery(input) {
+  const toNumber = (value) => (typeof value === "string" && value.trim() !== "" ? Number(value) : value);
+  const lat = toNumber(input?.lat);
+  const lng = toNumber(input?.lng);
+  const radius = toNumber(input?.radius) ?? DEFAULT_NEARBY_RADIUS;
+  const limit = toNumber(input?.limit) ?? DEFAULT_NEARBY_LIMIT;
+  const offset = toNumber(input?.offset) ?? 0;
+  const minSeats = toNumber(input?.minSeats);
+
+  if (typeof lat !== "number" || isNaN(lat) || lat < -90 || lat > 90) return { error: "Invalid latitude" };
+  if (typeof lng !== "number" || isNaN(lng) || lng < -180 || lng > 180) return { error: "Invalid longitude" };
+  if (typeof radius !== "number" || isNaN(radius) || radius <= 0 || radius > MAX_NEARBY_RADIUS) {
+    return { error: `radius must be between 1 and ${MAX_NEARBY_RADIUS} meters` };
+  }
+  if (typeof limit !== "number" || !Number.isInteger(limit) || limit < 1 || limit > MAX_NEARBY_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_NEARBY_LIMIT}` };
+  }
+  if (typeof offset !== "number" || !Number.isInteger(offset) || offset < 0) {
+    return { error: "offset must be a non-negative integer" };
+  }
+  if (minSeats !== undefined && (typeof minSeats !== "number" || !Number.isInteger(minSeats) || minSeats < 1)) {
+    return { error: "minSeats must be a positive integer" };
+  }
+
+  return {
+    query: {
+      lat,
+      lng,
+      radius,
+      limit,
+      offset,
+      minSeats,
+      organization: typeof input.organization === "string" && input.organization.trim() ? input.organization.trim() : undefined,
+      destination: typeof input.destination === "string" && input.destination.trim() ? input.destination.trim() : undefined,
+    },
+  };
+}
+
+/**
+ * Whether a driver matches an organization filter (organizationId, or name case-insensitive).
+ */
+function matchesOrganizationFilter(driver, organization) {
+  if (!organization) return true;
+  return (
+    driver.organizationId === organization ||
+    (driver.organizationName || "").toLowerCase() === organization.toLowerCase()
+  );
+}
+
+/**
+ * Buses within `radius` meters of a point, nearest first, among the buses visible in `scopes`.
+ * Optional filters: organization (ID, or exact name case-insensitive), destination (substring,
+ * case-insensitive) and minSeats (available seats; buses with unknown capacity are excluded when set).
+ */
+function findNearbyBuses({ lat, lng, radius, limit, offset = 0, organization, destination, minSeats }, scopes = [PUBLIC_SCOPE]) {
+  const destinationFilter = destination?.toLowerCase();
+
+  const matches = getDriversInViewport(boundingBoxAround(lat, lng, radius))
+    .map((driver) => ({ driver, distance: calculateDistance(lat, lng, driver.lat, driver.lng) }))
+    .filter(({ driver, distance }) => {
+      if (distance > radius) return false;
+      if (!driverScopes(driver).some((scope) => scopes.includes(scope))) return false;
+      if (!matchesOrganizationFilter(driver, organization)) return false;
+      if (destinationFilter && !(driver.destinationName || "").toLowerCase().includes(destinationFilter)) return false;
+      if (minSeats !== undefined) {
+        if (!driver.maxCapacity) return false;
+        if (driver.maxCapacity - (driver.passengerCount ?? 0) < minSeats) return false;
+      }
+      return true;
+    })
+    .sort((a, b) => a.distance - b.distance);
+
+  return {
+    buses: matches.slice(offset, offset + limit).map(({ driver, distance }) => ({
+      accountId: driver.accountId,
+      lat: driver.lat,
+      lng: driver.lng,
+      organizationId: driver.organizationId || null,
+      organizationName: driver.organizationName,
+      routeId: driver.routeId || null,
+      destinationName: driver.destinationName,
+      destinationLat: driver.destinationLat,
+      destinationLng: driver.destinationLng,
+      passengerCount: driver.passengerCount ?? 0,
+      maxCapacity: driver.maxCapacity ?? 0,
+      availableSeats: driver.maxCapacity ? Math.max(driver.maxCapacity - (driver.passengerCount ?? 0), 0) : null,
+      isOnline: !driver.disconnected,
+      lastUpdated: driver.lastUpdated,
+      distanceMeters: Math.round(distance),
+    })),
+    total: matches.length,
+  };
+}
+
+// ========== ETA ==========
+
+/**
+ * Send an event to the socket currently registered for an account (if connected).
+ */
+function emitToAccount(accountId, eventName, payload) {
+  const socketId = accountIdToSocketId[accountId];
+  if (!socketId) return false;
+  io.to(socketId).emit(eventName, payload);
+  return true;
+}
+
+/**
+ * Encode [lat, lng] pairs as an encoded polyline (Google polyline algorithm).
+ */
+function encodePolyline(coordinates, precision = 5) {
+  const factor = 10 ** precision;
+  const encodeValue = (value) => {
+    let remaining = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = "";
+    while (remaining >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+      remaining >>= 5;
+    }
+    return chunk + String.fromCharCode(remaining + 63);
+  };
+
+  let encoded = "";
+  let previousLat = 0, previousLng = 0;
+  for (const [lat, lng] of coordinates) {
+    const scaledLat = Math.round(lat * factor);
+    const scaledLng = Math.round(lng * factor);
+    encoded += encodeValue(scaledLat - previousLat) + encodeValue(scaledLng - previousLng);
+    previousLat = scaledLat;
+    previousLng = scaledLng;
+  }
+  return encoded;
+}
+
+/**
+ * Decode an encoded polyline (Google polyline algorithm) into [lat, lng] pairs.
+ */
+function decodePolyline(encoded, precision = 5) {
+  const factor = 10 ** precision;
+  const coordinates = [];
+  let index = 0, lat = 0, lng = 0;
+
+  while (index < encoded.length) {
+    for (const axis of ["lat", "lng"]) {
+      let result = 0, shift = 0, byte;
+      do {
+        byte = encoded.charCodeAt(index++) - 63;
+        result |= (byte & 0x1f) << shift;
+        shift += 5;
+      } while (byte >= 0x20 && index < encoded.length);
+      const delta = result & 1 ? ~(result >> 1) : result >> 1;
+      if (axis === "lat") lat += delta;
+      else lng += delta;
+    }
+    coordinates.push([lat / factor, lng / factor]);
+  }
+  return coordinates;
+}
+
+/**
+ * Normalize the route geometry sent by drivers into [lat, lng] pairs.
+ * Accepts a GeoJSON LineString (or Feature), an array of [lng, lat] / { lat, lng } points,
+ * or an encoded polyline string.
+ */
+function extractRouteCoordinates(geometry) {
+  if (!geometry) return [];
+  if (typeof geometry === "string") {
+    const trimmed = geometry.trim();
+    if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+      try {
+        return extractRouteCoordinates(JSON.parse(trimmed));
+      } catch (error) {
+        return [];
+      }
+    }
+    return decodePolyline(trimmed);
+  }
+  if (geometry.type === "Feature") return extractRouteCoordinates(geometry.geometry);
+  if (geometry.type === "LineString") return extractRouteCoordinates(geometry.coordinates);
+  if (!Array.isArray(geometry)) return [];
+
+  return geometry
+    .map((point) => {
+      if (Array.isArray(point)) return [point[1], point[0]]; // GeoJSON order: [lng, lat]
+      if (point && typeof point === "object") {
+        return [point.lat ?? point.latitude, point.lng ?? point.lon ?? point.longitude];
+      }
+      return null;
+    })
+    .filter((point) => point && typeof point[0] === "number" && typeof point[1] === "number");
+}
+
+/**
+ * Parsed route coordinates for a driver (cached until the driver's geometry changes).
+ * Drivers that didn't send a geometry use the canonical polyline of their registered route.
+ */
+function getDriverRoute(driver) {
+  const geometry = driver.geometry || routes[driver.routeId]?.polyline;
+  const cached = driverRouteCache[driver.accountId];
+  if (cached && cached.geometry === geometry) return cached.coordinates;
+  const coordinates = extractRouteCoordinates(geometry);
+  driverRouteCache[driver.accountId] = { geometry, coordinates };
+  return coordinates;
+}
+
+/**
+ * Parsed coordinates of a registry route's polyline (cached until the route's polyline changes).
+ */
+function getRouteCoordinates(route) {
+  if (!route) return [];
+  const cached = routeGeometryCache[route.routeId];
+  if (cached && cached.polyline === route.polyline) return cached.coordinates;
+  const coordinates = extractRouteCoordinates(route.polyline);
+  routeGeometryCache[route.routeId] = { polyline: route.polyline, coordinates };
+  return coordinates;
+}
+
+/**
+ * Project a point onto a route polyline.
+ * @returns {{ along: number, offset: number } | null} meters along the route to the closest point,
+ *   and meters from the point to the route
+ */
+function projectOntoRoute(route, lat, lng) {
+  let cumulative = 0;
+  let best = null;
+
+  for (let i = 0; i < route.length - 1; i++) {
+    const [aLat, aLng] = route[i];
+    const [bLat, bLng] = route[i + 1];
+    const segmentLength = calculateDistance(aLat, aLng, bLat, bLng);
+
+    // Planar projection is accurate enough within a single route segment
+    const kx = Math.cos(toRadians(aLat));
+    const abx = (bLng - aLng) * kx, aby = bLat - aLat;
+    const apx = (lng - aLng) * kx, apy = lat - aLat;
+    const lengthSquared = abx * abx + aby * aby;
+    const t = lengthSquared > 0 ? Math.min(1, Math.max(0, (apx * abx + apy * aby) / lengthSquared)) : 0;
+
+    const offset = calculateDistance(lat, lng, aLat + t * (bLat - aLat), aLng + t * (bLng - aLng));
+    if (!best || offset < best.offset) {
+      best = { along: cumulative + t * segmentLength, offset };
+    }
+    cumulative += segmentLength;
+  }
+  return best;
+}
+
+/**
+ * Keep the recent location samples of a driver (used for the speed estimate).
+ */
+function recordDriverPosition(accountId, lat, lng, timestamp) {
+  const samples = (driverPositionSamples[accountId] ||= []);
+  samples.push({ lat, lng, t: timestamp });
+  while (samples.length > ETA_MAX_SAMPLES || (samples.length > 0 && timestamp - samples[0].t > ETA_SPEED_WINDOW)) {
+    samples.shift();
+  }
+}
+
+function forgetDriverMotion(accountId) {
+  delete driverPositionSamples[accountId];
+  delete driverRouteCache[accountId];
+}
+
+/**
+ * Average speed (m/s) over the recent location samples, clamped to [MIN_ETA_SPEED, MAX_ETA_SPEED].
+ */
+function estimateDriverSpeed(accountId) {
+  const samples = driverPositionSamples[accountId] || [];
+  if (samples.length < 2) return DEFAULT_BUS_SPEED;
+
+  let distance = 0;
+  for (let i = 1; i < samples.length; i++) {
+    distance += calculateDistance(samples[i - 1].lat, samples[i - 1].lng, samples[i].lat, samples[i].lng);
+  }
+  const elapsed = samples[samples.length - 1].t - samples[0].t;
+  if (elapsed < MIN_SPEED_SAMPLE_SPAN) return DEFAULT_BUS_SPEED;
+  return Math.min(Math.max(distance / (elapsed / 1000), MIN_ETA_SPEED), MAX_ETA_SPEED);
+}
+
+/**
+ * Estimate when a bus reaches a pickup point.
+ * Uses the distance along the driver's route geometry when both the bus and the pickup point are on
+ * the route (and the pickup is still ahead); otherwise the straight-line distance times a detour factor.
+ */
+function estimateEta(driver, pickupLat, pickupLng) {
+  if (!driver || typeof driver.lat !== "number" || typeof driver.lng !== "number") return null;
+
+  let distance = null;
+  let method = "direct";
+  const route = getDriverRoute(driver);
+  if (route.length >= 2) {
+    const bus = projectOntoRoute(route, driver.lat, driver.lng);
+    const pickup = projectOntoRoute(route, pickupLat, pickupLng);
+    if (bus.offset <= ROUTE_SNAP_DISTANCE && pickup.offset <= ROUTE_SNAP_DISTANCE && pickup.along >= bus.along) {
+      distance = pickup.along - bus.along;
+      method = "route";
+    }
+  }
+  if (distance === null) {
+    distance = calculateDistance(driver.lat, driver.lng, pickupLat, pickupLng) * DIRECT_DETOUR_FACTOR;
+  }
+
+  const speed = estimateDriverSpeed(driver.accountId);
+  return {
+    seconds: Math.round(distance / speed),
+    distanceMeters: Math.round(distance),
+    speedMps: Math.round(speed * 10) / 10,
+    method,
+    computedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Recompute the ETA of every active ping on a driver and push it to the waiting users
+ * ("pingEta") and to the driver ("pingEtas").
+ */
+function refreshPingEtas(driverAccountId) {
+  const driver = drivers[driverAccountId];
+  const waitingPassengers = Object.values(driver?.waitingPassengers || {});
+  if (waitingPassengers.length === 0) return;
+
+  const etas = waitingPassengers.map((passenger) => ({
+    userAccountId: passenger.userAccountId,
+    eta: estimateEta(driver, passenger.lat, passenger.lng),
+  }));
+  etas.forEach(({ userAccountId, eta }) => {
+    emitToAccount(userAccountId, "pingEta", { driverAccountId, eta });
+  });
+  emitToAccount(driverAccountId, "pingEtas", { etas });
+}
+
+// ========== ROUTES & STOPS ==========
+/**
+ * Registry of fixed routes and stops, seeded from ROUTES_FILE ({ stops: [...], routes: [...] }) and
+ * managed through the admin API. A route has an ordered list of stops and a canonical polyline
+ * (stored encoded; derived from the stops when not given). Drivers declare the route they are
+ * running with `routeId` in registerRole or routeUpdate, and users can list the live buses of a
+ * route or of the routes serving a stop.
+ */
+const REGISTRY_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+/**
+ * Validate a stop definition (file entry or admin API body).
+ * @returns {{ stop: object } | { error: string }}
+ */
+function normalizeStop(stopId, input, existing = null) {
+  if (typeof stopId !== "string" || !REGISTRY_ID_PATTERN.test(stopId)) {
+    return { error: "stopId must be 1-64 letters, digits, '.', '-' or '_'" };
+  }
+  if (!input || typeof input !== "object" || Array.isArray(input)) return { error: "stop must be an object" };
+  const name = typeof input.name === "string" ? input.name.trim() : "";
+  if (!name) return { error: "name must be a non-empty string" };
+  const lat = parseConfigValue({ type: "number", min: -90, max: 90 }, input.lat);
+  if (lat.error) return { error: `lat ${lat.error}` };
+  const lng = parseConfigValue({ type: "number", min: -180, max: 180 }, input.lng);
+  if (lng.error) return { error: `lng ${lng.error}` };
+  // Geofence radius in meters (busArrived / busDeparted); STOP_GEOFENCE_RADIUS when not set
+  const radius = input.radius == null ? { value: null } : parseConfigValue({ type: "integer", min: 10, max: 1000 }, input.radius);
+  if (radius.error) return { error: `radius ${radius.error}` };
+
+  const now = new Date().toISOString();
+  return {
+    stop: {
+      stopId,
+      name,
+      lat: lat.value,
+      lng: lng.value,
+      radius: radius.value,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    },
+  };
+}
+
+/**
+ * Validate a route definition. `stopIds` must name known stops (in travel order); the polyline
+ * may be given as `polyline` (encoded) or `geometry` (any format drivers may send).
+ * @returns {{ route: object } | { error: string }}
+ */
+function normalizeRoute(routeId, input, existing = null) {
+  if (typeof routeId !== "string" || !REGISTRY_ID_PATTERN.test(routeId)) {
+    return { error: "routeId must be 1-64 letters, digits, '.', '-' or '_'" };
+  }
+  if (!input || typeof input !== "object" || Array.isArray(input)) return { error: "route must be an object" };
+  const name = typeof input.name === "string" ? input.name.trim() : "";
+  if (!name) return { error: "name must be a non-empty string" };
+
+  const organizationId = input.organizationId ?? null;
+  if (organizationId !== null && !organizations[organizationId]) {
+    return { error: `Unknown organization: ${organizationId}` };
+  }
+
+  if (!Array.isArray(input.stopIds) || input.stopIds.length < 2) {
+    return { error: "stopIds must list at least 2 stops" };
+  }
+  const unknownStopId = input.stopIds.find((stopId) => typeof stopId !== "string" || !stops[stopId]);
+  if (unknownStopId !== undefined) return { error: `Unknown stop: ${unknownStopId}` };
+
+  const coordinates =
+    input.polyline !== undefined || input.geometry !== undefined
+      ? extractRouteCoordinates(input.polyline ?? input.geometry)
+      : input.stopIds.map((stopId) => [stops[stopId].lat, stops[stopId].lng]);
+  if (coordinates.length < 2) return { error: "polyline must have at least 2 points" };
+
+  const now = new Date().toISOString();
+  return {
+    route: {
+      routeId,
+      name,
+      organizationId,
+      stopIds: input.stopIds.slice(),
+      polyline: encodePolyline(coordinates),
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    },
+  };
+}
+
+/**
+ * Add the stops and routes listed in ROUTES_FILE that aren't known yet
+ * (entries restored from the state store keep their possibly admin-edited definition).
+ */
+function seedRoutes() {
+  if (!fs.existsSync(ROUTES_FILE_PATH)) return;
+  let registry;
+  try {
+    registry = JSON.parse(fs.readFileSync(ROUTES_FILE_PATH, "utf8"));
+    if (!isPlainObject(registry)) throw new Error("must contain a JSON object with stops and routes");
+  } catch (error) {
+    log(`❌ Failed to load ${ROUTES_FILE_PATH}: ${error.message}`, "error");
+    return;
+  }
+
+  let seededStops = 0;
+  let seededRoutes = 0;
+  for (const entry of registry.stops || []) {
+    if (stops[entry?.stopId]) continue;
+    const { stop, error } = normalizeStop(entry?.stopId, entry);
+    if (error) {
+      log(`❌ Skipping stop ${JSON.stringify(entry?.stopId)} in ${ROUTES_FILE_PATH}: ${error}`, "error");
+      continue;
+    }
+    stops[stop.stopId] = stop;
+    indexStop(stop);
+    seededStops++;
+  }
+  for (const entry of registry.routes || []) {
+    if (routes[entry?.routeId]) continue;
+    const { route, error } = normalizeRoute(entry?.routeId, entry);
+    if (error) {
+      log(`❌ Skipping route ${JSON.stringify(entry?.routeId)} in ${ROUTES_FILE_PATH}: ${error}`, "error");
+      continue;
+    }
+    routes[route.routeId] = route;
+    seededRoutes++;
+  }
+  if (seededStops > 0 || seededRoutes > 0) {
+    log(`🗺️ Loaded ${seededRoutes} route(s) and ${seededStops} stop(s) from ${ROUTES_FILE_PATH}`);
+  }
+}
+
+function serializeStop(stop) {
+  return {
+    stopId: stop.stopId,
+    name: stop.name,
+    lat: stop.lat,
+    lng: stop.lng,
+    radius: stop.radius || STOP_GEOFENCE_RADIUS,
+  };
+}
+
+function serializeRoute(route) {
+  return {
+    routeId: route.routeId,
+    name: route.name,
+    organizationId: route.organizationId,
+    stops: route.stopIds.filter((stopId) => stops[stopId]).map((stopId) => serializeStop(stops[stopId])),
+    polyline: route.polyline,
+  };
+}
+
+/**
+ * Whether a route is visible in the given scopes (same rules as its organization's buses).
+ */
+function isRouteVisible(route, scopes) {
+  return organizationScopes(route.organizationId).some((scope) => scopes.includes(scope));
+}
+
+/**
+ * Routes visible in `scopes` that serve a stop.
+ */
+function getRoutesServingStop(stopId, scopes) {
+  return Object.values(routes).filter((route) => route.stopIds.includes(stopId) && isRouteVisible(route, scopes));
+}
+
+/**
+ * Validate the route a driver declares (null clears it). Routes of an organization can only be
+ * run by that organization's drivers.
+ * @returns {{ routeId: string | null } | { error: string }}
+ */
+function resolveDriverRoute(routeId, organizationId) {
+  if (routeId === null) return { routeId: null };
+  if (typeof routeId !== "string" || !routes[routeId]) return { error: `Unknown route: ${routeId}` };
+  const route = routes[routeId];
+  if (route.organizationId && route.organizationId !== organizationId) {
+    return { error: `Route ${routeId} belongs to another organization` };
+  }
+  return { routeId };
+}
+
+/**
+ * Live bus on a route; with a stop, also whether the bus is still approaching it (along the route
+ * polyline) and its ETA there. `approaching` is null when the bus is too far from the polyline to tell.
+ */
+function serializeRouteBus(driver, stop = null) {
+  const bus = {
+    accountId: driver.accountId,
+    routeId: driver.routeId,
+    organizationId: driver.organizationId || null,
+    organizationName: driver.organizationName,
+    lat: driver.lat,
+    lng: driver.lng,
+    destinationName: driver.destinationName,
+    passengerCount: driver.passengerCount ?? 0,
+    maxCapacity: driver.maxCapacity ?? 0,
+    isOnline: !driver.disconnected,
+    lastUpdated: driver.lastUpdated,
+  };
+  if (!stop || typeof driver.lat !== "number" || typeof driver.lng !== "number") return bus;
+
+  const polyline = getRouteCoordinates(routes[driver.routeId]);
+  const busPosition = projectOntoRoute(polyline, driver.lat, driver.lng);
+  const stopPosition = projectOntoRoute(polyline, stop.lat, stop.lng);
+  const onRoute = busPosition && stopPosition && busPosition.offset <= ROUTE_SNAP_DISTANCE;
+  bus.approaching = onRoute ? busPosition.along <= stopPosition.along : null;
+  bus.eta = bus.approaching === false ? null : estimateEta(driver, stop.lat, stop.lng);
+  return bus;
+}
+
+/**
+ * Live buses running a route, visible in `scopes`.
+ */
+function getBusesOnRoute(routeId, scopes) {
+  return Object.values(drivers)
+    .filter((driver) => driver.routeId === routeId && driver.accountId)
+    .filter((driver) => driverScopes(driver).some((scope) => scopes.includes(scope)))
+    .map((driver) => serializeRouteBus(driver))
+    .sort((a, b) => a.accountId.localeCompare(b.accountId));
+}
+
+/**
+ * Live buses on the routes serving a stop, visible in `scopes`: approaching buses first
+ * (soonest ETA first), then the ones that already passed or can't be placed on the route.
+ */
+function getBusesForStop(stopId, scopes) {
+  const stop = stops[stopId];
+  const servingRoutes = getRoutesServingStop(stopId, scopes);
+  const routeIds = servingRoutes.map((route) => route.routeId);
+  const buses = Object.values(drivers)
+    .filter((driver) => driver.accountId && routeIds.includes(driver.routeId))
+    .filter((driver) => driverScopes(driver).some((scope) => scopes.includes(scope)))
+    .map((driver) => serializeRouteBus(driver, stop))
+    .sort((a, b) => {
+      if (a.approaching !== b.approaching) return a.approaching ? -1 : b.approaching ? 1 : 0;
+      return (a.eta?.seconds ?? Infinity) - (b.eta?.seconds ?? Infinity);
+    });
+  return { routeIds, buses };
+}
+
+// ========== GEOFENCES ==========
+/**
+ * Every accepted updateLocation checks the bus against the geofences around stops (of any route;
+ * radius per stop, default STOP_GEOFENCE_RADIUS) and around the driver's destination. Entering a
+ * fence emits "busArrived", leaving it emits "busDeparted" with the dwell time, to the users
+ * following the bus (watchBus), the users watching the stop (watchStop) and the users who pinged
+ * the bus. Completed visits are recorded on the driver's trip.
+ * A bus leaves a fence only once it is GEOFENCE_EXIT_MARGIN beyond the radius, so GPS jitter at
+ * the edge doesn't produce arrive/depart storms.
+ */
+
+/**
+ * Socket.IO room for the users of a scope watching a stop (watchStop).
+ */
+function stopRoom(scope, stopId) {
+  return `stop:${scope}:${stopId}`;
+}
+
+/**
+ * (Re)join the stop rooms of every watched stop for the socket's current organization scopes.
+ */
+function applyStopWatches(socket) {
+  (socket.stopRooms || []).forEach((room) => socket.leave(room));
+  const scopes = socketScopes(socket);
+  socket.stopRooms = Array.from(socket.watchedStops || []).flatMap((stopId) =>
+    scopes.map((scope) => stopRoom(scope, stopId))
+  );
+  socket.join(socket.stopRooms);
+}
+
+/**
+ * Geofences a driver may currently be in: stops near it and its destination.
+ */
+function getCandidateGeofences(driver) {
+  const fences = [];
+  for (const stop of getStopsNear(driver.lat, driver.lng)) {
+    const radius = stop.radius || STOP_GEOFENCE_RADIUS;
+    fences.push({ key: `stop:${stop.stopId}`, kind: "stop", stopId: stop.stopId, name: stop.name, lat: stop.lat, lng: stop.lng, radius });
+  }
+  const destinationLat = Number(driver.destinationLat);
+  const destinationLng = Number(driver.destinationLng);
+  if (driver.destinationLat != null && driver.destinationLng != null && isFinite(destinationLat) && isFinite(destinationLng)) {
+    fences.push({
+      key: "destination",
+      kind: "destination",
+      stopId: null,
+      name: driver.destinationName || null,
+      lat: destinationLat,
+      lng: destinationLng,
+      radius: DESTINATION_GEOFENCE_RADIUS,
+    });
+  }
+  return fences;
+}
+
+/**
+ * Emit a geofence event to the users interested in it.
+ */
+function emitGeofenceEvent(driver, eventName, visit) {
+  const rooms = [busRoom(driver.accountId)];
+  if (visit.stopId) {
+    driverScopes(driver).forEach((scope) => rooms.push(stopRoom(scope, visit.stopId)));
+  }
+  Object.keys(driver.waitingPassengers || {}).forEach((userAccountId) => {
+    const socketId = accountIdToSocketId[userAccountId];
+    if (socketId) rooms.push(socketId);
+  });
+
+  io.to(rooms).emit(eventName, {
+    from: "server",
+    accountId: driver.accountId,
+    routeId: driver.routeId || null,
+    ...visit,
+  });
+}
+
+/**
+ * Append a completed visit (with its dwell time) to the driver's active trip.
+ */
+function recordGeofenceVisit(accountId, visit) {
+  const trip = trips[activeTripIds[accountId]];
+  if (!trip) return;
+  if (!trip.stopVisits) trip.stopVisits = [];
+  if (trip.stopVisits.length >= MAX_TRIP_STOP_VISITS) return;
+  trip.stopVisits.push(visit);
+  dirtyTripIds.add(trip.tripId);
+}
+
+/**
+ * Detect geofence entries and exits for a driver's latest location.
+ */
+function updateGeofences(accountId, timestamp) {
+  const driver = drivers[accountId];
+  if (!driver || typeof driver.lat !== "number" || typeof driver.lng !== "number") return;
+
+  const current = driver.geofences || {};
+  const next = {};
+  for (const fence of getCandidateGeofences(driver)) {
+    const distance = calculateDistance(driver.lat, driver.lng, fence.lat, fence.lng);
+    const previous = current[fence.key];
+    // A changed destination is a new fence, even if the bus happens to be inside both
+    const wasInside = Boolean(previous) && previous.lat === fence.lat && previous.lng === fence.lng;
+    const inside = distance <= fence.radius || (wasInside && distance <= fence.radius + GEOFENCE_EXIT_MARGIN);
+    if (!inside) continue;
+
+    if (wasInside) {
+      next[fence.key] = previous;
+      continue;
+    }
+    next[fence.key] = {
+      kind: fence.kind,
+      stopId: fence.stopId,
+      name: fence.name,
+      lat: fence.lat,
+      lng: fence.lng,
+      arrivedAt: new Date(timestamp).toISOString(),
+    };
+    emitGeofenceEvent(driver, "busArrived", next[fence.key]);
+    log(`🚏 [${accountId}] Arrived at ${fence.kind} ${fence.stopId || fence.name || ""} (${Math.round(distance)}m)`);
+  }
+
+  for (const [key, visit] of Object.entries(current)) {
+    if (!next[key]) departGeofence(driver, visit, timestamp);
+  }
+
+  driver.geofences = next;
+}
+
+/**
+ * Complete a visit: emit "busDeparted" and record it (with its dwell time) on the driver's trip.
+ */
+function departGeofence(driver, visit, timestamp, endReason = null) {
+  const completedVisit = {
+    ...visit,
+    departedAt: new Date(timestamp).toISOString(),
+    dwellSeconds: Math.max(0, Math.round((timestamp - new Date(visit.arrivedAt).getTime()) / 1000)),
+    ...(endReason ? { endReason } : {}),
+  };
+  emitGeofenceEvent(driver, "busDeparted", completedVisit);
+  recordGeofenceVisit(driver.accountId, completedVisit);
+  log(`🚏 [${driver.accountId}] Departed ${visit.kind} ${visit.stopId || visit.name || ""} after ${completedVisit.dwellSeconds}s${endReason ? ` (${endReason})` : ""}`);
+}
+
+/**
+ * Close the visits still open when a driver's trip ends. The bus was last seen inside at its last
+ * location update, which becomes the departure time; `endReason` tells these apart from observed exits.
+ */
+function closeGeofenceVisits(accountId, endReason) {
+  const driver = drivers[accountId];
+  if (!driver?.geofences) return;
+  const lastSeen = driver.lastUpdated ? new Date(driver.lastUpdated).getTime() : Date.now();
+  Object.values(driver.geofences).forEach((visit) => departGeofence(driver, visit, lastSeen, endReason));
+  driver.geofences = {};
+}
+
+// ========== TRIP HISTORY ==========
+
+/**
+ * Load saved trips; trips that were still being recorded become the driver's active trip again.
+ */
+function rehydrateTrips() {
+  let savedTrips;
+  try {
+    savedTrips = stateStore.loadTrips();
+  } catch (error) {
+    log(`❌ Failed to load trip history: ${error.message}`, "error");
+    return;
+  }
+  for (const trip of savedTrips) {
+    trips[trip.tripId] = trip;
+    persistedTripPoints[trip.tripId] = trip.points.length;
+    if (!trip.endedAt) {
+      activeTripIds[trip.accountId] = trip.tripId;
+    }
+  }
+}
+
+/**
+ * Save trips changed since the last call (active trips are saved periodically, ended trips immediately).
+ * Only the points recorded since the last save are written; the metadata is rewritten whole.
+ */
+function persistTrips() {
+  for (const tripId of dirtyTripIds) {
+    const trip = trips[tripId];
+    try {
+      if (trip) {
+        const persisted = persistedTripPoints[tripId] || 0;
+        if (trip.points.length > persisted) {
+          stateStore.appendTripPoints(tripId, trip.points.slice(persisted));
+          persistedTripPoints[tripId] = trip.points.length;
+        }
+        stateStore.saveTrip(trip);
+      }
+      dirtyTripIds.delete(tripId);
+    } catch (error) {
+      log(`❌ Failed to persist trip ${tripId}: ${error.message}`, "error");
+    }
+  }
+}
+
+/**
+ * Close the driver's active trip (if any), with its open geofence visits.
+ * Call before the driver is removed from `drivers`.
+ */
+function endTrip(accountId, reason) {
+  closeGeofenceVisits(accountId, reason);
+  const tripId = activeTripIds[accountId];
+  const trip = tripId && trips[tripId];
+  delete activeTripIds[accountId];
+  if (!trip) return;
+
+  trip.endedAt = new Date().toISOString();
+  trip.endReason = reason;
+  dirtyTripIds.add(tripId);
+  persistTrips();
+  log(`🧾 [${accountId}] Trip ${tripId} ended (${reason}, ${trip.points.length} point(s))`);
+}
+
+/**
+ * Start a new trip segment for a driver, closing the previous one.
+ */
+function startTrip(accountId, reason) {
+  endTrip(accountId, reason);
+  // Visits belong to a trip; the next one starts outside every fence
+  if (drivers[accountId]) drivers[accountId].geofences = {};
+  const tripId = crypto.randomUUID();
+  trips[tripId] = {
+    tripId,
+    accountId,
+    organizationId: drivers[accountId]?.organizationId || null,
+    organizationName: drivers[accountId]?.organizationName || null,
+    routeIds: [],
+    destinations: [],
+    stopVisits: [],
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    endReason: null,
+    truncated: false,
+    points: [],
+  };
+  activeTripIds[accountId] = tripId;
+  dirtyTripIds.add(tripId);
+  return trips[tripId];
+}
+
+/**
+ * Append a driver's current position (with destination and passenger counts) to its active trip.
+ */
+function recordTripPoint(driver, timestamp) {
+  const tripId = activeTripIds[driver.accountId];
+  const trip = (tripId && trips[tripId]) || startTrip(driver.accountId, "first_update");
+
+  if (trip.points.length >= MAX_TRIP_POINTS) {
+    if (!trip.truncated) {
+      trip.truncated = true;
+      dirtyTripIds.add(trip.tripId);
+      log(`⚠️ [${driver.accountId}] Trip ${trip.tripId} reached ${MAX_TRIP_POINTS} points, further points are dropped`, "warn");
+    }
+    incrementCounter(metrics.tripPointsDropped);
+    return;
+  }
+
+  trip.organizationId = driver.organizationId || trip.organizationId || null;
+  trip.organizationName = driver.organizationName || trip.organizationName;
+  if (!trip.routeIds) trip.routeIds = [];
+  if (driver.routeId && trip.routeIds[trip.routeIds.length - 1] !== driver.routeId) {
+    trip.routeIds.push(driver.routeId);
+  }
+  if (driver.destinationName && trip.destinations[trip.destinations.length - 1] !== driver.destinationName) {
+    trip.destinations.push(driver.destinationName);
+  }
+  trip.points.push({
+    lat: driver.lat,
+    lng: driver.lng,
+    t: timestamp,
+    passengerCount: driver.passengerCount ?? 0,
+    maxCapacity: driver.maxCapacity ?? 0,
+    destinationName: driver.destinationName,
+  });
+  dirtyTripIds.add(trip.tripId);
+}
+
+/**
+ * Remove trips that ended more than TRIP_RETENTION ago.
+ */
+function cleanupOldTrips() {
+  const cutoff = Date.now() - TRIP_RETENTION;
+  for (const [tripId, trip] of Object.entries(trips)) {
+    if (trip.endedAt && new Date(trip.endedAt).getTime() < cutoff) {
+      delete trips[tripId];
+      delete persistedTripPoints[tripId];
+      dirtyTripIds.delete(tripId);
+      try {
+        stateStore.deleteTrip(tripId);
+      } catch (error) {
+        log(`❌ Failed to delete trip ${tripId}: ${error.message}`, "error");
+      }
+    }
+  }
+}
+
+/**
+ * Trip metadata without the track points.
+ */
+function summarizeTrip(trip) {
+  let distanceMeters = 0;
+  for (let i = 1; i < trip.points.length; i++) {
+    const a = trip.points[i - 1];
+    const b = trip.points[i];
+    distanceMeters += calculateDistance(a.lat, a.lng, b.lat, b.lng);
+  }
+  const first = trip.points[0];
+  const last = trip.points[trip.points.length - 1];
+  return {
+    tripId: trip.tripId,
+    accountId: trip.accountId,
+    organizationId: trip.organizationId || null,
+    organizationName: trip.organizationName,
+    routeIds: trip.routeIds || [],
+    destinations: trip.destinations,
+    stopVisitCount: (trip.stopVisits || []).length,
+    startedAt: trip.startedAt,
+    endedAt: trip.endedAt,
+    endReason: trip.endReason,
+    active: !trip.endedAt,
+    truncated: trip.truncated,
+    pointCount: trip.points.length,
+    firstPointAt: first ? new Date(first.t).toISOString() : null,
+    lastPointAt: last ? new Date(last.t).toISOString() : null,
+    distanceMeters: Math.round(distanceMeters),
+    maxPassengerCount: trip.points.reduce((max, point) => Math.max(max, point.passengerCount || 0), 0),
+  };
+}
+
+/**
+ * Export a trip as a GeoJSON Feature (LineString with per-point times and passenger counts).
+ */
+function tripToGeoJson(trip) {
+  return {
+    type: "Feature",
+    geometry: {
+      type: "LineString",
+      coordinates: trip.points.map((point) => [point.lng, point.lat]),
+    },
+    properties: {
+      ...summarizeTrip(trip),
+      coordTimes: trip.points.map((point) => new Date(point.t).toISOString()),
+      passengerCounts: trip.points.map((point) => point.passengerCount),
+      maxCapacities: trip.points.map((point) => point.maxCapacity),
+      destinationNames: trip.points.map((point) => point.destinationName),
+    },
+  };
+}
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Export a trip as GPX 1.1 (one track segment; passenger counts as point extensions).
+ */
+function tripToGpx(trip) {
+  const trackPoints = trip.points
+    .map(
+      (point) =>
+        `      <trkpt lat="${point.lat}" lon="${point.lng}">\n` +
+        `        <time>${new Date(point.t).toISOString()}</time>\n` +
+        `        <extensions><taravel:passengerCount>${point.passengerCount}</taravel:passengerCount>` +
+        `<taravel:maxCapacity>${point.maxCapacity}</taravel:maxCapacity>` +
+        `<taravel:destination>${escapeXml(point.destinationName)}</taravel:destination></extensions>\n` +
+        `      </trkpt>`
+    )
+    .join("\n");
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<gpx version="1.1" creator="TaraVel" xmlns="http://www.topografix.com/GPX/1/1" xmlns:taravel="urn:taravel:gpx:1">`,
+    `  <metadata><name>${escapeXml(`Trip ${trip.tripId}`)}</name><time>${escapeXml(trip.startedAt)}</time></metadata>`,
+    `  <trk>`,
+    `    <name>${escapeXml(`${trip.accountId} (${trip.organizationName || "No Organization"})`)}</name>`,
+    `    <desc>${escapeXml(trip.destinations.join(" → "))}</desc>`,
+    `    <trkseg>`,
+    trackPoints,
+    `    </trkseg>`,
+    `  </trk>`,
+    `</gpx>`,
+    ``,
+  ].join("\n");
+}
+
+// ========== CHAT ==========
+/**
+ * Rider <-> driver chat, open only while the rider's ping with that driver is active. Users address
+ * a chat by { driverAccountId }, drivers by { userAccountId }. The receiving client reports
+ * delivery and read receipts with "chatReceipt". When the ping ends (unping, boarding, expiry,
+ * endSession, ...) the chat closes and its transcript is kept with the driver's active trip.
+ */
+const QUICK_REPLIES = {
+  user: {
+    at_gate: "I'm at the gate",
+    two_minutes: "2 minutes away",
+    at_stop: "I'm waiting at the stop",
+    please_wait: "Please wait for me",
+  },
+  driver: {
+    arriving: "Arriving now",
+    traffic: "Stuck in traffic, I'll be there soon",
+    next_stop: "I can't stop there, please walk to the next stop",
+    full: "The bus is full",
+  },
+};
+
+function chatKey(driverAccountId, userAccountId) {
+  return `${driverAccountId}:${userAccountId}`;
+}
+
+/**
+ * The two sides of the chat a socket addresses.
+ * @returns {{ error: string } | { driverAccountId: string, userAccountId: string, role: string }}
+ */
+function resolveChatParticipants(socket, data) {
+  const accountId = socketToAccountId[socket.id];
+  if (!accountId || (socket.role !== "user" && socket.role !== "driver")) {
+    return { error: "Register as a user or driver to chat" };
+  }
+  const driverAccountId = socket.role === "driver" ? accountId : data?.driverAccountId;
+  const userAccountId = socket.role === "user" ? accountId : data?.userAccountId;
+  if (!drivers[driverAccountId]?.waitingPassengers?.[userAccountId]) {
+    return { error: "Chat is only available while a ping is active" };
+  }
+  return { driverAccountId, userAccountId, role: socket.role };
+}
+
+/**
+ * Build a message from { text } or { quickReplyId } (one of the sender role's QUICK_REPLIES).
+ * @returns {{ error: string } | { message: object }}
+ */
+function createChatMessage(role, data) {
+  let text;
+  let quickReplyId = null;
+  if (data?.quickReplyId !== undefined) {
+    text = QUICK_REPLIES[role][data.quickReplyId];
+    if (!text) return { error: "Unknown quick reply" };
+    quickReplyId = data.quickReplyId;
+  } else {
+    text = typeof data?.text === "string" ? data.text.trim() : "";
+    if (!text) return { error: "Message text is required" };
+    if (text.length > MAX_CHAT_MESSAGE_LENGTH) {
+      return { error: `Messages are limited to ${MAX_CHAT_MESSAGE_LENGTH} characters` };
+    }
+  }
+
+  return {
+    message: {
+      messageId: crypto.randomUUID(),
+      from: role,
+      text,
+      quickReplyId,
+      sentAt: new Date().toISOString(),
+      deliveredAt: null,
+      readAt: null,
+    },
+  };
+}
+
+function getOrOpenChat(driverAccountId, userAccountId) {
+  const key = chatKey(driverAccountId, userAccountId);
+  if (!chats[key]) {
+    chats[key] = {
+      chatId: crypto.randomUUID(),
+      driverAccountId,
+      userAccountId,
+      openedAt: new Date().toISOString(),
+      messages: [],
+    };
+  }
+  return chats[key];
+}
+
+/**
+ * Close a chat: both sides get "chatClosed" and a non-empty transcript is stored on the driver's active trip.
+ * @returns {boolean} false when there was no open chat
+ */
+function closeChat(driverAccountId, userAccountId, reason) {
+  const key = chatKey(driverAccountId, userAccountId);
+  const chat = chats[key];
+  if (!chat) return false;
+  delete chats[key];
+
+  const trip = trips[activeTripIds[driverAccountId]];
+  if (trip && chat.messages.length > 0) {
+    if (!trip.chats) trip.chats = [];
+    trip.chats.push({ ...chat, closedAt: new Date().toISOString(), closeReason: reason });
+    dirtyTripIds.add(trip.tripId);
+  }
+
+  const payload = { from: "server", chatId: chat.chatId, driverAccountId, userAccountId, reason, timestamp: Date.now() };
+  emitToAccount(driverAccountId, "chatClosed", payload);
+  emitToAccount(userAccountId, "chatClosed", payload);
+  log(`💬 Chat between driver ${driverAccountId} and ${userAccountId} closed (${reason}, ${chat.messages.length} message(s))`);
+  return true;
+}
+
+function closeDriverChats(driverAccountId, reason) {
+  for (const chat of Object.values(chats)) {
+    if (chat.driverAccountId === driverAccountId) closeChat(driverAccountId, chat.userAccountId, reason);
+  }
+}
+
+/**
+ * Close chats whose ping ended without an explicit close (e.g. the rider's session expired).
+ * Pings suspended in the session of a disconnected rider keep their chat open.
+ */
+function cleanupOrphanedChats() {
+  for (const { driverAccountId, userAccountId } of Object.values(chats)) {
+    if (drivers[driverAccountId]?.waitingPassengers?.[userAccountId]) continue;
+    const suspended = Object.values(sessions).some(
+      (session) => session.accountId === userAccountId && session.suspendedPings?.[driverAccountId]
+    );
+    if (!suspended) closeChat(driverAccountId, userAccountId, "ping_ended");
+  }
+}
+
+// ========== SERVICE ALERTS ==========
+/**
+ * Service alerts ("Route 3 detoured due to flooding") posted by operators (admin API) or drivers
+ * (createAlert, about their own bus). An alert is scoped to
+ *   - "organization": every rider of organizationId (null = the public view),
+ *   - "driver": riders who can see that bus,
+ *   - "area": riders of organizationId whose map viewport overlaps the circle { lat, lng, radius },
+ * and is shown between startsAt and endsAt (null = until deleted). Riders get "serviceAlert" when it
+ * starts (or changes) and "serviceAlertRemoved" when it ends; snapshots carry the active ones.
+ */
+const ALERT_SCOPES = ["organization", "driver", "area"];
+const ALERT_SEVERITIES = ["info", "warning", "critical"];
+
+/**
+ * Validate an alert. `createdBy` is { role, accountId } of whoever posts it.
+ * @returns {{ alert: object } | { error: string }}
+ */
+function normalizeAlert(alertId, input, createdBy, existing = null) {
+  if (typeof alertId !== "string" || !REGISTRY_ID_PATTERN.test(alertId)) {
+    return { error: "alertId must be 1-64 letters, digits, '.', '-' or '_'" };
+  }
+  if (!isPlainObject(input)) return { error: "alert must be an object" };
+  if (!ALERT_SCOPES.includes(input.scope)) return { error: `scope must be one of: ${ALERT_SCOPES.join(", ")}` };
+  const severity = input.severity ?? "info";
+  if (!ALERT_SEVERITIES.includes(severity)) return { error: `severity must be one of: ${ALERT_SEVERITIES.join(", ")}` };
+  const title = typeof input.title === "string" ? input.title.trim() : "";
+  if (!title || title.length > 120) return { error: "title must be a non-empty string of at most 120 characters" };
+  const message = typeof input.message === "string" ? input.message.trim() : "";
+  if (message.length > 1000) return { error: "message must be at most 1000 characters" };
+
+  let organizationId = input.organizationId ?? null;
+  let driverAccountId = null;
+  let area = null;
+  if (input.scope === "driver") {
+    if (typeof input.driverAccountId !== "string" || !input.driverAccountId) {
+      return { error: "driverAccountId is required for driver alerts" };
+    }
+    driverAccountId = input.driverAccountId;
+    // An alert being edited may outlive its bus going offline, a new one needs a live bus
+    if (!drivers[driverAccountId] && existing?.driverAccountId !== driverAccountId) {
+      return { error: `Unknown driver: ${driverAccountId}` };
+    }
+    organizationId = drivers[driverAccountId]?.organizationId ?? organizationId;
+  } else if (input.scope === "area") {
+    if (!isPlainObject(input.area)) return { error: "area { lat, lng, radius } is required for area alerts" };
+    const lat = parseConfigValue({ type: "number", min: -90, max: 90 }, input.area.lat);
+    if (lat.error) return { error: `area.lat ${lat.error}` };
+    const lng = parseConfigValue({ type: "number", min: -180, max: 180 }, input.area.lng);
+    if (lng.error) return { error: `area.lng ${lng.error}` };
+    const radius = parseConfigValue({ type: "integer", min: 50, max: MAX_NEARBY_RADIUS }, input.area.radius);
+    if (radius.error) return { error: `area.radius ${radius.error}` };
+    area = { lat: lat.value, lng: lng.value, radius: radius.value };
+  }
+  if (organizationId !== null && !organizations[organizationId]) return { error: `Unknown organization: ${organizationId}` };
+
+  const startsAt = input.startsAt == null ? Date.now() : new Date(input.startsAt).getTime();
+  const endsAt = input.endsAt == null ? null : new Date(input.endsAt).getTime();
+  if (Number.isNaN(startsAt) || Number.isNaN(endsAt)) return { error: "startsAt and endsAt must be dates" };
+  if (endsAt !== null && endsAt <= startsAt) return { error: "endsAt must be after startsAt" };
+
+  const now = new Date().toISOString();
+  return {
+    alert: {
+      alertId,
+      scope: input.scope,
+      organizationId,
+      driverAccountId,
+      area,
+      severity,
+      title,
+      message: message || null,
+      startsAt: new Date(startsAt).toISOString(),
+      endsAt: endsAt === null ? null : new Date(endsAt).toISOString(),
+      createdBy: existing?.createdBy || createdBy,
+      announced: false, // Set once riders have been sent "serviceAlert"
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    },
+  };
+}
+
+function serializeAlert({ announced, ...alert }) {
+  return alert;
+}
+
+function isAlertActive(alert, now = Date.now()) {
+  return new Date(alert.startsAt).getTime() <= now && (!alert.endsAt || new Date(alert.endsAt).getTime() > now);
+}
+
+/**
+ * Active alerts a user socket should see (its organizations, visible buses and viewport), most severe first.
+ */
+function getAlertsForSocket(socket) {
+  const scopes = socketScopes(socket);
+  const visibleDriverIds = new Set(getVisibleDrivers(socket).map((driver) => driver.accountId));
+  const now = Date.now();
+
+  return Object.values(alerts)
+    .filter((alert) => isAlertActive(alert, now))
+    .filter((alert) => organizationScopes(alert.organizationId).some((scope) => scopes.includes(scope)))
+    .filter((alert) => {
+      if (alert.scope === "driver") return visibleDriverIds.has(alert.driverAccountId);
+      if (alert.scope === "area" && socket.viewport) {
+        const bounds = boundingBoxAround(alert.area.lat, alert.area.lng, alert.area.radius);
+        return (
+          bounds.minLat <= socket.viewport.maxLat &&
+          bounds.maxLat >= socket.viewport.minLat &&
+          bounds.minLng <= socket.viewport.maxLng &&
+          bounds.maxLng >= socket.viewport.minLng
+        );
+      }
+      return true;
+    })
+    .sort(
+      (a, b) =>
+        ALERT_SEVERITIES.indexOf(b.severity) - ALERT_SEVERITIES.indexOf(a.severity) ||
+        new Date(b.startsAt) - new Date(a.startsAt)
+    )
+    .map(serializeAlert);
+}
+
+/**
+ * Broadcast target for the riders an alert applies to. A driver alert whose bus isn't in memory
+ * only reaches the riders still following that bus (watchBus).
+ */
+function alertTarget(alert) {
+  const scopes = organizationScopes(alert.organizationId);
+  if (alert.scope === "driver") {
+    return drivers[alert.driverAccountId] ? busUpdateTarget(alert.driverAccountId) : io.to(busRoom(alert.driverAccountId));
+  }
+  if (alert.scope === "area") {
+    const cellKeys = getViewportCellKeys(boundingBoxAround(alert.area.lat, alert.area.lng, alert.area.radius)) || [];
+    return io.to(
+      scopes.flatMap((scope) => [allBusesRoom(scope), ...cellKeys.map((cellKey) => viewportRoom(scope, cellKey))])
+    );
+  }
+  return organizationTarget(scopes);
+}
+
+function announceAlert(alert) {
+  alert.announced = true;
+  alertTarget(alert).emit("serviceAlert", { from: "server", ...serializeAlert(alert) });
+  log(`📣 Service alert ${alert.alertId} (${alert.scope}, ${alert.severity}): ${alert.title}`);
+}
+
+function withdrawAlert(alert, reason) {
+  if (!alert.announced) return;
+  alertTarget(alert).emit("serviceAlertRemoved", { from: "server", alertId: alert.alertId, reason, timestamp: Date.now() });
+}
+
+/**
+ * Store an alert and announce it right away when it's active. A replaced alert is withdrawn from
+ * the riders it was sent to first, since its scope may have changed.
+ */
+function saveAlert(alert) {
+  const previous = alerts[alert.alertId];
+  if (previous) withdrawAlert(previous, "updated");
+  alerts[alert.alertId] = alert;
+  if (isAlertActive(alert)) announceAlert(alert);
+  return alert;
+}
+
+/**
+ * @returns {boolean} false when the alert doesn't exist
+ */
+function deleteAlert(alertId, reason) {
+  const alert = alerts[alertId];
+  if (!alert) return false;
+  withdrawAlert(alert, reason);
+  delete alerts[alertId];
+  log(`📣 Service alert ${alertId} removed (${reason})`);
+  return true;
+}
+
+/**
+ * Announce scheduled alerts that have started and remove the ones that have ended.
+ * Runs on the cluster leader only, so each alert is announced and withdrawn once.
+ */
+function refreshAlerts() {
+  if (!isClusterLeader()) return;
+  const now = Date.now();
+  for (const alert of Object.values(alerts)) {
+    if (alert.endsAt && new Date(alert.endsAt).getTime() <= now) {
+      deleteAlert(alert.alertId, "expired");
+    } else if (!alert.announced && isAlertActive(alert, now)) {
+      announceAlert(alert);
+    }
+  }
+}
+
+// ========== AUTHENTICATION ==========
+
+/**
+ * Read the Firebase project ID from the Android app's google-services.json (if present).
+ */
+function readFirebaseProjectId() {
+  try {
+    const config = JSON.parse(
+      fs.readFileSync(path.join(__dirname, "app", "google-services.json"), "utf8")
+    );
+    return config?.project_info?.project_id || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create an authentication error carrying a machine-readable code for the client.
+ */
+function authError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+let firebaseCertsCache = { certs: null, expiresAt: 0 };
+
+/**
+ * Fetch (and cache per Cache-Control max-age) the public certificates used to sign Firebase ID tokens.
+ */
+async function getFirebaseCerts() {
+  if (firebaseCertsCache.certs && Date.now() < firebaseCertsCache.expiresAt) {
+    return firebaseCertsCache.certs;
+  }
+  const response = await fetch(FIREBASE_CERTS_URL);
+  if (!response.ok) {
+    throw authError("AUTH_UNAVAILABLE", `Could not fetch Firebase certificates (HTTP ${response.status})`);
+  }
+  const maxAge = /max-age=(\d+)/.exec(response.headers.get("cache-control") || "");
+  firebaseCertsCache = {
+    certs: await response.json(),
+    expiresAt: Date.now() + (maxAge ? Number(maxAge[1]) * 1000 : 60 * 60 * 1000),
+  };
+  return firebaseCertsCache.certs;
+}
+
+/**
+ * Verify a signed token and return the identity it carries.
+ * Supports HS256 tokens signed with one of AUTH_HMAC_SECRETS and RS256 Firebase ID tokens.
+ * @returns {Promise<{ accountId: string, role: string | null, claims: object }>}
+ */
+async function verifyAuthToken(token) {
+  if (!token || typeof token !== "string") {
+    throw authError("AUTH_REQUIRED", "Authentication token is required");
+  }
+
+  const parts = token.split(".");
+  if (parts.length !== 3) {
+    throw authError("AUTH_INVALID", "Malformed authentication token");
+  }
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+
+  let header, claims;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, "base64url").toString("utf8"));
+    claims = JSON.parse(Buffer.from(encodedPayload, "base64url").toString("utf8"));
+  } catch (error) {
+    throw authError("AUTH_INVALID", "Malformed authentication token");
+  }
+
+  const signingInput = `${encodedHeader}.${encodedPayload}`;
+  const signature = Buffer.from(encodedSignature, "base64url");
+
+  if (header.alg === "HS256" && AUTH_HMAC_SECRETS.length > 0) {
+    const valid = AUTH_HMAC_SECRETS.some((secret) => {
+      const expected = crypto.createHmac("sha256", secret).update(signingInput).digest();
+      return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    });
+    if (!valid) throw authError("AUTH_INVALID", "Invalid token signature");
+    if (AUTH_TOKEN_ISSUER && claims.iss !== AUTH_TOKEN_ISSUER) {
+      throw authError("AUTH_INVALID", "Unexpected token issuer");
+    }
+  } else if (header.alg === "RS256" && FIREBASE_PROJECT_ID) {
+    const certs = await getFirebaseCerts();
+    const cert = certs[header.kid];
+    if (!cert) throw authError("AUTH_INVALID", "Unknown token signing key");
+    const valid = crypto.createVerify("RSA-SHA256").update(signingInput).verify(cert, signature);
+    if (!valid) throw authError("AUTH_INVALID", "Invalid token signature");
+    if (claims.aud !== FIREBASE_PROJECT_ID || claims.iss !== `https://securetoken.google.com/${FIREBASE_PROJECT_ID}`) {
+      throw authError("AUTH_INVALID", "Token was not issued for this project");
+    }
+  } else {
+    throw authError("AUTH_INVALID", `Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== "number" || claims.exp + AUTH_CLOCK_SKEW_SECONDS < nowSeconds) {
+    throw authError("AUTH_EXPIRED", "Authentication token has expired");
+  }
+  if (typeof claims.iat === "number" && claims.iat - AUTH_CLOCK_SKEW_SECONDS > nowSeconds) {
+    throw authError("AUTH_INVALID", "Authentication token issued in the future");
+  }
+  if (!claims.sub || typeof claims.sub !== "string") {
+    throw authError("AUTH_INVALID", "Token has no subject");
+  }
+
+  return { accountId: claims.sub, role: claims.role || null, claims };
+}
+
+/**
+ * Resolve the verified identity of a socket for registerRole / resumeSession.
+ * The token may be sent with the event payload or in the Socket.IO handshake (`auth.token`).
+ * When AUTH_REQUIRED is off and no token is sent, the client-supplied accountId is trusted (legacy mode).
+ * The driver role needs a role "driver" claim or an account listed in DRIVER_ACCOUNT_IDS.
+ * @returns {Promise<{ accountId: string | null, role: string | null, verified: boolean }>}
+ */
+async function authenticateSocket(socket, token, claimedAccountId, claimedRole) {
+  const effectiveToken = token || socket.handshake?.auth?.token;
+
+  if (!effectiveToken && !AUTH_REQUIRED) {
+    return { accountId: claimedAccountId || null, role: null, verified: false };
+  }
+
+  const identity = await verifyAuthToken(effectiveToken);
+  if (claimedAccountId && claimedAccountId !== identity.accountId) {
+    throw authError("AUTH_ACCOUNT_MISMATCH", "accountId does not match the authenticated account");
+  }
+  if (claimedRole && identity.role && claimedRole !== identity.role) {
+    throw authError("AUTH_ROLE_MISMATCH", `Account is not authorized for role "${claimedRole}"`);
+  }
+  if (claimedRole === "driver" && identity.role !== "driver" && !DRIVER_ACCOUNT_IDS.has(identity.accountId)) {
+    throw authError("AUTH_ROLE_MISMATCH", 'Account is not authorized for role "driver"');
+  }
+  return { ...identity, verified: true };
+}
+
+/**
+ * Reject an unauthenticated socket request with a specific error event.
+ */
+function rejectUnauthenticated(socket, eventName, error) {
+  const code = error.code || "AUTH_INVALID";
+  log(`🔒 Rejected ${eventName} from ${socket.id}: ${code} - ${error.message}`, "error");
+  socket.emit("authError", {
+    code,
+    message: error.message,
+    event: eventName,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+// ========== AUTHORIZATION ==========
+
+/**
+ * Log a rejected request as a security event (error level, so it's logged at every log level).
+ */
+function logSecurityEvent(socket, eventName, reason, details = {}) {
+  log(
+    `🚨 [SECURITY] ${eventName} rejected for socket ${socket.id} (role: ${
+      socket.role || "unregistered"
+    }, account: ${socketToAccountId[socket.id] || "none"}): ${reason} ${JSON.stringify(details)}`,
+    "error",
+    { security: true, event: eventName, reason, details }
+  );
+}
+
+/**
+ * Legacy mode (AUTH_REQUIRED=false): a driver that registered without an accountId is bound to the
+ * accountId of its first driver event, as before registerRole carried identities. An account already
+ * held by another socket is never taken over.
+ * @returns {string | null} the bound accountId
+ */
+function bindLegacyDriverAccount(socket, accountId) {
+  if (AUTH_REQUIRED || socket.role !== "driver" || typeof accountId !== "string" || !accountId) return null;
+  const ownerSocketId = accountIdToSocketId[accountId];
+  if (ownerSocketId && ownerSocketId !== socket.id) return null;
+
+  socketToAccountId[socket.id] = accountId;
+  accountIdToSocketId[accountId] = socket.id;
+  const sessionKey = socketIdToSessionKey[socket.id];
+  if (sessionKey && sessions[sessionKey]) sessions[sessionKey].accountId = accountId;
+  log(`🔓 [${socket.id}] Unauthenticated driver bound to ${accountId} (AUTH_REQUIRED=false)`, "warn");
+  return accountId;
+}
+
+/**
+ * Authorize a driver-originated event.
+ * The socket must be registered as a driver, and the payload's accountId must be the
+ * account that socket registered (authenticated) under.
+ * @returns {boolean} true when the event may proceed; otherwise the socket has been notified
+ */
+function authorizeDriverEvent(socket, eventName, data) {
+  const registeredAccountId = socketToAccountId[socket.id] || bindLegacyDriverAccount(socket, data?.accountId);
+  let reason = null;
+
+  if (socket.role !== "driver") {
+    reason = "socket is not registered as a driver";
+  } else if (!registeredAccountId) {
+    reason = "socket has no registered account";
+  } else if (data?.accountId !== registeredAccountId) {
+    reason = "payload accountId does not match the registered account";
+  }
+
+  if (reason) {
+    logSecurityEvent(socket, eventName, reason, { payloadAccountId: data?.accountId });
+    socket.emit("error", {
+      code: "FORBIDDEN",
+      event: eventName,
+      message: `Not authorized to send ${eventName} for this account`,
+    });
+    return false;
+  }
+  return true;
+}
+
+// ========== EXPRESS ROUTES ==========
+app.use((req, res, next) => {
+  withLogContext({ method: req.method, path: req.path }, next);
+});
+app.get("/", (req, res) => {
+  res.json({
+    status: "running",
+    drivers: Object.keys(drivers).length,
+    uptime: process.uptime(),
+  });
+});
+app.get("/health", (req, res) => {
+  res.json({
+    status: "healthy",
+    timestamp: new Date().toISOString(),
+    ...(clusterBroker && {
+      cluster: { instanceId: INSTANCE_ID, leader: isClusterLeader(), peers: Array.from(clusterInstances.keys()) },
+    }),
+  });
+});
+app.get("/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+// ========== REST API (v1) ==========
+/**
+ * Versioned REST API for dashboards and partner integrations that can't speak Socket.IO.
+ * Mirrors the socket read events (requestDriversData, requestCurrentData, getBusInfo).
+ * Lists are returned as { data, pagination }, single resources as { data },
+ * and every error as { error: { code, message } }.
+ */
+const apiV1 = express.Router();
+
+function sendApiError(res, status, code, message) {
+  res.status(status).json({ error: { code, message } });
+}
+
+/**
+ * Parse limit/offset pagination parameters.
+ * @returns {{ error: string } | { limit: number, offset: number }}
+ */
+function parsePagination(query, defaultLimit = API_DEFAULT_PAGE_SIZE) {
+  const limit = query.limit !== undefined ? Number(query.limit) : defaultLimit;
+  const offset = query.offset !== undefined ? Number(query.offset) : 0;
+  if (!Number.isInteger(limit) || limit < 1 || limit > API_MAX_PAGE_SIZE) {
+    return { error: `limit must be an integer between 1 and ${API_MAX_PAGE_SIZE}` };
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: "offset must be a non-negative integer" };
+  }
+  return { limit, offset };
+}
+
+function paginate(items, { limit, offset }) {
+  const nextOffset = offset + limit < items.length ? offset + limit : null;
+  return {
+    data: items.slice(offset, offset + limit),
+    pagination: { total: items.length, limit, offset, nextOffset },
+  };
+}
+
+/**
+ * Drivers matching the common list filters:
+ * organization (ID or name, case-insensitive), online=true|false, bbox=minLng,minLat,maxLng,maxLat.
+ * The REST API is unauthenticated, so it only shows the public view (like a user without subscriptions).
+ * @returns {{ error: string } | { drivers: object[] }}
+ */
+function filterDriversForApi(query) {
+  let result;
+  if (query.bbox !== undefined) {
+    const [minLng, minLat, maxLng, maxLat] = String(query.bbox).split(",").map(Number);
+    const viewport = normalizeViewport({ minLat, minLng, maxLat, maxLng });
+    if (!viewport) return { error: "bbox must be minLng,minLat,maxLng,maxLat" };
+    result = getDriversInViewport(viewport);
+  } else {
+    result = Object.values(drivers).filter((driver) => driver.accountId);
+  }
+  result = result.filter((driver) => isPublicOrganization(driver.organizationId));
+
+  if (query.online !== undefined) {
+    if (query.online !== "true" && query.online !== "false") return { error: "online must be true or false" };
+    const online = query.online === "true";
+    result = result.filter((driver) => !driver.disconnected === online);
+  }
+  if (query.organization) {
+    result = result.filter((driver) => matchesOrganizationFilter(driver, String(query.organization)));
+  }
+
+  // Stable order so offset pagination doesn't shuffle as buses update
+  return { drivers: result.sort((a, b) => a.accountId.localeCompare(b.accountId)) };
+}
+
+/**
+ * Drivers with a location (same data as the requestDriversData socket event).
+ */
+apiV1.get("/drivers", (req, res) => {
+  const pagination = parsePagination(req.query);
+  if (pagination.error) return sendApiError(res, 400, "INVALID_QUERY", pagination.error);
+  const { error, drivers: matching } = filterDriversForApi(req.query);
+  if (error) return sendApiError(res, 400, "INVALID_QUERY", error);
+
+  const driversData = matching
+    .filter((driver) => driver.lat && driver.lng)
+    .map((driver) => ({
+      accountId: driver.accountId,
+      lat: driver.lat,
+      lng: driver.lng,
+      destinationLat: driver.destinationLat,
+      destinationLng: driver.destinationLng,
+      passengerCount: driver.passengerCount ?? 0,
+      maxCapacity: driver.maxCapacity ?? 0,
+    }));
+  res.json(paginate(driversData, pagination));
+});
+
+/**
+ * Full bus snapshot (same data as requestCurrentData / driversSnapshot).
+ */
+apiV1.get("/buses", (req, res) => {
+  const pagination = parsePagination(req.query);
+  if (pagination.error) return sendApiError(res, 400, "INVALID_QUERY", pagination.error);
+  const { error, drivers: matching } = filterDriversForApi(req.query);
+  if (error) return sendApiError(res, 400, "INVALID_QUERY", error);
+
+  const buses = matching
+    .filter((driver) => driver.lat || driver.geometry)
+    .map((driver) => serializeDriverForSnapshot(driver));
+  res.json(paginate(buses, pagination));
+});
+
+/**
+ * Buses near a point: ?lat=&lng=&radius=&limit=&offset=&organization=&destination=&minSeats=
+ */
+function listNearbyBuses(req, res) {
+  const { error, query } = parseNearbyQuery(req.query);
+  if (error) return sendApiError(res, 400, "INVALID_QUERY", error);
+  const { buses, total } = findNearbyBuses(query, [PUBLIC_SCOPE]);
+  res.json({
+    data: buses,
+    pagination: {
+      total,
+      limit: query.limit,
+      offset: query.offset,
+      nextOffset: query.offset + query.limit < total ? query.offset + query.limit : null,
+    },
+  });
+}
+apiV1.get("/buses/nearby", listNearbyBuses);
+
+/**
+ * A single bus (same data as getBusInfo, plus its location and online status).
+ */
+apiV1.get("/buses/:accountId", (req, res) => {
+  const driver = drivers[req.params.accountId];
+  if (!driver || !isPublicOrganization(driver.organizationId)) {
+    return sendApiError(res, 404, "NOT_FOUND", "Bus not found or inactive");
+  }
+  res.json({
+    data: {
+      ...buildBusInfo(driver),
+      lat: driver.lat,
+      lng: driver.lng,
+      isOnline: !driver.disconnected,
+    },
+  });
+});
+
+/**
+ * Trip history holds full GPS tracks, so it needs the same signed token as the socket layer
+ * (Authorization: Bearer): an account sees its own trips, admins (ADMIN_API_KEYS or role "admin")
+ * every trip. With AUTH_REQUIRED=false, requests without a token see public organizations' trips.
+ */
+async function authorizeTripAccess(req, res, next) {
+  const header = req.get("authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7).trim() : null;
+  if (!token && !AUTH_REQUIRED) {
+    req.canSeeTrip = (trip) => isPublicOrganization(trip.organizationId);
+    return next();
+  }
+  try {
+    const admin = await authenticateAdmin(token).catch(() => null);
+    const identity = admin || (await verifyAuthToken(token));
+    req.canSeeTrip = admin ? () => true : (trip) => trip.accountId === identity.accountId;
+    next();
+  } catch (error) {
+    log(`🚨 [SECURITY] Trip request rejected: ${req.method} ${req.originalUrl} from ${req.ip} (${error.code || "AUTH_INVALID"})`, "error");
+    sendApiError(res, 401, error.code || "AUTH_INVALID", error.message);
+  }
+}
+
+/**
+ * Trip history: ?accountId=&from=&to=&limit=&offset= (newest first, without track points)
+ */
+function listTrips(req, res) {
+  const pagination = parsePagination(req.query);
+  if (pagination.error) return sendApiError(res, 400, "INVALID_QUERY", pagination.error);
+  const { accountId, from, to } = req.query;
+  const fromTime = from ? new Date(from).getTime() : null;
+  const toTime = to ? new Date(to).getTime() : null;
+  if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+    return sendApiError(res, 400, "INVALID_QUERY", "from and to must be dates");
+  }
+
+  const matching = Object.values(trips)
+    .filter((trip) => req.canSeeTrip(trip))
+    .filter((trip) => !accountId || trip.accountId === accountId)
+    // Trips overlapping [from, to]
+    .filter((trip) => fromTime === null || !trip.endedAt || new Date(trip.endedAt).getTime() >= fromTime)
+    .filter((trip) => toTime === null || new Date(trip.startedAt).getTime() <= toTime)
+    .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+
+  const page = paginate(matching, pagination);
+  res.json({ ...page, data: page.data.map(summarizeTrip) });
+}
+apiV1.get("/trips", authorizeTripAccess, listTrips);
+
+function getTrip(req, res) {
+  const trip = trips[req.params.tripId];
+  if (!trip || !req.canSeeTrip(trip)) return sendApiError(res, 404, "NOT_FOUND", "Trip not found");
+  res.json({ data: { ...summarizeTrip(trip), stopVisits: trip.stopVisits || [], points: trip.points } });
+}
+apiV1.get("/trips/:tripId", authorizeTripAccess, getTrip);
+
+function exportTripGeoJson(req, res) {
+  const trip = trips[req.params.tripId];
+  if (!trip || !req.canSeeTrip(trip)) return sendApiError(res, 404, "NOT_FOUND", "Trip not found");
+  res.type("application/geo+json");
+  res.attachment(`trip-${trip.tripId}.geojson`);
+  res.send(JSON.stringify(tripToGeoJson(trip)));
+}
+apiV1.get("/trips/:tripId/geojson", authorizeTripAccess, exportTripGeoJson);
+
+function exportTripGpx(req, res) {
+  const trip = trips[req.params.tripId];
+  if (!trip || !req.canSeeTrip(trip)) return sendApiError(res, 404, "NOT_FOUND", "Trip not found");
+  res.type("application/gpx+xml");
+  res.attachment(`trip-${trip.tripId}.gpx`);
+  res.send(tripToGpx(trip));
+}
+apiV1.get("/trips/:tripId/gpx", authorizeTripAccess, exportTripGpx);
+
+/**
+ * Public organizations (users can subscribe to these without a token claim).
+ */
+apiV1.get("/organizations", (req, res) => {
+  const pagination = parsePagination(req.query);
+  if (pagination.error) return sendApiError(res, 400, "INVALID_QUERY", pagination.error);
+  const publicOrganizations = Object.values(organizations)
+    .filter((organization) => organization.visibility === "public")
+    .sort((a, b) => a.organizationId.localeCompare(b.organizationId))
+    .map(serializeOrganization);
+  res.json(paginate(publicOrganizations, pagination));
+});
+
+/**
+ * Registered routes: ?organization=&stopId= (public view, like the other REST reads)
+ */
+apiV1.get("/routes", (req, res) => {
+  const pagination = parsePagination(req.query);
+  if (pagination.error) return sendApiError(res, 400, "INVALID_QUERY", pagination.error);
+  const matching = Object.values(routes)
+    .filter((route) => isRouteVisible(route, [PUBLIC_SCOPE]))
+    .filter((route) => !req.query.organization || route.organizationId === req.query.organization)
+    .filter((route) => !req.query.stopId || route.stopIds.includes(req.query.stopId))
+    .sort((a, b) => a.routeId.localeCompare(b.routeId))
+    .map(serializeRoute);
+  res.json(paginate(matching, pagination));
+});
+
+apiV1.get("/routes/:routeId", (req, res) => {
+  const route = routes[req.params.routeId];
+  if (!route || !isRouteVisible(route, [PUBLIC_SCOPE])) return sendApiError(res, 404, "NOT_FOUND", "Route not found");
+  res.json({ data: serializeRoute(route) });
+});
+
+apiV1.get("/routes/:routeId/buses", (req, res) => {
+  const pagination = parsePagination(req.query);
+  if (pagination.error) return sendApiError(res, 400, "INVALID_QUERY", pagination.error);
+  const route = routes[req.params.routeId];
+  if (!route || !isRouteVisible(route, [PUBLIC_SCOPE])) return sendApiError(res, 404, "NOT_FOUND", "Route not found");
+  res.json(paginate(getBusesOnRoute(route.routeId, [PUBLIC_SCOPE]), pagination));
+});
+
+apiV1.get("/stops", (req, res) => {
+  const pagination = parsePagination(req.query);
+  if (pagination.error) return sendApiError(res, 400, "INVALID_QUERY", pagination.error);
+  // With ?routeId= the stops are listed in the route's travel order
+  const route = req.query.routeId ? routes[req.query.routeId] : null;
+  if (req.query.routeId && (!route || !isRouteVisible(route, [PUBLIC_SCOPE]))) {
+    return sendApiError(res, 404, "NOT_FOUND", "Route not found");
+  }
+  const matching = route
+    ? route.stopIds.map((stopId) => stops[stopId]).filter(Boolean)
+    : Object.values(stops).sort((a, b) => a.stopId.localeCompare(b.stopId));
+  res.json(paginate(matching.map(serializeStop), pagination));
+});
+
+apiV1.get("/stops/:stopId", (req, res) => {
+  const stop = stops[req.params.stopId];
+  if (!stop) return sendApiError(res, 404, "NOT_FOUND", "Stop not found");
+  res.json({
+    data: {
+      ...serializeStop(stop),
+      routeIds: getRoutesServingStop(stop.stopId, [PUBLIC_SCOPE]).map((route) => route.routeId),
+    },
+  });
+});
+
+/**
+ * Active service alerts of the public view: ?organization= (ID) narrows them to one organization,
+ * ?lat=&lng= to the area alerts covering that point (other scopes are always included).
+ */
+apiV1.get("/alerts", (req, res) => {
+  const lat = req.query.lat !== undefined ? Number(req.query.lat) : null;
+  const lng = req.query.lng !== undefined ? Number(req.query.lng) : null;
+  if ((lat === null) !== (lng === null) || Number.isNaN(lat) || Number.isNaN(lng)) {
+    return sendApiError(res, 400, "INVALID_QUERY", "lat and lng must be numbers and given together");
+  }
+
+  const now = Date.now();
+  const matching = Object.values(alerts)
+    .filter((alert) => isAlertActive(alert, now) && isPublicOrganization(alert.organizationId))
+    .filter((alert) => !req.query.organization || alert.organizationId === req.query.organization)
+    .filter(
+      (alert) =>
+        alert.scope !== "area" || lat === null || calculateDistance(alert.area.lat, alert.area.lng, lat, lng) <= alert.area.radius
+    )
+    .map(serializeAlert);
+  res.json({ data: matching });
+});
+
+/**
+ * Recorded visits of buses to a stop (arrival, departure, dwell time): ?from=&to=&limit=&offset=,
+ * newest first, with the average dwell time of the matching visits.
+ */
+apiV1.get("/stops/:stopId/visits", (req, res) => {
+  const pagination = parsePagination(req.query);
+  if (pagination.error) return sendApiError(res, 400, "INVALID_QUERY", pagination.error);
+  const stop = stops[req.params.stopId];
+  if (!stop) return sendApiError(res, 404, "NOT_FOUND", "Stop not found");
+  const fromTime = req.query.from ? new Date(req.query.from).getTime() : null;
+  const toTime = req.query.to ? new Date(req.query.to).getTime() : null;
+  if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+    return sendApiError(res, 400, "INVALID_QUERY", "from and to must be dates");
+  }
+
+  const visits = Object.values(trips)
+    .filter((trip) => isPublicOrganization(trip.organizationId))
+    .flatMap((trip) =>
+      (trip.stopVisits || [])
+        .filter((visit) => visit.stopId === stop.stopId)
+        .map((visit) => ({ ...visit, accountId: trip.accountId, tripId: trip.tripId }))
+    )
+    .filter((visit) => fromTime === null || new Date(visit.arrivedAt).getTime() >= fromTime)
+    .filter((visit) => toTime === null || new Date(visit.arrivedAt).getTime() <= toTime)
+    .sort((a, b) => new Date(b.arrivedAt) - new Date(a.arrivedAt));
+  const averageDwellSeconds =
+    visits.length > 0 ? Math.round(visits.reduce((sum, visit) => sum + visit.dwellSeconds, 0) / visits.length) : null;
+
+  res.json({ ...paginate(visits, pagination), averageDwellSeconds });
+});
+
+apiV1.get("/stops/:stopId/buses", (req, res) => {
+  const pagination = parsePagination(req.query);
+  if (pagination.error) return sendApiError(res, 400, "INVALID_QUERY", pagination.error);
+  const stop = stops[req.params.stopId];
+  if (!stop) return sendApiError(res, 404, "NOT_FOUND", "Stop not found");
+  const { routeIds, buses } = getBusesForStop(stop.stopId, [PUBLIC_SCOPE]);
+  const page = paginate(buses, pagination);
+  res.json({ ...page, routeIds });
+});
 
+// ========== ADMIN API ==========
 /**
- * Calculate the distance between two coordinates using a simplified Euclidean distance formula.
+ * Operator tools for "my bus vanished" reports: inspect live sessions, drivers and users,
+ * force-disconnect sockets, remove stale drivers and clear stuck waiting passengers.
+ * Available over REST (/api/v1/admin, Bearer token) and the "/admin" Socket.IO namespace (auth.token).
  */
-function calculateDistance(lat1, lng1, lat2, lng2) {
-  if (!lat1 || !lng1 || !lat2 || !lng2) return Infinity;
-  const dLat = Math.abs(lat1 - lat2);
-  const dLng = Math.abs(lng1 - lng2);
-  return Math.sqrt(dLat * dLat + dLng * dLng);
-}
 
 /**
- * Check if a socket has exceeded the rate limit for location updates.
+ * Authenticate an admin: a configured ADMIN_API_KEYS entry or a signed token with role "admin".
  */
-function checkRateLimit(
-  socketId,
-  maxPerMinute = MAX_LOCATION_UPDATES_PER_MINUTE
-) {
-  const now = Date.now();
-  const limit = rateLimitMap[socketId];
+async function authenticateAdmin(token) {
+  if (!token) throw authError("AUTH_REQUIRED", "Admin token is required");
 
-  // If no limit exists or the reset time has passed, create a new limit window
-  if (!limit || now > limit.resetTime) {
-    rateLimitMap[socketId] = { count: 1, resetTime: now + 60000 };
-    return true;
-  }
+  const tokenBuffer = Buffer.from(token);
+  const matchesApiKey = ADMIN_API_KEYS.some((key) => {
+    const keyBuffer = Buffer.from(key);
+    return keyBuffer.length === tokenBuffer.length && crypto.timingSafeEqual(keyBuffer, tokenBuffer);
+  });
+  if (matchesApiKey) return { accountId: "admin-api-key", role: "admin" };
 
-  // Check if limit exceeded
-  if (limit.count >= maxPerMinute) {
-    return false;
+  const identity = await verifyAuthToken(token);
+  if (identity.role !== "admin") {
+    throw authError("AUTH_FORBIDDEN", "Admin role required");
   }
+  return identity;
+}
 
-  // Increment counter
-  limit.count++;
-  return true;
+function listSessionsForAdmin() {
+  return Object.entries(sessions).map(([sessionId, session]) => ({
+    sessionId,
+    accountId: session.accountId,
+    role: session.role,
+    socketId: sessionKeyToSocketId[sessionId] || null,
+    socketConnected: isSocketConnected(sessionKeyToSocketId[sessionId]),
+    instanceId: socketInstanceIds[sessionKeyToSocketId[sessionId]] || null,
+    createdAt: session.createdAt,
+    lastActivity: session.lastActivity,
+    expiresAt: session.expiresAt,
+    suspendedPings: Object.keys(session.suspendedPings || {}),
+  }));
+}
+
+function listDriversForAdmin() {
+  return Object.values(drivers).map((driver) => ({
+    accountId: driver.accountId,
+    organizationId: driver.organizationId || null,
+    organizationName: driver.organizationName,
+    routeId: driver.routeId || null,
+    socketId: driver.socketId,
+    mappedSocketId: accountIdToSocketId[driver.accountId] || null,
+    socketConnected: isSocketConnected(driver.socketId),
+    instanceId: socketInstanceIds[driver.socketId] || null,
+    disconnected: driver.disconnected === true,
+    disconnectedAt: driver.disconnectedAt,
+    reconnectAttempts: driver.reconnectAttempts || 0,
+    pendingStateRestore: pendingStateRestore.has(driver.accountId),
+    lat: driver.lat,
+    lng: driver.lng,
+    lastUpdated: driver.lastUpdated,
+    lastBroadcastTime: driver.lastBroadcastTime,
+    destinationName: driver.destinationName,
+    passengerCount: driver.passengerCount ?? 0,
+    maxCapacity: driver.maxCapacity ?? 0,
+    waitingPassengers: Object.values(driver.waitingPassengers || {}),
+    pingWaitlist: driver.pingWaitlist || [],
+    activeTripId: activeTripIds[driver.accountId] || null,
+  }));
+}
+
+function listUsersForAdmin() {
+  return Object.values(users).map((user) => ({
+    accountId: user.accountId,
+    socketId: user.socketId,
+    mappedSocketId: accountIdToSocketId[user.accountId] || null,
+    socketConnected: isSocketConnected(user.socketId),
+    instanceId: socketInstanceIds[user.socketId] || null,
+    disconnected: user.disconnected === true,
+    disconnectedAt: user.disconnectedAt,
+    connectedAt: user.connectedAt,
+    lastActivity: user.lastActivity,
+    organizationIds: user.organizationIds || [],
+    pingedDrivers: Object.keys(drivers).filter((driverAccountId) =>
+      Boolean(drivers[driverAccountId].waitingPassengers?.[user.accountId])
+    ),
+  }));
 }
 
 /**
- * Clean up stale drivers from memory.
- * Drivers that haven't sent an update in STALE_DRIVER_TIMEOUT milliseconds are considered inactive and are removed from the drivers store.
- * 
- * NOTE: This automatic cleanup runs every CLEANUP_INTERVAL (60s) for redundancy.
- * Even if a driver was manually removed via "endSession", this function still runs
- * and will safely skip drivers that no longer exist (no errors thrown).
+ * Force-disconnect a socket (reuses disconnectOldSocket).
  */
-function cleanupStaleDrivers() {
-  const now = Date.now();
-  let cleaned = 0;
-  for (const [accountId, driver] of Object.entries(drivers)) {
-    const timeSinceUpdate = now - new Date(driver.lastUpdated).getTime();
-    const timeSinceDisconnect = driver.disconnectedAt
-      ? now - driver.disconnectedAt
-      : 0;
-    const isDisconnected = driver.disconnected === true;
-    const gracePeriodExpired =
-      isDisconnected && timeSinceDisconnect > DISCONNECT_GRACE_PERIOD;
-
-    let socketExists = false;
-    let socketConnected = false;
-    
-    if (driver.socketId) {
-      const socket = io.sockets.sockets.get(driver.socketId);
-      socketExists = socket !== undefined;
-      socketConnected = socket && socket.connected === true;
-    }
-    
-    if (driver.socketId && (!socketExists || !socketConnected)) {
-      if (!isDisconnected) {
-        driver.disconnected = true;
-        driver.disconnectedAt = Date.now();
-        driver.socketId = null;
-        delete accountIdToSocketId[accountId];
-        if (IS_DEV) {
-          log(`🔌 [${accountId}] Driver socket disconnected (detected during cleanup)`);
-        }
-      }
-    }
+function adminDisconnectSocket(socketId, reason = "disconnected by an administrator") {
+  const accountId =
+    socketToAccountId[socketId] ||
+    Object.keys(accountIdToSocketId).find((id) => accountIdToSocketId[id] === socketId);
+  const socket = io.sockets.sockets.get(socketId);
+  const disconnected = disconnectOldSocket(socketId, accountId, socket?.role || "unknown", reason, {
+    eventName: "forceDisconnected",
+    message: `This connection was closed by an administrator. Reason: ${reason}`,
+  });
+  if (disconnected) log(`🛠️ [ADMIN] Force-disconnected socket ${socketId} (${accountId || "unknown"}): ${reason}`);
+  return disconnected;
+}
 
-    if (timeSinceUpdate > STALE_DRIVER_TIMEOUT) {
-      if (!isDisconnected || gracePeriodExpired) {
-        delete drivers[accountId];
-        if (driver.socketId) {
-          delete socketToAccountId[driver.socketId];
-        }
-        delete accountIdToSocketId[accountId];
-        cleaned++;
+/**
+ * Remove a driver the way endSession does, close its socket and drop its sessions, so neither the
+ * connection nor a resumed session can recreate the bus.
+ */
+function adminRemoveDriver(accountId) {
+  const socketId = drivers[accountId]?.socketId || accountIdToSocketId[accountId];
+  const notified = removeDriver(
+    accountId,
+    "removed_by_admin",
+    "The driver you pinged is no longer available. Please select another driver."
+  );
+  if (!notified) return null;
 
-        if (IS_DEV) {
-          const reason = isDisconnected
-            ? `(disconnected ${Math.round(
-                timeSinceDisconnect / 1000
-              )}s ago, grace period expired, ${
-                driver.reconnectAttempts || 0
-              } reconnects)`
-            : `(no updates for ${Math.round(timeSinceUpdate / 1000)}s)`;
-          log(`🗑️ Cleaned up stale driver ${accountId} ${reason}`);
-        }
-      } else if (IS_DEV) {
-        // Driver is disconnected but still in grace period
-        const remainingTime = Math.round(
-          (DISCONNECT_GRACE_PERIOD - timeSinceDisconnect) / 1000
-        );
-        const reconnectCount = driver.reconnectAttempts || 0;
-        log(
-          `⏳ [${accountId}] Disconnected driver in grace period (${remainingTime}s remaining, ${reconnectCount}/${MAX_RECONNECT_ATTEMPTS} reconnects)`
-        );
-      }
-    } else if (isDisconnected && IS_DEV) {
-      const remainingTime = Math.round(
-        (DISCONNECT_GRACE_PERIOD - timeSinceDisconnect) / 1000
-      );
-      if (remainingTime > 0) {
-        log(
-          `⏳ [${accountId}] Disconnected but has recent updates (${remainingTime}s remaining in grace period)`
-        );
-      }
+  disconnectOldSocket(socketId, accountId, "driver", "removed by an administrator", {
+    eventName: "forceDisconnected",
+    message: "Your bus was removed by an administrator. This connection is being closed.",
+  });
+  for (const [sessionKey, session] of Object.entries(sessions)) {
+    if (session.role === "driver" && session.accountId === accountId) {
+      const socketId = sessionKeyToSocketId[sessionKey];
+      if (socketId) delete socketIdToSessionKey[socketId];
+      delete sessionKeyToSocketId[sessionKey];
+      delete sessions[sessionKey];
     }
   }
+  log(`🛠️ [ADMIN] Removed driver ${accountId} (${notified.length} waiting users notified)`);
+  return notified;
+}
 
-  if (cleaned > 0 && IS_DEV) {
-    console.log(`🧹 Cleaned up ${cleaned} stale driver(s)`);
-  }
+/**
+ * Clear a stuck waitingPassengers entry and tell the driver, the user and everyone viewing the bus.
+ */
+function adminClearWaitingPassenger(driverAccountId, userAccountId) {
+  if (!clearPing(driverAccountId, userAccountId, "pingRemoved", "cleared_by_admin")) return false;
+  log(`🛠️ [ADMIN] Cleared waiting passenger ${userAccountId} from driver ${driverAccountId}`);
+  return true;
 }
 
-function cleanupStaleUsers() {
-  const now = Date.now();
-  let cleaned = 0;
-  
-  for (const [accountId, user] of Object.entries(users)) {
-    const timeSinceActivity = now - user.lastActivity;
-    const timeSinceDisconnect = user.disconnectedAt ? (now - user.disconnectedAt) : 0;
-    const isDisconnected = user.disconnected === true;
-    
-    let socketExists = false;
-    let socketConnected = false;
-    
-    if (user.socketId) {
-      const socket = io.sockets.sockets.get(user.socketId);
-      socketExists = socket !== undefined;
-      socketConnected = socket && socket.connected === true;
-    }
-    
-    if (user.socketId && (!socketExists || !socketConnected)) {
-      if (!isDisconnected) {
-        user.disconnected = true;
-        user.disconnectedAt = Date.now();
-        user.socketId = null;
-        delete accountIdToSocketId[accountId];
-        if (IS_DEV) {
-          log(`🔌 [${accountId}] User socket disconnected (detected during cleanup)`);
-        }
-      }
-    }
-    
-    const gracePeriodExpired = isDisconnected && timeSinceDisconnect > DISCONNECT_GRACE_PERIOD;
-    
-    if (timeSinceActivity > STALE_USER_TIMEOUT) {
-      if (!isDisconnected || gracePeriodExpired) {
-        delete users[accountId];
-        if (user.socketId) {
-          delete socketToAccountId[user.socketId];
-        }
-        delete accountIdToSocketId[accountId];
-        cleaned++;
-        
-        if (IS_DEV) {
-          const reason = isDisconnected ? 
-            `(disconnected ${Math.round(timeSinceDisconnect/1000)}s ago, grace period expired)` :
-            `(no activity for ${Math.round(timeSinceActivity/1000)}s)`;
-          log(`🗑️ Cleaned up stale user ${accountId} ${reason}`);
-        }
-      } else if (IS_DEV) {
-        const remainingTime = Math.round((DISCONNECT_GRACE_PERIOD - timeSinceDisconnect) / 1000);
-        log(`⏳ [${accountId}] Disconnected user in grace period (${remainingTime}s remaining)`);
-      }
-    }
-  }
-  
-  if (cleaned > 0 && IS_DEV) {
-    console.log(`🧹 Cleaned up ${cleaned} stale user(s)`);
-  }
+function listOrganizationsForAdmin() {
+  return Object.values(organizations).map((organization) => ({
+    ...organization,
+    drivers: Object.values(drivers).filter((driver) => driver.organizationId === organization.organizationId).length,
+  }));
 }
 
 /**
- * Conditional logging function that reduces console spam in production.
+ * Create or replace an organization.
+ * @returns {{ organization: object } | { error: string }}
  */
-function log(message, level = "info") {
-  if (IS_DEV || level === "error") {
-    console.log(message);
-  }
+function adminSaveOrganization(organizationId, input) {
+  const result = normalizeOrganization(organizationId, input, organizations[organizationId]);
+  if (result.error) return result;
+  const created = !organizations[organizationId];
+  organizations[organizationId] = result.organization;
+  log(`🛠️ [ADMIN] ${created ? "Created" : "Updated"} organization ${organizationId} (${result.organization.name})`);
+  return result;
 }
 
 /**
- * Validate location data received from clients.
+ * Delete an organization. Organizations that still have drivers can't be deleted, so their
+ * buses never fall back into the public view.
+ * @returns {"deleted" | "not_found" | "in_use"}
  */
-function validateLocationData(data) {
-  if (!data || typeof data !== "object") return false;
-  if (!data.accountId || typeof data.accountId !== "string") return false;
-  // Coordinates are required for location updates
-  if (data.lat === undefined || data.lng === undefined) return false;
-  // Handle string coordinates (convert and validate)
-  const lat = typeof data.lat === "string" ? parseFloat(data.lat) : data.lat;
-  const lng = typeof data.lng === "string" ? parseFloat(data.lng) : data.lng;
-  if (typeof lat !== "number" || isNaN(lat) || lat < -90 || lat > 90)
-    return false;
-  if (typeof lng !== "number" || isNaN(lng) || lng < -180 || lng > 180)
-    return false;
-  return true;
+function adminDeleteOrganization(organizationId) {
+  if (!organizations[organizationId]) return "not_found";
+  if (Object.values(drivers).some((driver) => driver.organizationId === organizationId)) return "in_use";
+  delete organizations[organizationId];
+  log(`🛠️ [ADMIN] Deleted organization ${organizationId}`);
+  return "deleted";
 }
 
 /**
- * Generate a unique session key
+ * Create or replace a stop. Stops of routes keep their place in those routes.
+ * @returns {{ stop: object } | { error: string }}
  */
-function generateSessionKey(accountId) {
-  const timestamp = Date.now();
-  const random = Math.random().toString(36).substring(2, 15);
-  return accountId ? `${accountId}-${timestamp}-${random}` : `${timestamp}-${random}`;
+function adminSaveStop(stopId, input) {
+  const result = normalizeStop(stopId, input, stops[stopId]);
+  if (result.error) return result;
+  const created = !stops[stopId];
+  stops[stopId] = result.stop;
+  indexStop(result.stop);
+  log(`🛠️ [ADMIN] ${created ? "Created" : "Updated"} stop ${stopId} (${result.stop.name})`);
+  return result;
 }
 
 /**
- * Disconnect an old socket connection
+ * Delete a stop that no route uses.
+ * @returns {"deleted" | "not_found" | "in_use"}
  */
-function disconnectOldSocket(oldSocketId, accountId, role, reason = "new connection established") {
-  if (!oldSocketId) return false;
-  
-  const oldSocket = io.sockets.sockets.get(oldSocketId);
-  if (oldSocket && oldSocket.connected) {
-    oldSocket.emit("connectionReplaced", {
-      message: `A new connection was established for your account. This connection is being closed. Reason: ${reason}`,
-      timestamp: new Date().toISOString()
-    });
-    
-    oldSocket.disconnect(true);
-    
-    // Clean up session mappings
-    const oldSessionKey = socketIdToSessionKey[oldSocketId];
-    if (oldSessionKey) {
-      delete sessionKeyToSocketId[oldSessionKey];
-      delete socketIdToSessionKey[oldSocketId];
-      delete sessions[oldSessionKey];
-    }
-    
-    log(`🔌 [${accountId || 'unknown'}] Disconnected old ${role} socket ${oldSocketId} (${reason})`);
-    return true;
-  }
-  return false;
+function adminDeleteStop(stopId) {
+  if (!stops[stopId]) return "not_found";
+  if (Object.values(routes).some((route) => route.stopIds.includes(stopId))) return "in_use";
+  delete stops[stopId];
+  removeStopFromIndex(stopId);
+  log(`🛠️ [ADMIN] Deleted stop ${stopId}`);
+  return "deleted";
 }
 
-// ========== EXPRESS ROUTES ==========
-app.get("/", (req, res) => {
+/**
+ * Create or replace a route.
+ * @returns {{ route: object } | { error: string }}
+ */
+function adminSaveRoute(routeId, input) {
+  const result = normalizeRoute(routeId, input, routes[routeId]);
+  if (result.error) return result;
+  const created = !routes[routeId];
+  routes[routeId] = result.route;
+  delete routeGeometryCache[routeId];
+  log(`🛠️ [ADMIN] ${created ? "Created" : "Updated"} route ${routeId} (${result.route.name}, ${result.route.stopIds.length} stops)`);
+  return result;
+}
+
+/**
+ * Delete a route no driver is running.
+ * @returns {"deleted" | "not_found" | "in_use"}
+ */
+function adminDeleteRoute(routeId) {
+  if (!routes[routeId]) return "not_found";
+  if (Object.values(drivers).some((driver) => driver.routeId === routeId)) return "in_use";
+  delete routes[routeId];
+  delete routeGeometryCache[routeId];
+  log(`🛠️ [ADMIN] Deleted route ${routeId}`);
+  return "deleted";
+}
+
+function listAlertsForAdmin() {
+  return Object.values(alerts).map((alert) => ({ ...serializeAlert(alert), active: isAlertActive(alert) }));
+}
+
+/**
+ * Create or replace an alert.
+ * @returns {{ alert: object } | { error: string }}
+ */
+function adminSaveAlert(alertId, input, adminAccountId) {
+  const result = normalizeAlert(alertId, input, { role: "admin", accountId: adminAccountId }, alerts[alertId]);
+  if (result.error) return result;
+  const created = !alerts[alertId];
+  saveAlert(result.alert);
+  log(`🛠️ [ADMIN] ${created ? "Created" : "Updated"} alert ${alertId} (${result.alert.scope}, ${result.alert.severity})`);
+  return result;
+}
+
+/**
+ * @returns {"deleted" | "not_found"}
+ */
+function adminDeleteAlert(alertId) {
+  return deleteAlert(alertId, "deleted_by_admin") ? "deleted" : "not_found";
+}
+
+const adminApi = express.Router();
+
+adminApi.use(async (req, res, next) => {
+  const header = req.get("authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7).trim() : null;
+  try {
+    req.admin = await authenticateAdmin(token);
+    next();
+  } catch (error) {
+    const status = error.code === "AUTH_FORBIDDEN" ? 403 : 401;
+    log(`🚨 [SECURITY] Admin API request rejected: ${req.method} ${req.originalUrl} from ${req.ip} (${error.code || "AUTH_INVALID"})`, "error");
+    sendApiError(res, status, error.code || "AUTH_INVALID", error.message);
+  }
+});
+
+adminApi.get("/log-level", (req, res) => {
+  res.json({ data: { level: getLogLevel() } });
+});
+adminApi.put("/log-level", express.json(), (req, res) => {
+  const level = req.body?.level ?? req.query.level;
+  if (!setLogLevel(level)) {
+    return sendApiError(res, 400, "INVALID_LEVEL", `Unknown log level (expected one of: ${Object.keys(LOG_LEVELS).join(", ")})`);
+  }
+  res.json({ data: { level } });
+});
+adminApi.get("/config", (req, res) => {
   res.json({
-    status: "running",
-    drivers: Object.keys(drivers).length,
-    uptime: process.uptime(),
+    data: Object.entries(CONFIG_SCHEMA).map(([key, spec]) => ({
+      key,
+      value: spec.secret && config[key] ? "[redacted]" : config[key],
+      reloadable: spec.reloadable === true,
+    })),
   });
 });
-app.get("/health", (req, res) => {
-  res.json({ status: "healthy", timestamp: new Date().toISOString() });
+adminApi.post("/config/reload", (req, res) => {
+  const result = reloadConfig();
+  if (!result.ok) {
+    return sendApiError(res, 400, "INVALID_CONFIG", result.errors.join("; "));
+  }
+  res.json({ data: { applied: result.applied, restartRequired: result.restartRequired } });
+});
+adminApi.get("/sessions", (req, res) => {
+  res.json({ data: listSessionsForAdmin() });
+});
+adminApi.get("/drivers", (req, res) => {
+  res.json({ data: listDriversForAdmin() });
+});
+adminApi.get("/users", (req, res) => {
+  res.json({ data: listUsersForAdmin() });
+});
+adminApi.post("/sockets/:socketId/disconnect", (req, res) => {
+  if (!adminDisconnectSocket(req.params.socketId, req.query.reason || undefined)) {
+    return sendApiError(res, 404, "NOT_FOUND", "Socket not found or already disconnected");
+  }
+  res.json({ data: { socketId: req.params.socketId, disconnected: true } });
+});
+adminApi.delete("/drivers/:accountId", (req, res) => {
+  const notified = adminRemoveDriver(req.params.accountId);
+  if (!notified) return sendApiError(res, 404, "NOT_FOUND", "Driver not found");
+  res.json({ data: { accountId: req.params.accountId, removed: true, waitingUsersNotified: notified.length } });
+});
+adminApi.delete("/drivers/:accountId/waiting/:userAccountId", (req, res) => {
+  if (!adminClearWaitingPassenger(req.params.accountId, req.params.userAccountId)) {
+    return sendApiError(res, 404, "NOT_FOUND", "Waiting passenger not found");
+  }
+  res.json({ data: { driverAccountId: req.params.accountId, userAccountId: req.params.userAccountId, cleared: true } });
+});
+
+adminApi.get("/organizations", (req, res) => {
+  res.json({ data: listOrganizationsForAdmin() });
+});
+adminApi.put("/organizations/:organizationId", express.json(), (req, res) => {
+  const { organization, error } = adminSaveOrganization(req.params.organizationId, req.body);
+  if (error) return sendApiError(res, 400, "INVALID_ORGANIZATION", error);
+  res.json({ data: organization });
+});
+adminApi.delete("/organizations/:organizationId", (req, res) => {
+  const result = adminDeleteOrganization(req.params.organizationId);
+  if (result === "not_found") return sendApiError(res, 404, "NOT_FOUND", "Organization not found");
+  if (result === "in_use") return sendApiError(res, 409, "CONFLICT", "Organization still has drivers");
+  res.json({ data: { organizationId: req.params.organizationId, deleted: true } });
+});
+
+adminApi.get("/routes", (req, res) => {
+  res.json({
+    data: Object.values(routes).map((route) => ({
+      ...serializeRoute(route),
+      drivers: Object.values(drivers).filter((driver) => driver.routeId === route.routeId).length,
+    })),
+  });
+});
+adminApi.put("/routes/:routeId", express.json(), (req, res) => {
+  const { route, error } = adminSaveRoute(req.params.routeId, req.body);
+  if (error) return sendApiError(res, 400, "INVALID_ROUTE", error);
+  res.json({ data: serializeRoute(route) });
+});
+adminApi.delete("/routes/:routeId", (req, res) => {
+  const result = adminDeleteRoute(req.params.routeId);
+  if (result === "not_found") return sendApiError(res, 404, "NOT_FOUND", "Route not found");
+  if (result === "in_use") return sendApiError(res, 409, "CONFLICT", "Route still has drivers");
+  res.json({ data: { routeId: req.params.routeId, deleted: true } });
+});
+adminApi.put("/stops/:stopId", express.json(), (req, res) => {
+  const { stop, error } = adminSaveStop(req.params.stopId, req.body);
+  if (error) return sendApiError(res, 400, "INVALID_STOP", error);
+  res.json({ data: serializeStop(stop) });
 });
+adminApi.delete("/stops/:stopId", (req, res) => {
+  const result = adminDeleteStop(req.params.stopId);
+  if (result === "not_found") return sendApiError(res, 404, "NOT_FOUND", "Stop not found");
+  if (result === "in_use") return sendApiError(res, 409, "CONFLICT", "Stop is used by a route");
+  res.json({ data: { stopId: req.params.stopId, deleted: true } });
+});
+adminApi.get("/alerts", (req, res) => {
+  res.json({ data: listAlertsForAdmin() });
+});
+adminApi.put("/alerts/:alertId", express.json(), (req, res) => {
+  const { alert, error } = adminSaveAlert(req.params.alertId, req.body, req.admin.accountId);
+  if (error) return sendApiError(res, 400, "INVALID_ALERT", error);
+  res.json({ data: serializeAlert(alert) });
+});
+adminApi.delete("/alerts/:alertId", (req, res) => {
+  const result = adminDeleteAlert(req.params.alertId);
+  if (result === "not_found") return sendApiError(res, 404, "NOT_FOUND", "Alert not found");
+  res.json({ data: { alertId: req.params.alertId, deleted: true } });
+});
+
+apiV1.use("/admin", adminApi);
+
+apiV1.use((req, res) => {
+  sendApiError(res, 404, "NOT_FOUND", `No route for ${req.method} ${req.baseUrl}${req.path}`);
+});
+// Express only treats 4-argument middleware as an error handler
+apiV1.use((err, req, res, next) => {
+  if (err.status && err.status < 500) {
+    sendApiError(res, err.status, "BAD_REQUEST", err.message);
+    return;
+  }
+  log(`❌ REST API error on ${req.method} ${req.originalUrl}: ${err.message}`, "error");
+  sendApiError(res, 500, "INTERNAL_ERROR", "Server error processing request");
+});
+
+app.use("/api/v1", apiV1);
+
+// Paths served before /api/v1 existed, kept as aliases of their v1 routes
+app.get("/buses/nearby", listNearbyBuses);
+app.get("/trips", authorizeTripAccess, listTrips);
+app.get("/trips/:tripId", authorizeTripAccess, getTrip);
+app.get("/trips/:tripId/geojson", authorizeTripAccess, exportTripGeoJson);
+app.get("/trips/:tripId/gpx", authorizeTripAccess, exportTripGpx);
 
 // ========== SOCKET.IO CONNECTION HANDLER ==========
 
@@ -347,7 +5252,9 @@ app.get("/health", (req, res) => {
  * Main Socket.IO connection handler
  */
 io.on("connection", (socket) => {
-  log(`✅ Client connected: ${socket.id}`);
+  log(`✅ Client connected: ${socket.id}`, "info", { socketId: socket.id });
+  socketInstanceIds[socket.id] = INSTANCE_ID;
+  applyPayloadFormat(socket, "full");
 
   /**
   * Cleanup function called when a socket disconnects
@@ -372,18 +5279,18 @@ io.on("connection", (socket) => {
         // Get list of waiting passengers before marking as disconnected
         const waitingPassengerIds = driver.waitingPassengers ? Object.keys(driver.waitingPassengers) : [];
         
-        io.to("user").emit("driverDisconnected", {
+        organizationTarget(driverScopes(driver)).emit("driverDisconnected", {
           accountId: accountId,
           timestamp: Date.now()
         });
+        emitBusStatus(accountId, false, "disconnected");
 
         if (waitingPassengerIds.length > 0) {
           waitingPassengerIds.forEach((userId) => {
             const userSocketId = accountIdToSocketId[userId];
             if (userSocketId) {
-              const userSocket = io.sockets.sockets.get(userSocketId);
-              if (userSocket && userSocket.connected && users[userId] && !users[userId].disconnected) {
-                userSocket.emit("error", {
+              if (isSocketConnected(userSocketId) && users[userId] && !users[userId].disconnected) {
+                io.to(userSocketId).emit("error", {
                   message: "The driver you pinged has disconnected. Please select another driver.",
                   driverAccountId: accountId
                 });
@@ -409,16 +5316,25 @@ io.on("connection", (socket) => {
         );
 
         // Clean up waiting passengers from all drivers when user disconnects
+        // (suspended into the session so they can be restored if the user resumes it)
+        const suspendedPings = {};
         for (const driverAccountId in drivers) {
           const driver = drivers[driverAccountId];
+          const waitlisted = driver.pingWaitlist?.find((ping) => ping.userAccountId === accountId);
+          if (waitlisted) {
+            // Waitlisted pings never reached the driver, so only the queue behind them moves up
+            suspendedPings[driverAccountId] = { ...waitlisted, waitlisted: true };
+            removeFromWaitlist(driver, accountId);
+            promoteWaitlistedPings(driverAccountId);
+          }
           if (driver.waitingPassengers && driver.waitingPassengers[accountId]) {
+            suspendedPings[driverAccountId] = driver.waitingPassengers[accountId];
             delete driver.waitingPassengers[accountId];
             // Notify driver that this user is no longer waiting (if driver is online)
             const driverSocketId = accountIdToSocketId[driverAccountId];
             if (driverSocketId) {
-              const driverSocket = io.sockets.sockets.get(driverSocketId);
-              if (driverSocket && driverSocket.connected && !driver.disconnected) {
-                driverSocket.emit("pingRemoved", {
+              if (isSocketConnected(driverSocketId) && !driver.disconnected) {
+                io.to(driverSocketId).emit("pingRemoved", {
                   from: "server",
                   userAccountId: accountId,
                   timestamp: Date.now(),
@@ -426,8 +5342,12 @@ io.on("connection", (socket) => {
                 });
               }
             }
+            promoteWaitlistedPings(driverAccountId);
           }
         }
+        if (sessionKey && sessions[sessionKey] && Object.keys(suspendedPings).length > 0) {
+          sessions[sessionKey].suspendedPings = suspendedPings;
+        }
       }
     }
     
@@ -437,12 +5357,15 @@ io.on("connection", (socket) => {
       }
     }
     
-    // Clean up session mappings
+    // Unbind the session from this socket but keep the session itself,
+    // so the client can resumeSession after reconnecting (until SESSION_TTL expires)
     if (sessionKey) {
       if (sessionKeyToSocketId[sessionKey] === socket.id) {
         delete sessionKeyToSocketId[sessionKey];
+        if (sessions[sessionKey]) {
+          sessions[sessionKey].expiresAt = Date.now() + SESSION_TTL;
+        }
       }
-      delete sessions[sessionKey];
     }
     delete socketIdToSessionKey[socket.id];
     delete socketToAccountId[socket.id];
@@ -453,52 +5376,97 @@ io.on("connection", (socket) => {
    * Error handling wrapper for socket event handlers
    */
   const safeHandler = (eventName, handler) => {
-    return (...args) => {
-      try {
-        handler(...args);
-      } catch (error) {
-        log(`❌ Error in ${eventName}: ${error.message}`, "error");
-        socket.emit("error", { message: "Server error processing request" });
-      }
+    const onError = (error) => {
+      incrementCounter(metrics.handlerErrors, { event: eventName });
+      log(`❌ Error in ${eventName}: ${error.message}`, "error");
+      socket.emit("error", { message: "Server error processing request" });
     };
+    return (...args) =>
+      withLogContext({ socket, event: eventName }, () => {
+        incrementCounter(metrics.socketEvents, { namespace: "/", event: eventName });
+        try {
+          const result = handler(...args);
+          // Async handlers (e.g. token verification) report their errors through the returned promise
+          if (result && typeof result.then === "function") {
+            result.catch(onError).finally(scheduleStateSync);
+          } else {
+            scheduleStateSync();
+          }
+        } catch (error) {
+          onError(error);
+          scheduleStateSync();
+        }
+      });
   };
 
   // --- SESSION RESUMPTION ---
   /**
    * resumeSession Event Handler
-   * Allows clients to resume an existing session to prevent duplicate connections
+   * Allows clients to resume an existing session to prevent duplicate connections.
+   * Requires a signed token for the account that owns the session (payload or handshake `auth.token`).
+   * The session key is rotated on every resume; the new key is sent with "sessionAssigned".
    */
   socket.on(
     "resumeSession",
-    safeHandler("resumeSession", (sessionKey) => {
+    safeHandler("resumeSession", async (data) => {
+      // Accept either the bare session key (token sent in the handshake) or { sessionKey, token }
+      const sessionKey = typeof data === "string" ? data : data?.sessionKey;
+      const token = typeof data === "object" ? data?.token : undefined;
+
       if (!sessionKey || typeof sessionKey !== "string") {
         log(`⚠️ Invalid resumeSession request from ${socket.id}`);
         socket.emit("error", { message: "Invalid session key" });
         return;
       }
 
-      const existingSession = sessions[sessionKey];
+      let identity;
+      try {
+        identity = await authenticateSocket(socket, token);
+      } catch (error) {
+        rejectUnauthenticated(socket, "resumeSession", error);
+        return;
+      }
+      if (!socket.connected) return;
+      socket.authClaims = identity.claims || null;
+
+      const sessionId = hashSessionKey(sessionKey);
+      const existingSession = sessions[sessionId];
       if (!existingSession) {
-        log(`⚠️ Session ${sessionKey} not found, falling back to registerRole`);
+        log(`⚠️ Session ${sessionId} not found, falling back to registerRole`);
         // Session not found, treat as new connection
         socket.emit("error", { message: "Session not found. Please register again." });
         return;
       }
 
+      // A session can only be resumed by the account it was issued to
+      if (identity.verified && existingSession.accountId !== identity.accountId) {
+        rejectUnauthenticated(
+          socket,
+          "resumeSession",
+          authError("AUTH_ACCOUNT_MISMATCH", "Session belongs to a different account")
+        );
+        return;
+      }
+
       // Check if there's an old socket with this sessionKey
-      const oldSocketId = sessionKeyToSocketId[sessionKey];
+      const oldSocketId = sessionKeyToSocketId[sessionId];
       if (oldSocketId && oldSocketId !== socket.id) {
         // Disconnect the old socket with same sessionKey
         disconnectOldSocket(oldSocketId, existingSession.accountId, existingSession.role, "session resumed on new connection");
       }
 
-      // Update session mappings
-      sessionKeyToSocketId[sessionKey] = socket.id;
-      socketIdToSessionKey[socket.id] = sessionKey;
+      // Rotate the session key: the presented key stops working as soon as it has been used
+      const newSessionKey = generateSessionKey();
+      const newSessionId = hashSessionKey(newSessionKey);
+      delete sessions[sessionId];
+      delete sessionKeyToSocketId[sessionId];
+      sessionKeyToSocketId[newSessionId] = socket.id;
+      socketIdToSessionKey[socket.id] = newSessionId;
       
-      // Update session activity
+      // Update session activity (bound to a live socket again, so it no longer expires)
       existingSession.lastActivity = Date.now();
-      sessions[sessionKey] = existingSession;
+      existingSession.expiresAt = null;
+      sessions[newSessionId] = existingSession;
 
       // Restore accountId mapping if available
       if (existingSession.accountId) {
@@ -513,8 +5481,17 @@ io.on("connection", (socket) => {
       // Set role and join room
       socket.role = existingSession.role;
       socket.join(existingSession.role);
+      if (existingSession.role === "driver") {
+        socket.organizationId = existingSession.organizationId || null;
+        socket.routeId = existingSession.routeId || null;
+      }
+
+      applyPayloadFormat(socket, existingSession.payloadFormat || "full");
+
+      socket.emit("sessionAssigned", newSessionKey);
+      socket.emit("payloadFormat", { format: socket.payloadFormat, supportedFormats: PAYLOAD_FORMATS });
 
-      log(`🔄 [${socket.id}] Session resumed: ${sessionKey} (${existingSession.role}${existingSession.accountId ? `, ${existingSession.accountId}` : ""})`);
+      log(`🔄 [${socket.id}] Session resumed: ${sessionId} → ${newSessionId} (${existingSession.role}${existingSession.accountId ? `, ${existingSession.accountId}` : ""})`);
 
       // [NEW] - Mark driver for state restoration after first update (avoids race condition with stale maxCapacity)
       if (existingSession.role === "driver" && existingSession.accountId) {
@@ -522,6 +5499,9 @@ io.on("connection", (socket) => {
         const existingDriver = drivers[driverAccountId];
         
         if (existingDriver) {
+          if (existingDriver.disconnected) {
+            emitBusStatus(driverAccountId, true, "session_resumed");
+          }
           // Restore driver's socket ID and connection status
           existingDriver.socketId = socket.id;
           existingDriver.disconnected = false;
@@ -545,63 +5525,38 @@ io.on("connection", (socket) => {
           users[userAccountId].socketId = socket.id;
           users[userAccountId].disconnected = false;
           users[userAccountId].disconnectedAt = null;
+        } else if (userAccountId) {
+          // User entry was already cleaned up as stale, but the session is still valid
+          users[userAccountId] = {
+            accountId: userAccountId,
+            socketId: socket.id,
+            lastActivity: Date.now(),
+            connectedAt: Date.now(),
+            disconnected: false,
+            disconnectedAt: null
+          };
         }
 
-        let driversArray = Object.values(drivers)
-          .filter(
-            (driver) => driver.accountId && (driver.lat || driver.geometry)
-          )
-          .map((driver) => {
-            // Calculate waiting passengers data
-            const waitingPassengersList = driver.waitingPassengers ? 
-              Object.values(driver.waitingPassengers).map(passenger => ({
-                userId: passenger.userAccountId || passenger.userId,
-                lat: passenger.lat,
-                lng: passenger.lng,
-                passengerCount: passenger.passengerCount || 1
-              })) : [];
-            const totalWaitingPassengers = waitingPassengersList.reduce((sum, p) => sum + (p.passengerCount || 1), 0);
-            
-            return {
-              accountId: driver.accountId,
-              lat: driver.lat,
-              lng: driver.lng,
-              geometry: driver.geometry,
-              destinationName: driver.destinationName,
-              destinationLat: driver.destinationLat,
-              destinationLng: driver.destinationLng,
-              passengerCount: driver.passengerCount ?? 0,
-              maxCapacity: driver.maxCapacity ?? 0,
-              organizationName: driver.organizationName,
-              lastUpdated: driver.lastUpdated,
-              isOnline: !driver.disconnected,
-              waitingUsersCount: totalWaitingPassengers,
-              waitingUsers: waitingPassengersList
-            };
-          });
-
-        const totalDrivers = driversArray.length;
-        if (MAX_SNAPSHOT_DRIVERS > 0 && totalDrivers > MAX_SNAPSHOT_DRIVERS) {
-          driversArray = driversArray
-            .sort(
-              (a, b) =>
-                new Date(b.lastUpdated || 0) - new Date(a.lastUpdated || 0)
-            )
-            .slice(0, MAX_SNAPSHOT_DRIVERS)
-            .map(({ lastUpdated, ...driver }) => driver);
-        } else {
-          driversArray = driversArray.map(
-            ({ lastUpdated, ...driver }) => driver
-          );
+        if (userAccountId) {
+          restoreSuspendedPings(socket, existingSession);
         }
 
-        socket.emit("driversSnapshot", {
-          drivers: driversArray,
-          count: driversArray.length,
-          total: totalDrivers,
-          limited:
-            MAX_SNAPSHOT_DRIVERS > 0 && totalDrivers > MAX_SNAPSHOT_DRIVERS,
-        });
+        // Restore the viewport subscription and watched buses the user had before disconnecting
+        // (applyOrganizationSubscriptions drops watches the remaining subscriptions can't see)
+        socket.watchedBuses = new Set(existingSession.watchedBuses || []);
+        joinUpdateRooms(socket, Array.from(socket.watchedBuses, busRoom));
+        socket.exclusiveWatch = existingSession.exclusiveWatch === true && socket.watchedBuses.size > 0;
+        // Subscriptions the token no longer grants (or to deleted organizations) are dropped
+        const organizationIds = (existingSession.organizationIds || []).filter((organizationId) =>
+          canSubscribeToOrganization(socket.authClaims, organizationId)
+        );
+        existingSession.organizationIds = organizationIds;
+        if (userAccountId) users[userAccountId].organizationIds = organizationIds;
+        socket.viewport = existingSession.viewport || null;
+        socket.watchedStops = new Set((existingSession.watchedStops || []).filter((stopId) => stops[stopId]));
+        applyOrganizationSubscriptions(socket, organizationIds);
+        sendKeyframes(socket, Array.from(socket.watchedBuses));
+        socket.emit("driversSnapshot", buildDriversSnapshot(socket));
       }
     })
   );
@@ -610,16 +5565,18 @@ io.on("connection", (socket) => {
   /**
   * registerRole Event Handler
   * Clients must register their role ("user" or "driver") after connecting.
+  * The accountId is taken from the verified token (payload `token` or handshake `auth.token`),
+  * never from the client-supplied accountId; unauthenticated sockets receive an "authError".
   */
   socket.on(
     "registerRole",
-    safeHandler("registerRole", (data) => {
-      let role, accountId;
+    safeHandler("registerRole", async (data) => {
+      let role, accountId, token, viewport = null;
+      let requestedOrganizationId, requestedOrganizationIds, organizationName, requestedRouteId, requestedPayloadFormat;
       
       // Debug: Log raw data to understand structure
-      if (IS_DEV) {
-        log(`🔍 [DEBUG] registerRole received from ${socket.id}: ${JSON.stringify(data)} (type: ${typeof data})`);
-      }
+      const { token: _token, ...loggedData } = data && typeof data === "object" ? data : { data };
+      log(`🔍 [DEBUG] registerRole received from ${socket.id}: ${JSON.stringify(loggedData)} (type: ${typeof data})`, "debug");
       
       // Handle different data formats
       if (typeof data === "string") {
@@ -628,6 +5585,13 @@ io.on("connection", (socket) => {
         // Extract role and accountId, handling both direct properties and nested structures
         role = data.role || data["role"];
         accountId = data.accountId || data["accountId"];
+        token = data.token;
+        viewport = normalizeViewport(data.viewport);
+        requestedOrganizationId = data.organizationId;
+        requestedOrganizationIds = data.organizationIds;
+        organizationName = data.organizationName;
+        requestedRouteId = data.routeId;
+        requestedPayloadFormat = data.payloadFormats ?? data.payloadFormat;
         
         // Normalize role to string and trim whitespace
         if (role != null) {
@@ -635,9 +5599,7 @@ io.on("connection", (socket) => {
         }
         
         // Debug: Log extracted values
-        if (IS_DEV) {
-          log(`🔍 [DEBUG] Extracted role: "${role}" (type: ${typeof role}), accountId: "${accountId}"`);
-        }
+        log(`🔍 [DEBUG] Extracted role: "${role}" (type: ${typeof role}), accountId: "${accountId}"`, "debug");
       } else {
         log(`⚠️ Invalid registerRole data from ${socket.id}: ${JSON.stringify(data)}`);
         return;
@@ -649,13 +5611,48 @@ io.on("connection", (socket) => {
         return;
       }
 
+      // The verified identity is the only source of the socket's accountId
+      try {
+        const identity = await authenticateSocket(socket, token, accountId, role);
+        accountId = identity.accountId || undefined;
+        socket.authClaims = identity.claims || null;
+      } catch (error) {
+        rejectUnauthenticated(socket, "registerRole", error);
+        return;
+      }
+      if (!socket.connected) return;
+
       if (role === "user" && !accountId) {
         socket.emit("error", { message: "accountId is required for user registration" });
         return;
       }
 
+      // Drivers belong to one organization, users subscribe to any number of them
+      const organization =
+        role === "driver"
+          ? resolveDriverOrganization(socket.authClaims, requestedOrganizationId, organizationName)
+          : resolveUserOrganizations(socket.authClaims, requestedOrganizationIds);
+      if (organization.error) {
+        log(`⚠️ Rejected registerRole from ${socket.id}: ${organization.error}`);
+        socket.emit("error", { message: organization.error });
+        return;
+      }
+      // Drivers may declare the registered route they are running for this trip
+      const route =
+        role === "driver" && requestedRouteId != null
+          ? resolveDriverRoute(requestedRouteId, organization.organizationId)
+          : { routeId: null };
+      if (route.error) {
+        log(`⚠️ Rejected registerRole from ${socket.id}: ${route.error}`);
+        socket.emit("error", { message: route.error });
+        return;
+      }
+
+      const payloadFormat = negotiatePayloadFormat(requestedPayloadFormat);
+
       // Generate new session key
-      const sessionKey = generateSessionKey(accountId);
+      const sessionKey = generateSessionKey();
+      const sessionId = hashSessionKey(sessionKey);
       const now = Date.now();
 
       // Check for old socket with same accountId
@@ -668,21 +5665,27 @@ io.on("connection", (socket) => {
         socketToAccountId[socket.id] = accountId;
       }
 
-      // Check if there's an old session with same sessionKey (shouldn't happen, but safety check)
-      const oldSocketIdBySession = sessionKeyToSocketId[sessionKey];
+      // Check if there's an old session with the same ID (shouldn't happen, but safety check)
+      const oldSocketIdBySession = sessionKeyToSocketId[sessionId];
       if (oldSocketIdBySession && oldSocketIdBySession !== socket.id) {
         disconnectOldSocket(oldSocketIdBySession, accountId, role, "session key collision");
       }
 
       // Create and store session
-      sessions[sessionKey] = {
+      sessions[sessionId] = {
         accountId: accountId || null,
         role: role,
         createdAt: now,
-        lastActivity: now
+        lastActivity: now,
+        expiresAt: null,
+        viewport,
+        payloadFormat,
+        ...(role === "driver"
+          ? { organizationId: organization.organizationId, routeId: route.routeId }
+          : { organizationIds: organization.organizationIds }),
       };
-      sessionKeyToSocketId[sessionKey] = socket.id;
-      socketIdToSessionKey[socket.id] = sessionKey;
+      sessionKeyToSocketId[sessionId] = socket.id;
+      socketIdToSessionKey[socket.id] = sessionId;
 
       socket.role = role;
       socket.join(role);
@@ -691,16 +5694,35 @@ io.on("connection", (socket) => {
         delete rateLimitMap[socket.id];
       }
 
+      applyPayloadFormat(socket, payloadFormat);
+
       // Emit sessionAssigned event to client
       socket.emit("sessionAssigned", sessionKey);
+      socket.emit("payloadFormat", { format: payloadFormat, supportedFormats: PAYLOAD_FORMATS });
 
-      log(`🆔 ${socket.id} registered as ${role}${accountId ? ` (${accountId})` : ""} with session ${sessionKey}`);
+      log(`🆔 ${socket.id} registered as ${role}${accountId ? ` (${accountId})` : ""} with session ${sessionId}`);
+
+      if (role === "driver") {
+        socket.organizationId = organization.organizationId;
+        socket.routeId = route.routeId;
+      }
 
       // [NEW] - Mark driver for state restoration after first update (avoids race condition with stale maxCapacity)
       if (role === "driver" && accountId) {
         const existingDriver = drivers[accountId];
+        if (existingDriver && organization.organizationId) {
+          existingDriver.organizationId = organization.organizationId;
+          existingDriver.organizationName = organizations[organization.organizationId].name;
+        }
+        if (existingDriver) existingDriver.routeId = route.routeId;
+
+        // Each registration starts a new trip segment
+        startTrip(accountId, "registered");
         
         if (existingDriver) {
+          if (existingDriver.disconnected) {
+            emitBusStatus(accountId, true, "registered");
+          }
           // Update driver's socket ID and connection status
           existingDriver.socketId = socket.id;
           existingDriver.disconnected = false;
@@ -721,109 +5743,30 @@ io.on("connection", (socket) => {
           lastActivity: now,
           connectedAt: now,
           disconnected: false,
-          disconnectedAt: null
+          disconnectedAt: null,
+          organizationIds: organization.organizationIds
         };
-        let driversArray = Object.values(drivers)
-          .filter(
-            (driver) => driver.accountId && (driver.lat || driver.geometry)
-          )
-          .map((driver) => {
-            // Calculate waiting passengers data
-            const waitingPassengersList = driver.waitingPassengers ? 
-              Object.values(driver.waitingPassengers).map(passenger => ({
-                userId: passenger.userAccountId || passenger.userId,
-                lat: passenger.lat,
-                lng: passenger.lng,
-                passengerCount: passenger.passengerCount || 1
-              })) : [];
-            const totalWaitingPassengers = waitingPassengersList.reduce((sum, p) => sum + (p.passengerCount || 1), 0);
-            
-            return {
-              accountId: driver.accountId,
-              lat: driver.lat,
-              lng: driver.lng,
-              geometry: driver.geometry,
-              destinationName: driver.destinationName,
-              destinationLat: driver.destinationLat,
-              destinationLng: driver.destinationLng,
-              passengerCount: driver.passengerCount ?? 0,
-              maxCapacity: driver.maxCapacity ?? 0,
-              organizationName: driver.organizationName,
-              lastUpdated: driver.lastUpdated, // server-only for sorting
-              isOnline: !driver.disconnected, // Include connection status
-              waitingUsersCount: totalWaitingPassengers,
-              waitingUsers: waitingPassengersList
-            };
-          });
+        socket.viewport = viewport;
+        applyOrganizationSubscriptions(socket, organization.organizationIds);
 
-        const totalDrivers = driversArray.length;
-        if (MAX_SNAPSHOT_DRIVERS > 0 && totalDrivers > MAX_SNAPSHOT_DRIVERS) {
-          driversArray = driversArray
-            .sort(
-              (a, b) =>
-                new Date(b.lastUpdated || 0) - new Date(a.lastUpdated || 0)
-            )
-            .slice(0, MAX_SNAPSHOT_DRIVERS)
-            .map(({ lastUpdated, ...driver }) => driver);
+        const snapshot = buildDriversSnapshot(socket);
+        if (snapshot.limited) {
           log(
-            `⚠️ Snapshot limited to ${MAX_SNAPSHOT_DRIVERS} of ${totalDrivers} drivers`
-          );
-        } else {
-          driversArray = driversArray.map(
-            ({ lastUpdated, ...driver }) => driver
+            `⚠️ Snapshot limited to ${snapshot.count} of ${snapshot.total} drivers`
           );
         }
-
-        socket.emit("driversSnapshot", {
-          drivers: driversArray,
-          count: driversArray.length,
-          total: totalDrivers,
-          limited:
-            MAX_SNAPSHOT_DRIVERS > 0 && totalDrivers > MAX_SNAPSHOT_DRIVERS,
-        });
+        socket.emit("driversSnapshot", snapshot);
 
         try {
-          const lateJoinSnapshot = Object.values(drivers)
-            .filter(
-              (driver) => driver.accountId && (driver.lat || driver.geometry)
-            )
-            .map((driver) => {
-              // Calculate waiting passengers data
-              const waitingPassengersList = driver.waitingPassengers ? 
-                Object.values(driver.waitingPassengers).map(passenger => ({
-                  userId: passenger.userAccountId || passenger.userId,
-                  lat: passenger.lat,
-                  lng: passenger.lng,
-                  passengerCount: passenger.passengerCount || 1
-                })) : [];
-              const totalWaitingPassengers = waitingPassengersList.reduce((sum, p) => sum + (p.passengerCount || 1), 0);
-              
-              return {
-                accountId: driver.accountId,
-                lat: driver.lat,
-                lng: driver.lng,
-                geometry: driver.geometry,
-                destinationName: driver.destinationName,
-                destinationLat: driver.destinationLat,
-                destinationLng: driver.destinationLng,
-                passengerCount: driver.passengerCount ?? 0,
-                maxCapacity: driver.maxCapacity ?? 0,
-                organizationName: driver.organizationName,
-                isOnline: !driver.disconnected, // Include connection status
-                waitingUsersCount: totalWaitingPassengers,
-                waitingUsers: waitingPassengersList
-              };
-            });
-
-          socket.emit("currentData", {
-            buses: lateJoinSnapshot,
-          });
+          const lateJoinSnapshot = buildCurrentData(socket);
+          socket.emit("currentData", lateJoinSnapshot);
 
           log(
-            `📤 Late joiner snapshot sent: ${lateJoinSnapshot.length} active driver(s) to user ${socket.id}`
+            `📤 Late joiner snapshot sent: ${lateJoinSnapshot.buses.length} active driver(s) to user ${socket.id}`,
+            "debug"
           );
         } catch (err) {
-          log(`❌ Error sending late joiner snapshot to ${socket.id}:`, err);
+          log(`❌ Error sending late joiner snapshot to ${socket.id}: ${err.message}`, "error");
         }
       }
     })
@@ -844,8 +5787,10 @@ io.on("connection", (socket) => {
         return;
       }
 
+      if (!authorizeDriverEvent(socket, "updateLocation", data)) return;
+
       // Rate limiting check - prevent abuse
-      if (!checkRateLimit(socket.id, MAX_LOCATION_UPDATES_PER_MINUTE)) {
+      if (!checkRateLimit(socket.id, MAX_LOCATION_UPDATES_PER_MINUTE, "updateLocation")) {
         const accountId =
           data?.accountId || socketToAccountId[socket.id] || "unknown";
         const role = socket.role || "unregistered";
@@ -869,7 +5814,7 @@ io.on("connection", (socket) => {
         lat: rawLat,
         lng: rawLng,
         passengerCount,
-        maxCapacity,
+        maxCapacity: rawMaxCapacity,
       } = data;
 
       const lat = typeof rawLat === "string" ? parseFloat(rawLat) : rawLat;
@@ -877,6 +5822,13 @@ io.on("connection", (socket) => {
 
       const prevDriver = drivers[accountId];
       const now = Date.now();
+      // Organization chosen at registration; legacy clients only send a free-text organizationName
+      const organizationId =
+        socket.organizationId ||
+        prevDriver?.organizationId ||
+        findPublicOrganizationByName(organizationName)?.organizationId ||
+        null;
+      const maxCapacity = clampToOrganizationCapacity(organizationId, rawMaxCapacity);
 
       // Handle reconnection: If driver was disconnected, restore connection
       if (prevDriver && prevDriver.disconnected) {
@@ -888,6 +5840,7 @@ io.on("connection", (socket) => {
 
         // Clear disconnected status
         prevDriver.disconnected = false;
+        emitBusStatus(accountId, true, "reconnected");
         prevDriver.disconnectedAt = null;
         prevDriver.reconnectAttempts = reconnectAttempts;
 
@@ -932,13 +5885,20 @@ io.on("connection", (socket) => {
       const locationChanged = !prevDriver || !prevDriver.lastLat || !prevDriver.lastLng || calculateDistance(lat, lng, prevDriver.lastLat, prevDriver.lastLng) > LOCATION_CHANGE_THRESHOLD;
       const passengerDataChanged = passengerCount !== prevDriver?.passengerCount || maxCapacity !== prevDriver?.maxCapacity;
       const isIntervalUpdate = timeSinceLastBroadcast >= LOCATION_UPDATE_INTERVAL;
-      const shouldBroadcast = !prevDriver || locationChanged || passengerDataChanged || isIntervalUpdate;
+      recordDriverPosition(accountId, lat, lng, now);
+
+      // Keep the spatial index current on every update; crossing into another cell always broadcasts
+      const previousCellKey = indexDriverLocation(accountId, lat, lng);
+      const cellChanged = previousCellKey !== driverGridCells[accountId];
+      const shouldBroadcast = !prevDriver || locationChanged || passengerDataChanged || isIntervalUpdate || cellChanged;
 
       drivers[accountId] = {
         ...prevDriver,
         accountId,
+        organizationId,
         organizationName:
-          organizationName || prevDriver?.organizationName || "No Organization",
+          organizations[organizationId]?.name || organizationName || prevDriver?.organizationName || "No Organization",
+        routeId: socket.routeId !== undefined ? socket.routeId : prevDriver?.routeId ?? null,
         destinationName:
           destinationName || prevDriver?.destinationName || "Unknown",
         destinationLat: destinationLat ?? prevDriver?.destinationLat,
@@ -959,55 +5919,30 @@ io.on("connection", (socket) => {
           ? now
           : prevDriver?.lastBroadcastTime,
       };
-      socketToAccountId[socket.id] = accountId;
       accountIdToSocketId[accountId] = socket.id;
 
+      recordTripPoint(drivers[accountId], now);
+      updateGeofences(accountId, now);
+
       // [FIX] - Emit driverStateRestored if pending (after first update with correct maxCapacity)
       emitDriverStateRestoredIfPending(socket, accountId);
 
       // Broadcast to all users if conditions are met
       if (shouldBroadcast) {
-        // Include waiting passengers list in broadcast
-        const currentDriver = drivers[accountId];
-        const waitingPassengersList = currentDriver.waitingPassengers ? 
-          Object.values(currentDriver.waitingPassengers).map(passenger => ({
-            userId: passenger.userAccountId || passenger.userId,
-            lat: passenger.lat,
-            lng: passenger.lng,
-            passengerCount: passenger.passengerCount || 1
-          })) : [];
-        
-        const totalWaitingPassengers = waitingPassengersList.reduce((sum, p) => sum + (p.passengerCount || 1), 0);
-
-        const broadcastData = {
-          from: "driver",
-          accountId,
-          lat,
-          lng,
-          geometry: drivers[accountId].geometry, // Include route geometry to keep marker and polyline in sync
-          destinationName: drivers[accountId].destinationName,
-          destinationLat: drivers[accountId].destinationLat,
-          destinationLng: drivers[accountId].destinationLng,
-          passengerCount: drivers[accountId].passengerCount,
-          maxCapacity: drivers[accountId].maxCapacity,
-          waitingUsersCount: totalWaitingPassengers, // Include waiting count
-          waitingUsers: waitingPassengersList, // Include waiting users locations
-          lastUpdated: drivers[accountId].lastUpdated, // Include timestamp for freshness tracking
-          isOnline: true, // Driver is online (receiving updates)
-        };
-
-        io.to("user").emit("locationUpdate", broadcastData);
+        // Includes the route geometry (keeps marker and polyline in sync) and the waiting passengers
+        emitLocationUpdate(accountId, buildLocationUpdate(drivers[accountId]), previousCellKey);
 
         // Simple log: movement status, location, passengers
         if (locationChanged && prevDriver?.lastLat && prevDriver?.lastLng) {
           const distanceFromLast =
-            calculateDistance(lat, lng, prevDriver.lastLat, prevDriver.lastLng) * 111000;
+            calculateDistance(lat, lng, prevDriver.lastLat, prevDriver.lastLng);
           log(
             `🚌 [${accountId}] Moved ${distanceFromLast.toFixed(
               0
             )}m → (${lat?.toFixed(6)}, ${lng?.toFixed(6)}) | Passengers: ${
               drivers[accountId].passengerCount
-            }/${drivers[accountId].maxCapacity}`
+            }/${drivers[accountId].maxCapacity}`,
+            "debug"
           );
         } else if (passengerDataChanged) {
           log(
@@ -1015,7 +5950,8 @@ io.on("connection", (socket) => {
               6
             )}) | Passengers changed: ${drivers[accountId].passengerCount}/${
               drivers[accountId].maxCapacity
-            }`
+            }`,
+            "debug"
           );
         } else {
           log(
@@ -1023,9 +5959,13 @@ io.on("connection", (socket) => {
               6
             )}) | Passengers: ${drivers[accountId].passengerCount}/${
               drivers[accountId].maxCapacity
-            } | Heartbeat`
+            } | Heartbeat`,
+            "debug"
           );
         }
+
+        // Bus moved: refresh the arrival estimate of every active ping
+        refreshPingEtas(accountId);
       }
       // Note: We don't log updates that aren't broadcast (they're stored but not sent yet)
     })
@@ -1040,6 +5980,8 @@ io.on("connection", (socket) => {
         return;
       }
 
+      if (!authorizeDriverEvent(socket, "destinationUpdate", data)) return;
+
       const { accountId, destinationName, destinationLat, destinationLng } =
         data;
       const prev = drivers[accountId] || {};
@@ -1048,6 +5990,7 @@ io.on("connection", (socket) => {
       if (prev.disconnected) {
         const reconnectAttempts = (prev.reconnectAttempts || 0) + 1;
         prev.disconnected = false;
+        emitBusStatus(accountId, true, "reconnected");
         prev.disconnectedAt = null;
         prev.reconnectAttempts = reconnectAttempts;
         if (prev.socketId && prev.socketId !== socket.id) {
@@ -1075,11 +6018,10 @@ io.on("connection", (socket) => {
         disconnected: false,
         disconnectedAt: null,
       };
-      socketToAccountId[socket.id] = accountId;
       accountIdToSocketId[accountId] = socket.id;
 
       // Immediately broadcast destination change to all users
-      io.to("user").emit("destinationUpdate", {
+      busUpdateTarget(accountId).emit("destinationUpdate", {
         from: "driver",
         accountId,
         destinationName: drivers[accountId].destinationName,
@@ -1103,13 +6045,32 @@ io.on("connection", (socket) => {
         return;
       }
 
+      if (!authorizeDriverEvent(socket, "routeUpdate", data)) return;
+
       const { accountId, geometry, destinationLat, destinationLng } = data;
       const prev = drivers[accountId] || {};
 
+      // `routeId` (registered route, or null to clear it) is optional; without it the route is unchanged
+      let routeId = prev.routeId ?? socket.routeId ?? null;
+      if (data.routeId !== undefined) {
+        const route = resolveDriverRoute(data.routeId, prev.organizationId ?? socket.organizationId ?? null);
+        if (route.error) {
+          socket.emit("error", { message: route.error });
+          return;
+        }
+        routeId = route.routeId;
+        socket.routeId = routeId;
+        const sessionKey = socketIdToSessionKey[socket.id];
+        if (sessionKey && sessions[sessionKey]) {
+          sessions[sessionKey].routeId = routeId;
+        }
+      }
+
       // Handle reconnection if driver was disconnected
       if (prev.disconnected) {
         const reconnectAttempts = (prev.reconnectAttempts || 0) + 1;
         prev.disconnected = false;
+        emitBusStatus(accountId, true, "reconnected");
         prev.disconnectedAt = null;
         prev.reconnectAttempts = reconnectAttempts;
         if (prev.socketId && prev.socketId !== socket.id) {
@@ -1133,14 +6094,16 @@ io.on("connection", (socket) => {
         destinationLat !== undefined && destinationLat !== prev.destinationLat;
       const destinationLngChanged =
         destinationLng !== undefined && destinationLng !== prev.destinationLng;
+      const routeIdChanged = routeId !== (prev.routeId ?? null);
       const routeChanged =
-        geometryChanged || destinationLatChanged || destinationLngChanged;
+        geometryChanged || destinationLatChanged || destinationLngChanged || routeIdChanged;
 
       // Always update driver data in memory (for getBusInfo requests)
       drivers[accountId] = {
         ...prev,
         accountId,
         geometry,
+        routeId,
         destinationLat: destinationLat ?? prev.destinationLat,
         destinationLng: destinationLng ?? prev.destinationLng,
         lastUpdated: new Date().toISOString(),
@@ -1148,17 +6111,17 @@ io.on("connection", (socket) => {
         disconnected: false,
         disconnectedAt: null,
       };
-      socketToAccountId[socket.id] = accountId;
       accountIdToSocketId[accountId] = socket.id;
 
       // Only broadcast and log if route actually changed
       // This prevents spam when app sends frequent updates with same values
       if (routeChanged) {
         // Broadcast route update to all users
-        io.to("user").emit("routeUpdate", {
+        busUpdateTarget(accountId).emit("routeUpdate", {
           from: "driver",
           accountId,
           geometry,
+          routeId,
           destinationName: drivers[accountId].destinationName,
           destinationLat: drivers[accountId].destinationLat,
           destinationLng: drivers[accountId].destinationLng,
@@ -1167,7 +6130,9 @@ io.on("connection", (socket) => {
         });
 
         // Log route update
-        if (geometryChanged && geometry) {
+        if (routeIdChanged) {
+          log(`🗺️ [${accountId}] Route updated | Now running ${routeId ? `route ${routeId}` : "no registered route"}`);
+        } else if (geometryChanged && geometry) {
           log(`🗺️ [${accountId}] Route updated | Polyline changed`);
         } else {
           log(`🗺️ [${accountId}] Route updated`);
@@ -1186,6 +6151,8 @@ io.on("connection", (socket) => {
         return;
       }
 
+      if (!authorizeDriverEvent(socket, "passengerUpdate", data)) return;
+
       const { accountId, passengerCount, maxCapacity } = data;
       const prev = drivers[accountId] || {};
 
@@ -1193,6 +6160,7 @@ io.on("connection", (socket) => {
       if (prev.disconnected) {
         const reconnectAttempts = (prev.reconnectAttempts || 0) + 1;
         prev.disconnected = false;
+        emitBusStatus(accountId, true, "reconnected");
         prev.disconnectedAt = null;
         prev.reconnectAttempts = reconnectAttempts;
         if (prev.socketId && prev.socketId !== socket.id) {
@@ -1210,7 +6178,7 @@ io.on("connection", (socket) => {
 
       // Normalize values (use previous values if not provided)
       const newPassengerCount = passengerCount ?? prev.passengerCount ?? 0;
-      const newMaxCapacity = maxCapacity ?? prev.maxCapacity ?? 0;
+      const newMaxCapacity = clampToOrganizationCapacity(prev.organizationId, maxCapacity ?? prev.maxCapacity ?? 0);
       const prevPassengerCount = prev.passengerCount ?? 0;
       const prevMaxCapacity = prev.maxCapacity ?? 0;
 
@@ -1229,7 +6197,6 @@ io.on("connection", (socket) => {
         disconnected: false,
         disconnectedAt: null,
       };
-      socketToAccountId[socket.id] = accountId;
       accountIdToSocketId[accountId] = socket.id;
 
       // [FIX] - Emit driverStateRestored if pending (after first update with correct maxCapacity)
@@ -1239,7 +6206,7 @@ io.on("connection", (socket) => {
       // This prevents spam when app sends frequent updates with same values
       if (valuesChanged) {
         // Broadcast passenger count change to all users
-        io.to("user").emit("passengerUpdate", {
+        busUpdateTarget(accountId).emit("passengerUpdate", {
           from: "driver",
           accountId,
           passengerCount: drivers[accountId].passengerCount,
@@ -1248,6 +6215,8 @@ io.on("connection", (socket) => {
         log(
           `🧍 [${accountId}] Passenger count updated: ${drivers[accountId].passengerCount}/${drivers[accountId].maxCapacity}`
         );
+        // Seats freed up (passengers got off or capacity was raised): move riders off the waitlist
+        promoteWaitlistedPings(accountId);
       }
       // If values didn't change, we silently update the data store without broadcasting/logging
     })
@@ -1269,26 +6238,160 @@ io.on("connection", (socket) => {
       }
 
       const busData = drivers[accountId];
-      if (busData) {
+      if (busData && canSeeDriver(socket, busData)) {
         // Send detailed bus information to the requesting user
-        socket.emit("busInfo", {
-          from: "server",
-          accountId: busData.accountId,
-          organizationName: busData.organizationName,
-          destinationName: busData.destinationName,
-          destinationLat: busData.destinationLat,
-          destinationLng: busData.destinationLng,
-
-          passengerCount: busData.passengerCount,
-          maxCapacity: busData.maxCapacity,
-          lastUpdated: busData.lastUpdated,
-        });
+        socket.emit("busInfo", buildBusInfo(busData));
       } else {
         socket.emit("busInfoError", { message: "Bus not found or inactive" });
       }
     })
   );
 
+  // --- USER REQUEST: Resync a Bus in the Compact Format ---
+  /**
+   * requestBusKeyframe Event Handler
+   * Replies with a locationUpdate for one bus that includes its geometry and waiting list
+   * (compact-v1 clients send this when they see a version they don't have).
+   */
+  socket.on(
+    "requestBusKeyframe",
+    safeHandler("requestBusKeyframe", (data) => {
+      const { accountId } = data || {};
+      const driver = accountId ? drivers[accountId] : null;
+      if (!driver || !driver.lat || !driver.lng || !canSeeDriver(socket, driver)) {
+        socket.emit("busInfoError", { message: "Bus not found or inactive" });
+        return;
+      }
+
+      const payload = buildLocationUpdate(driver);
+      socket.emit(
+        "locationUpdate",
+        socket.payloadFormat === "compact-v1" ? encodeCompactLocationUpdate(payload, { keyframe: true }) : payload
+      );
+    })
+  );
+
+  // --- USER REQUEST: Find Nearby Buses ---
+  /**
+   * findNearbyBuses Event Handler
+   * Returns buses within a radius (meters) of a point, nearest first, with optional
+   * organization / destination / minSeats filters. Answered with "nearbyBuses".
+   */
+  socket.on(
+    "findNearbyBuses",
+    safeHandler("findNearbyBuses", (data) => {
+      const userAccountId = socketToAccountId[socket.id];
+      if (userAccountId && users[userAccountId]) {
+        users[userAccountId].lastActivity = Date.now();
+      }
+
+      const { error, query } = parseNearbyQuery(data || {});
+      if (error) {
+        socket.emit("nearbyBusesError", { message: error });
+        return;
+      }
+
+      const { buses, total } = findNearbyBuses(query, socketScopes(socket));
+      socket.emit("nearbyBuses", {
+        from: "server",
+        lat: query.lat,
+        lng: query.lng,
+        radius: query.radius,
+        buses,
+        count: buses.length,
+        total,
+      });
+    })
+  );
+
+  // --- USER REQUEST: Follow a Single Bus ---
+  /**
+   * watchBus Event Handler
+   * Subscribes the user to a per-bus room: that bus's location, passenger, destination and
+   * route changes are pushed in real time, plus "busStatus" when it goes online/offline.
+   * With `exclusive: true`, viewport / all-bus updates are paused until the last unwatchBus.
+   */
+  socket.on(
+    "watchBus",
+    safeHandler("watchBus", (data) => {
+      if (socket.role !== "user") {
+        socket.emit("error", { message: "Only users can watch buses" });
+        return;
+      }
+
+      const userAccountId = socketToAccountId[socket.id];
+      if (userAccountId && users[userAccountId]) {
+        users[userAccountId].lastActivity = Date.now();
+      }
+
+      const { accountId, exclusive } = data || {};
+      if (!accountId) {
+        socket.emit("busInfoError", { message: "Missing accountId" });
+        return;
+      }
+
+      const busData = drivers[accountId];
+      if (!busData || !canSeeDriver(socket, busData)) {
+        socket.emit("busInfoError", { message: "Bus not found or inactive" });
+        return;
+      }
+
+      if (!socket.watchedBuses) socket.watchedBuses = new Set();
+      socket.watchedBuses.add(accountId);
+      joinUpdateRooms(socket, [busRoom(accountId)]);
+
+      if (exclusive === true && !socket.exclusiveWatch) {
+        socket.exclusiveWatch = true;
+        applyViewport(socket, socket.viewport);
+      }
+
+      const sessionKey = socketIdToSessionKey[socket.id];
+      if (sessionKey && sessions[sessionKey]) {
+        sessions[sessionKey].watchedBuses = Array.from(socket.watchedBuses);
+        sessions[sessionKey].exclusiveWatch = socket.exclusiveWatch === true;
+      }
+
+      // Current state so the detail screen doesn't have to wait for the next update
+      socket.emit("busInfo", {
+        ...buildBusInfo(busData),
+        lat: busData.lat,
+        lng: busData.lng,
+        geometry: busData.geometry,
+        isOnline: !busData.disconnected,
+        watching: true,
+      });
+      sendKeyframes(socket, [accountId]);
+      log(`👀 User ${userAccountId || socket.id} is watching bus ${accountId}${socket.exclusiveWatch ? " (exclusive)" : ""}`);
+    })
+  );
+
+  /**
+   * unwatchBus Event Handler
+   * Stops following a bus; once no bus is watched, normal viewport / all-bus updates resume.
+   */
+  socket.on(
+    "unwatchBus",
+    safeHandler("unwatchBus", (data) => {
+      const { accountId } = data || {};
+      if (!accountId || !socket.watchedBuses?.has(accountId)) return;
+
+      leaveUpdateRooms(socket, [busRoom(accountId)]);
+      socket.watchedBuses.delete(accountId);
+
+      if (socket.watchedBuses.size === 0 && socket.exclusiveWatch) {
+        socket.exclusiveWatch = false;
+        applyViewport(socket, socket.viewport);
+      }
+
+      const sessionKey = socketIdToSessionKey[socket.id];
+      if (sessionKey && sessions[sessionKey]) {
+        sessions[sessionKey].watchedBuses = Array.from(socket.watchedBuses);
+        sessions[sessionKey].exclusiveWatch = socket.exclusiveWatch === true;
+      }
+      log(`👀 User ${socketToAccountId[socket.id] || socket.id} stopped watching bus ${accountId}`);
+    })
+  );
+
   // --- USER REQUEST: Get All Active Drivers ---
   socket.on(
     "requestDriversData",
@@ -1301,6 +6404,7 @@ io.on("connection", (socket) => {
       socket.emit("driversData", {
         drivers: Object.entries(drivers)
           .filter(([_, data]) => data.lat && data.lng) // Only drivers with valid location
+          .filter(([_, data]) => canSeeDriver(socket, data))
           .map(([accountId, data]) => ({
             accountId,
             lat: data.lat,
@@ -1324,71 +6428,252 @@ io.on("connection", (socket) => {
         users[userAccountId].lastActivity = Date.now();
       }
 
-      // Re-use the optimized snapshot generation logic from registerRole
-      let driversArray = Object.values(drivers)
-        // Filter for drivers with location OR geometry data
-        .filter((driver) => driver.accountId && (driver.lat || driver.geometry))
-        .map((driver) => {
-          // Calculate waiting passengers data
-          const waitingPassengersList = driver.waitingPassengers ? 
-            Object.values(driver.waitingPassengers).map(passenger => ({
-              userId: passenger.userAccountId || passenger.userId,
-              lat: passenger.lat,
-              lng: passenger.lng,
-              passengerCount: passenger.passengerCount || 1
-            })) : [];
-          const totalWaitingPassengers = waitingPassengersList.reduce((sum, p) => sum + (p.passengerCount || 1), 0);
-          
-          return {
-            accountId: driver.accountId,
-            lat: driver.lat,
-            lng: driver.lng,
-            geometry: driver.geometry, // CRITICAL: Includes the polyline
-            destinationName: driver.destinationName,
-            destinationLat: driver.destinationLat,
-            destinationLng: driver.destinationLng,
-            passengerCount: driver.passengerCount ?? 0,
-            maxCapacity: driver.maxCapacity ?? 0,
-            organizationName: driver.organizationName,
-            lastUpdated: driver.lastUpdated, // Used for sorting
-            isOnline: !driver.disconnected, // Include connection status
-            waitingUsersCount: totalWaitingPassengers,
-            waitingUsers: waitingPassengersList
-          };
-        });
-
-      // Limit snapshot size if configured (optimization for many drivers)
-      const totalDrivers = driversArray.length;
-      if (MAX_SNAPSHOT_DRIVERS > 0 && driversArray.length > MAX_SNAPSHOT_DRIVERS) {
-        driversArray = driversArray
-          .sort(
-            (a, b) =>
-              new Date(b.lastUpdated || 0) - new Date(a.lastUpdated || 0)
-          )
-          .slice(0, MAX_SNAPSHOT_DRIVERS)
-          .map(({ lastUpdated, ...driver }) => driver); // Remove lastUpdated
+      // Re-use the optimized snapshot generation logic from registerRole (respects the socket's viewport)
+      const snapshot = buildDriversSnapshot(socket);
+      if (snapshot.limited) {
         log(
-          `⚠️ Snapshot refresh limited to ${MAX_SNAPSHOT_DRIVERS} of ${totalDrivers} drivers`
+          `⚠️ Snapshot refresh limited to ${snapshot.count} of ${snapshot.total} drivers`
         );
-      } else {
-        // Remove lastUpdated before sending to client (server-only field)
-        driversArray = driversArray.map(({ lastUpdated, ...driver }) => driver);
       }
-
-      socket.emit("driversSnapshot", {
-        drivers: driversArray,
-        count: driversArray.length,
-        total: totalDrivers,
-        limited:
-          MAX_SNAPSHOT_DRIVERS > 0 && totalDrivers > MAX_SNAPSHOT_DRIVERS,
-      });
+      socket.emit("driversSnapshot", snapshot);
 
       log(
-        `📤 Sent requested snapshot of ${driversArray.length} driver(s) to user ${socket.id}`
+        `📤 Sent requested snapshot of ${snapshot.count} driver(s) to user ${socket.id}`,
+        "debug"
       );
     })
   );
 
+  // --- USER REQUEST: Subscribe to a Map Viewport ---
+  /**
+   * subscribeViewport Event Handler
+   * Users send the bounding box of their visible map ({ minLat, minLng, maxLat, maxLng }),
+   * and again whenever they pan or zoom. Bus updates are then only delivered for buses inside
+   * that box, and a driversSnapshot of those buses is sent back.
+   */
+  socket.on(
+    "subscribeViewport",
+    safeHandler("subscribeViewport", (data) => {
+      if (socket.role !== "user") {
+        socket.emit("error", { message: "Only users can subscribe to a viewport" });
+        return;
+      }
+
+      const viewport = normalizeViewport(data);
+      if (!viewport) {
+        socket.emit("error", { message: "Invalid viewport: expected minLat, minLng, maxLat, maxLng" });
+        return;
+      }
+
+      const userAccountId = socketToAccountId[socket.id];
+      if (userAccountId && users[userAccountId]) {
+        users[userAccountId].lastActivity = Date.now();
+      }
+
+      applyViewport(socket, viewport);
+      const sessionKey = socketIdToSessionKey[socket.id];
+      if (sessionKey && sessions[sessionKey]) {
+        sessions[sessionKey].viewport = viewport;
+      }
+
+      socket.emit("driversSnapshot", buildDriversSnapshot(socket));
+    })
+  );
+
+  /**
+   * unsubscribeViewport Event Handler
+   * Go back to receiving every bus update (and a full driversSnapshot).
+   */
+  socket.on(
+    "unsubscribeViewport",
+    safeHandler("unsubscribeViewport", () => {
+      if (socket.role !== "user") return;
+
+      applyViewport(socket, null);
+      const sessionKey = socketIdToSessionKey[socket.id];
+      if (sessionKey && sessions[sessionKey]) {
+        sessions[sessionKey].viewport = null;
+      }
+
+      socket.emit("driversSnapshot", buildDriversSnapshot(socket));
+    })
+  );
+
+  // --- USER REQUEST: Organizations ---
+  /**
+   * getOrganizations Event Handler
+   * Lists the organizations the user may subscribe to (public ones plus those named in the token),
+   * answered with "organizations".
+   */
+  socket.on(
+    "getOrganizations",
+    safeHandler("getOrganizations", () => {
+      socket.emit("organizations", {
+        organizations: Object.values(organizations)
+          .filter((organization) => canSubscribeToOrganization(socket.authClaims, organization.organizationId))
+          .map(serializeOrganization),
+        subscribed: socket.organizationIds || [],
+      });
+    })
+  );
+
+  /**
+   * subscribeOrganizations Event Handler
+   * Replaces the user's organization subscriptions ({ organizationIds }; an empty list goes back
+   * to the public view). Answered with "organizationsSubscribed" and a fresh driversSnapshot.
+   */
+  socket.on(
+    "subscribeOrganizations",
+    safeHandler("subscribeOrganizations", (data) => {
+      if (socket.role !== "user") {
+        socket.emit("error", { message: "Only users can subscribe to organizations" });
+        return;
+      }
+
+      const { organizationIds, error } = resolveUserOrganizations(socket.authClaims, data?.organizationIds ?? []);
+      if (error) {
+        socket.emit("error", { message: error });
+        return;
+      }
+
+      const userAccountId = socketToAccountId[socket.id];
+      if (userAccountId && users[userAccountId]) {
+        users[userAccountId].lastActivity = Date.now();
+        users[userAccountId].organizationIds = organizationIds;
+      }
+      const sessionKey = socketIdToSessionKey[socket.id];
+      if (sessionKey && sessions[sessionKey]) {
+        sessions[sessionKey].organizationIds = organizationIds;
+      }
+
+      applyOrganizationSubscriptions(socket, organizationIds);
+      socket.emit("organizationsSubscribed", { organizationIds });
+      socket.emit("driversSnapshot", buildDriversSnapshot(socket));
+      log(`🏢 User ${userAccountId || socket.id} subscribed to ${organizationIds.length > 0 ? organizationIds.join(", ") : "the public view"}`);
+    })
+  );
+
+  // --- USER REQUEST: Routes & Stops ---
+  /**
+   * getRoutes Event Handler
+   * Lists the registered routes (with their ordered stops and polyline) the socket can see,
+   * answered with "routes".
+   */
+  socket.on(
+    "getRoutes",
+    safeHandler("getRoutes", () => {
+      const scopes = socketScopes(socket);
+      socket.emit("routes", {
+        routes: Object.values(routes)
+          .filter((route) => isRouteVisible(route, scopes))
+          .map(serializeRoute),
+      });
+    })
+  );
+
+  /**
+   * getBusesOnRoute Event Handler
+   * Live buses running a route ({ routeId }), answered with "routeBuses" (or "routeError").
+   */
+  socket.on(
+    "getBusesOnRoute",
+    safeHandler("getBusesOnRoute", (data) => {
+      const userAccountId = socketToAccountId[socket.id];
+      if (userAccountId && users[userAccountId]) {
+        users[userAccountId].lastActivity = Date.now();
+      }
+
+      const scopes = socketScopes(socket);
+      const route = routes[data?.routeId];
+      if (!route || !isRouteVisible(route, scopes)) {
+        socket.emit("routeError", { message: "Route not found" });
+        return;
+      }
+      const buses = getBusesOnRoute(route.routeId, scopes);
+      socket.emit("routeBuses", { from: "server", routeId: route.routeId, buses, count: buses.length });
+    })
+  );
+
+  /**
+   * getBusesForStop Event Handler
+   * Live buses on the routes serving a stop ({ stopId }), approaching ones first with their ETA,
+   * answered with "stopBuses" (or "routeError").
+   */
+  socket.on(
+    "getBusesForStop",
+    safeHandler("getBusesForStop", (data) => {
+      const userAccountId = socketToAccountId[socket.id];
+      if (userAccountId && users[userAccountId]) {
+        users[userAccountId].lastActivity = Date.now();
+      }
+
+      const stop = stops[data?.stopId];
+      if (!stop) {
+        socket.emit("routeError", { message: "Stop not found" });
+        return;
+      }
+      const { routeIds, buses } = getBusesForStop(stop.stopId, socketScopes(socket));
+      socket.emit("stopBuses", {
+        from: "server",
+        stop: serializeStop(stop),
+        routeIds,
+        buses,
+        count: buses.length,
+      });
+    })
+  );
+
+  /**
+   * watchStop Event Handler
+   * Follow a stop ({ stopId }): "busArrived" / "busDeparted" are pushed whenever a visible bus
+   * enters or leaves it. Answered with the stop's current "stopBuses".
+   */
+  socket.on(
+    "watchStop",
+    safeHandler("watchStop", (data) => {
+      if (socket.role !== "user") {
+        socket.emit("error", { message: "Only users can watch stops" });
+        return;
+      }
+      const stop = stops[data?.stopId];
+      if (!stop) {
+        socket.emit("routeError", { message: "Stop not found" });
+        return;
+      }
+
+      if (!socket.watchedStops) socket.watchedStops = new Set();
+      socket.watchedStops.add(stop.stopId);
+      applyStopWatches(socket);
+      const sessionKey = socketIdToSessionKey[socket.id];
+      if (sessionKey && sessions[sessionKey]) {
+        sessions[sessionKey].watchedStops = Array.from(socket.watchedStops);
+      }
+
+      const { routeIds, buses } = getBusesForStop(stop.stopId, socketScopes(socket));
+      socket.emit("stopBuses", {
+        from: "server",
+        stop: serializeStop(stop),
+        routeIds,
+        buses,
+        count: buses.length,
+        watching: true,
+      });
+    })
+  );
+
+  socket.on(
+    "unwatchStop",
+    safeHandler("unwatchStop", (data) => {
+      if (!data?.stopId || !socket.watchedStops?.has(data.stopId)) return;
+      socket.watchedStops.delete(data.stopId);
+      applyStopWatches(socket);
+      const sessionKey = socketIdToSessionKey[socket.id];
+      if (sessionKey && sessions[sessionKey]) {
+        sessions[sessionKey].watchedStops = Array.from(socket.watchedStops);
+      }
+    })
+  );
+
   // --- USER REQUEST: Ping Driver ---
   /**
    * pingDriver Event Handler
@@ -1408,12 +6693,18 @@ io.on("connection", (socket) => {
         return;
       }
 
+      // The verified socket identity is the only identity source; a userAccountId in the payload is ignored
       const userAccountId = socketToAccountId[socket.id];
-      const { driverAccountId, lat, lng, passengerCount, userAccountId: pingUserAccountId } = data || {};
-      const effectiveUserAccountId = pingUserAccountId || userAccountId || "unknown";
+      if (!userAccountId) {
+        const errorMsg = "Register as a user to ping drivers";
+        socket.emit("error", { message: errorMsg });
+        log(`❌ Socket ${socket.id} attempted to ping driver without a registered account`, "error");
+        return;
+      }
+      const { driverAccountId, lat, lng, passengerCount } = data || {};
 
       // Debug log to help diagnose ping issues
-      log(`🔍 [DEBUG] pingDriver received from ${socket.id}: ${JSON.stringify({ driverAccountId, lat, lng, passengerCount, userAccountId: pingUserAccountId })}`);
+      log(`🔍 [DEBUG] pingDriver received from ${socket.id}: ${JSON.stringify({ driverAccountId, lat, lng, passengerCount, userAccountId })}`, "debug");
 
       // Validate required fields
       if (!driverAccountId || (typeof driverAccountId === "string" && driverAccountId.trim() === "")) {
@@ -1421,14 +6712,14 @@ io.on("connection", (socket) => {
           ? "Missing driverAccountId" 
           : "driverAccountId cannot be empty";
         socket.emit("error", { message: errorMsg });
-        log(`❌ User ${effectiveUserAccountId} failed to ping driver: ${errorMsg}`, "error");
+        log(`❌ User ${userAccountId} failed to ping driver: ${errorMsg}`, "error");
         return;
       }
 
       if (lat === undefined || lng === undefined || lat === null || lng === null) {
         const errorMsg = "Missing user location (lat, lng)";
         socket.emit("error", { message: errorMsg });
-        log(`❌ User ${effectiveUserAccountId} failed to ping driver ${driverAccountId}: ${errorMsg}`, "error");
+        log(`❌ User ${userAccountId} failed to ping driver ${driverAccountId}: ${errorMsg}`, "error");
         return;
       }
 
@@ -1439,20 +6730,19 @@ io.on("connection", (socket) => {
       if (typeof userLat !== "number" || isNaN(userLat) || userLat < -90 || userLat > 90) {
         const errorMsg = "Invalid latitude";
         socket.emit("error", { message: errorMsg });
-        log(`❌ User ${effectiveUserAccountId} failed to ping driver ${driverAccountId}: ${errorMsg}`, "error");
+        log(`❌ User ${userAccountId} failed to ping driver ${driverAccountId}: ${errorMsg}`, "error");
         return;
       }
 
       if (typeof userLng !== "number" || isNaN(userLng) || userLng < -180 || userLng > 180) {
         const errorMsg = "Invalid longitude";
         socket.emit("error", { message: errorMsg });
-        log(`❌ User ${effectiveUserAccountId} failed to ping driver ${driverAccountId}: ${errorMsg}`, "error");
+        log(`❌ User ${userAccountId} failed to ping driver ${driverAccountId}: ${errorMsg}`, "error");
         return;
       }
 
       // NOTE: This is the number of passengers the USER wants to board, NOT the driver's current passenger count
       // This value is only sent to the driver for display/tracking purposes on the driver side
-      const MAX_BOARDING_PASSENGERS = 10; // Reasonable maximum for a single boarding request
       let requestedPassengerCount = 1; // Default: 1 passenger wants to board
       
       if (passengerCount !== undefined && passengerCount !== null) {
@@ -1462,7 +6752,7 @@ io.on("connection", (socket) => {
         if (isNaN(parsedCount) || !isFinite(parsedCount)) {
           const errorMsg = "Invalid passenger count: must be a number";
           socket.emit("error", { message: errorMsg });
-          log(`❌ User ${effectiveUserAccountId} failed to ping driver ${driverAccountId}: ${errorMsg}`, "error");
+          log(`❌ User ${userAccountId} failed to ping driver ${driverAccountId}: ${errorMsg}`, "error");
           return;
         }
         
@@ -1472,26 +6762,31 @@ io.on("connection", (socket) => {
         if (intCount < 1) {
           const errorMsg = "Passenger count must be at least 1";
           socket.emit("error", { message: errorMsg });
-          log(`❌ User ${effectiveUserAccountId} failed to ping driver ${driverAccountId}: ${errorMsg}`, "error");
+          log(`❌ User ${userAccountId} failed to ping driver ${driverAccountId}: ${errorMsg}`, "error");
           return;
         }
         
-        if (intCount > MAX_BOARDING_PASSENGERS) {
-          const errorMsg = `Passenger count cannot exceed ${MAX_BOARDING_PASSENGERS}`;
+        const maxBoardingPassengers = getOrganizationSetting(
+          drivers[driverAccountId]?.organizationId,
+          "maxBoardingPassengers",
+          MAX_BOARDING_PASSENGERS
+        );
+        if (intCount > maxBoardingPassengers) {
+          const errorMsg = `Passenger count cannot exceed ${maxBoardingPassengers}`;
           socket.emit("error", { message: errorMsg });
-          log(`❌ User ${effectiveUserAccountId} failed to ping driver ${driverAccountId}: ${errorMsg}`, "error");
+          log(`❌ User ${userAccountId} failed to ping driver ${driverAccountId}: ${errorMsg}`, "error");
           return;
         }
         
         requestedPassengerCount = intCount;
       }
 
-      // Check if driver exists
+      // Check if driver exists (and belongs to an organization the user can see)
       const driver = drivers[driverAccountId];
-      if (!driver) {
+      if (!driver || !canSeeDriver(socket, driver)) {
         const errorMsg = "Driver not found";
         socket.emit("error", { message: errorMsg });
-        log(`❌ User ${effectiveUserAccountId} failed to ping driver ${driverAccountId}: ${errorMsg}`, "error");
+        log(`❌ User ${userAccountId} failed to ping driver ${driverAccountId}: ${errorMsg}`, "error");
         return;
       }
 
@@ -1500,18 +6795,32 @@ io.on("connection", (socket) => {
       if (!driverSocketId) {
         const errorMsg = "Driver socket not found";
         socket.emit("error", { message: errorMsg });
-        log(`❌ User ${effectiveUserAccountId} failed to ping driver ${driverAccountId}: ${errorMsg}`, "error");
+        log(`❌ User ${userAccountId} failed to ping driver ${driverAccountId}: ${errorMsg}`, "error");
         return;
       }
 
       // Verify driver socket is actually connected (not just exists in mapping)
-      const driverSocket = io.sockets.sockets.get(driverSocketId);
-      if (!driverSocket || !driverSocket.connected || driver.disconnected) {
+      if (!isSocketConnected(driverSocketId) || driver.disconnected) {
         const errorMsg = "Driver is offline";
         socket.emit("error", { message: errorMsg });
-        log(`❌ User ${effectiveUserAccountId} failed to ping driver ${driverAccountId}: ${errorMsg}`, "error");
+        log(`❌ User ${userAccountId} failed to ping driver ${driverAccountId}: ${errorMsg}`, "error");
+        return;
+      }
+
+      // One-active-ping policy (re-pinging the same driver just updates that ping)
+      const otherPings = findActivePings(userAccountId).filter((id) => id !== driverAccountId);
+      if (otherPings.length > 0 && PING_LIMIT_POLICY === "reject") {
+        socket.emit("error", {
+          code: "PING_LIMIT",
+          message: "You already have an active ping. Unping that driver first.",
+          driverAccountIds: otherPings,
+        });
+        log(`❌ User ${userAccountId} failed to ping driver ${driverAccountId}: already pinging ${otherPings.join(", ")}`);
         return;
       }
+      if (PING_LIMIT_POLICY === "replace") {
+        otherPings.forEach((id) => clearPing(id, userAccountId, "pingRemoved", "replaced"));
+      }
 
       // Update user location and activity when pinging
       if (userAccountId && users[userAccountId]) {
@@ -1534,17 +6843,55 @@ io.on("connection", (socket) => {
         accountIdToSocketId[userAccountId] = socket.id;
       }
 
+      // Capacity check against the passengers on board and the other active pings
+      const remainingSeats = getRemainingSeats(driver, userAccountId);
+      const capacityPolicy = getPingCapacityPolicy(driver);
+      const overCapacity = remainingSeats !== null && requestedPassengerCount > remainingSeats;
+      // Riders already on the waitlist keep their turn, so newcomers queue behind them
+      const queueAhead = (driver.pingWaitlist || []).some((ping) => ping.userAccountId !== userAccountId);
+      if ((overCapacity || queueAhead) && capacityPolicy !== "ignore") {
+        if (capacityPolicy === "reject") {
+          socket.emit("error", { code: "BUS_FULL", message: "Bus is full", driverAccountId, remainingSeats });
+          log(`🚫 User ${userAccountId} failed to ping driver ${driverAccountId}: bus full (${remainingSeats} seat(s) left)`);
+          return;
+        }
+
+        // A re-ping that no longer fits gives up its seats and joins the end of the waitlist
+        if (driver.waitingPassengers?.[userAccountId]) {
+          clearPing(driverAccountId, userAccountId, "pingRemoved", "waitlisted");
+        }
+        const position = waitlistPing(driver, {
+          userAccountId: userAccountId,
+          lat: userLat,
+          lng: userLng,
+          passengerCount: requestedPassengerCount,
+          pingedAt: Date.now(),
+        });
+        socket.emit("pingWaitlisted", {
+          from: "server",
+          driverAccountId,
+          position,
+          passengerCount: requestedPassengerCount,
+          remainingSeats,
+          timestamp: Date.now(),
+        });
+        log(`🕒 User ${userAccountId} waitlisted for driver ${driverAccountId} at position ${position}`);
+        return;
+      }
+      removeFromWaitlist(driver, userAccountId);
+
       // Track waiting passengers in driver object (for driver-side display only)
       // NOTE: This passengerCount is the number the user wants to board, NOT the driver's current count
       if (!driver.waitingPassengers) {
         driver.waitingPassengers = {};
       }
-      driver.waitingPassengers[effectiveUserAccountId] = {
-        userAccountId: effectiveUserAccountId,
+      driver.waitingPassengers[userAccountId] = {
+        userAccountId: userAccountId,
         lat: userLat,
         lng: userLng,
         passengerCount: requestedPassengerCount, // Number of passengers user wants to board
-        pingedAt: Date.now()
+        pingedAt: Date.now(),
+        status: "pending", // "accepted" once the driver answers with acceptPing
       };
       drivers[driverAccountId] = driver;
 
@@ -1556,51 +6903,62 @@ io.on("connection", (socket) => {
       // Send ping ONLY to the specific driver (not broadcasted)
       // The passengerCount here is for driver-side display only - driver updates their own count separately
       try {
-        driverSocket.emit("pingReceived", {
+        const eta = estimateEta(driver, userLat, userLng);
+        io.to(driverSocketId).emit("pingReceived", {
           from: "user",
-          userAccountId: effectiveUserAccountId,
+          userAccountId: userAccountId,
           lat: userLat,
           lng: userLng,
           passengerCount: requestedPassengerCount, // Number of passengers user wants to board (for driver display only)
+          eta, // Estimated arrival of the bus at the user's location
           timestamp: Date.now(),
         });
+        socket.emit("pingEta", { driverAccountId, eta });
 
-        log(`✅ User ${effectiveUserAccountId} pinged driver ${driverAccountId} at (${userLat.toFixed(6)}, ${userLng.toFixed(6)}) - requesting to board ${requestedPassengerCount} passenger(s)`);
+        log(`✅ User ${userAccountId} pinged driver ${driverAccountId} at (${userLat.toFixed(6)}, ${userLng.toFixed(6)}) - requesting to board ${requestedPassengerCount} passenger(s)`);
         
         // Broadcast updated waiting count and waiting users locations to all users viewing this driver
         // This ensures other users see the waiting count update and locations in real-time
         if (driver.lat && driver.lng) {
-          // Prepare waiting passengers list (only include locations, not sensitive data)
-          const waitingPassengersList = Object.values(driver.waitingPassengers).map(passenger => ({
-            userId: passenger.userAccountId || passenger.userId,
-            lat: passenger.lat,
-            lng: passenger.lng,
-            passengerCount: passenger.passengerCount || 1
-          }));
-
-          io.to("user").emit("locationUpdate", {
-            from: "driver",
-            accountId: driverAccountId,
-            lat: driver.lat,
-            lng: driver.lng,
-            geometry: driver.geometry, // Include route geometry to keep marker and polyline in sync
-            destinationName: driver.destinationName || "Unknown",
-            destinationLat: driver.destinationLat,
-            destinationLng: driver.destinationLng,
-            passengerCount: driver.passengerCount || 0,
-            maxCapacity: driver.maxCapacity || 0,
-            waitingUsersCount: totalWaitingPassengers, // Broadcast updated waiting count
-            waitingUsers: waitingPassengersList, // Broadcast waiting users locations
-            lastUpdated: driver.lastUpdated || new Date().toISOString(),
-            isOnline: !driver.disconnected,
-          });
-          log(`📢 Broadcasted waiting count update for driver ${driverAccountId}: ${totalWaitingPassengers} waiting passenger(s) at ${waitingPassengersList.length} location(s)`);
+          broadcastWaitingPassengersUpdate(driverAccountId);
+          log(`📢 Broadcasted waiting count update for driver ${driverAccountId}: ${totalWaitingPassengers} waiting passenger(s)`);
         }
       } catch (error) {
         const errorMsg = `Failed to send ping: ${error.message}`;
         socket.emit("error", { message: errorMsg });
-        log(`❌ User ${effectiveUserAccountId} failed to ping driver ${driverAccountId}: ${errorMsg}`, "error");
+        log(`❌ User ${userAccountId} failed to ping driver ${driverAccountId}: ${errorMsg}`, "error");
+      }
+    })
+  );
+
+  // --- USER REQUEST: Rider Location ---
+  /**
+   * updateUserLocation Event Handler
+   * Riders with an active ping report their position ({ lat, lng }); pings whose pinged spot
+   * is now more than PING_MAX_DISTANCE away expire ("pingExpired" with reason "moved_away").
+   */
+  socket.on(
+    "updateUserLocation",
+    safeHandler("updateUserLocation", (data) => {
+      const userAccountId = socketToAccountId[socket.id];
+      if (socket.role !== "user" || !userAccountId) {
+        socket.emit("error", { message: "Only users can send their location" });
+        return;
+      }
+      if (!validateLocationData({ ...data, accountId: userAccountId })) {
+        socket.emit("error", { message: "Invalid location data" });
+        return;
+      }
+      if (!checkRateLimit(socket.id, MAX_LOCATION_UPDATES_PER_MINUTE, "updateUserLocation")) return;
+
+      const lat = Number(data.lat);
+      const lng = Number(data.lng);
+      if (users[userAccountId]) {
+        users[userAccountId].lat = lat;
+        users[userAccountId].lng = lng;
+        users[userAccountId].lastActivity = Date.now();
       }
+      expireDistantPings(userAccountId, lat, lng);
     })
   );
 
@@ -1623,19 +6981,25 @@ io.on("connection", (socket) => {
         return;
       }
 
+      // The verified socket identity is the only identity source; a userAccountId in the payload is ignored
       const userAccountId = socketToAccountId[socket.id];
-      if (userAccountId && users[userAccountId]) {
+      if (!userAccountId) {
+        const errorMsg = "Register as a user to unping drivers";
+        socket.emit("error", { message: errorMsg });
+        log(`❌ Socket ${socket.id} attempted to unping driver without a registered account`, "error");
+        return;
+      }
+      if (users[userAccountId]) {
         users[userAccountId].lastActivity = Date.now();
       }
 
-      const { driverAccountId, userAccountId: unpingUserAccountId } = data || {};
-      const effectiveUserAccountId = unpingUserAccountId || userAccountId || "unknown";
+      const { driverAccountId } = data || {};
 
       // Validate required fields
       if (!driverAccountId) {
         const errorMsg = "Missing driverAccountId";
         socket.emit("error", { message: errorMsg });
-        log(`❌ User ${effectiveUserAccountId} failed to unping driver: ${errorMsg}`, "error");
+        log(`❌ User ${userAccountId} failed to unping driver: ${errorMsg}`, "error");
         return;
       }
 
@@ -1644,7 +7008,7 @@ io.on("connection", (socket) => {
       if (!driver) {
         const errorMsg = "Driver not found";
         socket.emit("error", { message: errorMsg });
-        log(`❌ User ${effectiveUserAccountId} failed to unping driver ${driverAccountId}: ${errorMsg}`, "error");
+        log(`❌ User ${userAccountId} failed to unping driver ${driverAccountId}: ${errorMsg}`, "error");
         return;
       }
 
@@ -1653,24 +7017,25 @@ io.on("connection", (socket) => {
       if (!driverSocketId) {
         const errorMsg = "Driver socket not found";
         socket.emit("error", { message: errorMsg });
-        log(`❌ User ${effectiveUserAccountId} failed to unping driver ${driverAccountId}: ${errorMsg}`, "error");
+        log(`❌ User ${userAccountId} failed to unping driver ${driverAccountId}: ${errorMsg}`, "error");
         return;
       }
 
       // Verify driver socket is actually connected (not just exists in mapping)
-      const driverSocket = io.sockets.sockets.get(driverSocketId);
-      if (!driverSocket || !driverSocket.connected || driver.disconnected) {
+      if (!isSocketConnected(driverSocketId) || driver.disconnected) {
         const errorMsg = "Driver is offline";
         socket.emit("error", { message: errorMsg });
-        log(`❌ User ${effectiveUserAccountId} failed to unping driver ${driverAccountId}: ${errorMsg}`, "error");
+        log(`❌ User ${userAccountId} failed to unping driver ${driverAccountId}: ${errorMsg}`, "error");
         return;
       }
 
-      // Remove waiting passenger from driver's tracking
-      if (driver.waitingPassengers && driver.waitingPassengers[effectiveUserAccountId]) {
-        delete driver.waitingPassengers[effectiveUserAccountId];
+      // Remove waiting passenger from driver's tracking (and from the boarding waitlist)
+      if (driver.waitingPassengers && driver.waitingPassengers[userAccountId]) {
+        delete driver.waitingPassengers[userAccountId];
         drivers[driverAccountId] = driver;
       }
+      removeFromWaitlist(driver, userAccountId);
+      closeChat(driverAccountId, userAccountId, "unpinged");
 
       // Calculate updated total waiting passengers count after unping
       const totalWaitingPassengers = driver.waitingPassengers ? 
@@ -1680,49 +7045,332 @@ io.on("connection", (socket) => {
 
       // Send unping ONLY to the specific driver (not broadcasted)
       try {
-        driverSocket.emit("pingRemoved", {
+        io.to(driverSocketId).emit("pingRemoved", {
           from: "user",
-          userAccountId: effectiveUserAccountId,
+          userAccountId: userAccountId,
           timestamp: Date.now(),
         });
 
-        log(`✅ User ${effectiveUserAccountId} unpinged driver ${driverAccountId}`);
+        log(`✅ User ${userAccountId} unpinged driver ${driverAccountId}`);
         
         // Broadcast updated waiting count and waiting users locations to all users viewing this driver
         // This ensures other users see the waiting count update in real-time when someone unpinges
         if (driver.lat && driver.lng) {
-          // Prepare waiting passengers list (only include locations, not sensitive data)
-          const waitingPassengersList = driver.waitingPassengers ? 
-            Object.values(driver.waitingPassengers).map(passenger => ({
-              userId: passenger.userAccountId || passenger.userId,
-              lat: passenger.lat,
-              lng: passenger.lng,
-              passengerCount: passenger.passengerCount || 1
-            })) : [];
-
-          io.to("user").emit("locationUpdate", {
-            from: "driver",
-            accountId: driverAccountId,
-            lat: driver.lat,
-            lng: driver.lng,
-            geometry: driver.geometry, // Include route geometry to keep marker and polyline in sync
-            destinationName: driver.destinationName || "Unknown",
-            destinationLat: driver.destinationLat,
-            destinationLng: driver.destinationLng,
-            passengerCount: driver.passengerCount || 0,
-            maxCapacity: driver.maxCapacity || 0,
-            waitingUsersCount: totalWaitingPassengers, // Broadcast updated waiting count
-            waitingUsers: waitingPassengersList, // Broadcast waiting users locations
-            lastUpdated: driver.lastUpdated || new Date().toISOString(),
-            isOnline: !driver.disconnected,
-          });
-          log(`📢 Broadcasted waiting count update for driver ${driverAccountId} after unping: ${totalWaitingPassengers} waiting passenger(s) at ${waitingPassengersList.length} location(s)`);
+          broadcastWaitingPassengersUpdate(driverAccountId);
+          log(`📢 Broadcasted waiting count update for driver ${driverAccountId} after unping: ${totalWaitingPassengers} waiting passenger(s)`);
         }
+        promoteWaitlistedPings(driverAccountId);
       } catch (error) {
         const errorMsg = `Failed to send unping: ${error.message}`;
         socket.emit("error", { message: errorMsg });
-        log(`❌ User ${effectiveUserAccountId} failed to unping driver ${driverAccountId}: ${errorMsg}`, "error");
+        log(`❌ User ${userAccountId} failed to unping driver ${driverAccountId}: ${errorMsg}`, "error");
+      }
+    })
+  );
+
+  // --- DRIVER RESPONSES TO PINGS ---
+  /**
+   * acceptPing Event Handler
+   * The driver acknowledges a waiting user ({ accountId, userAccountId, note? }).
+   * The ping stays active; the user gets "pingAccepted" with the current ETA.
+   */
+  socket.on(
+    "acceptPing",
+    safeHandler("acceptPing", (data) => {
+      if (!authorizeDriverEvent(socket, "acceptPing", data)) return;
+      const found = getPingForDriverEvent(socket, "acceptPing", data);
+      if (!found) return;
+      const { driver, ping } = found;
+
+      ping.status = "accepted";
+      ping.acceptedAt = Date.now();
+      emitToAccount(ping.userAccountId, "pingAccepted", {
+        from: "driver",
+        driverAccountId: data.accountId,
+        note: normalizePingNote(data.note),
+        eta: estimateEta(driver, ping.lat, ping.lng),
+        timestamp: ping.acceptedAt,
+      });
+      log(`👍 Driver ${data.accountId} accepted the ping from ${ping.userAccountId}`);
+    })
+  );
+
+  /**
+   * declinePing Event Handler
+   * The driver turns a waiting user down ({ accountId, userAccountId, note? }), e.g. when the
+   * bus is full or going elsewhere. The ping is removed and the user gets "pingDeclined".
+   */
+  socket.on(
+    "declinePing",
+    safeHandler("declinePing", (data) => {
+      if (!authorizeDriverEvent(socket, "declinePing", data)) return;
+      const found = getPingForDriverEvent(socket, "declinePing", data);
+      if (!found) return;
+      const { driver, ping } = found;
+
+      delete driver.waitingPassengers[ping.userAccountId];
+      closeChat(data.accountId, ping.userAccountId, "declined");
+      emitToAccount(ping.userAccountId, "pingDeclined", {
+        from: "driver",
+        driverAccountId: data.accountId,
+        note: normalizePingNote(data.note),
+        timestamp: Date.now(),
+      });
+      broadcastWaitingPassengersUpdate(data.accountId);
+      promoteWaitlistedPings(data.accountId);
+      log(`👎 Driver ${data.accountId} declined the ping from ${ping.userAccountId}`);
+    })
+  );
+
+  /**
+   * passengerBoarded Event Handler
+   * A group got on the bus ({ accountId, userAccountId?, passengerCount? }).
+   * With userAccountId the user's ping is cleared and they get "passengerBoarded"; the group size
+   * defaults to the ping's passengerCount. Without it, the group is a walk-on (default 1).
+   * The driver's passengerCount grows by the group size and is broadcast like passengerUpdate;
+   * a group that would take it past maxCapacity is rejected with BUS_FULL.
+   */
+  socket.on(
+    "passengerBoarded",
+    safeHandler("passengerBoarded", (data) => {
+      if (!authorizeDriverEvent(socket, "passengerBoarded", data)) return;
+      const { accountId, userAccountId } = data;
+      const driver = drivers[accountId];
+      if (!driver) {
+        socket.emit("error", { event: "passengerBoarded", message: "Driver not found" });
+        return;
+      }
+
+      let ping = null;
+      if (userAccountId) {
+        const found = getPingForDriverEvent(socket, "passengerBoarded", data);
+        if (!found) return;
+        ping = found.ping;
+      }
+
+      const groupSize = data.passengerCount ?? ping?.passengerCount ?? 1;
+      const maxBoardingPassengers = getOrganizationSetting(
+        driver.organizationId,
+        "maxBoardingPassengers",
+        MAX_BOARDING_PASSENGERS
+      );
+      if (!Number.isInteger(groupSize) || groupSize < 1 || groupSize > maxBoardingPassengers) {
+        socket.emit("error", {
+          event: "passengerBoarded",
+          message: `passengerCount must be an integer between 1 and ${maxBoardingPassengers}`,
+        });
+        return;
+      }
+      // The group has to fit the seats left on board (a ping's own seats were reserved for it)
+      const seatsOnBoard = driver.maxCapacity ? driver.maxCapacity - (driver.passengerCount || 0) : null;
+      if (seatsOnBoard !== null && groupSize > seatsOnBoard) {
+        socket.emit("error", {
+          event: "passengerBoarded",
+          code: "BUS_FULL",
+          message: "Bus is full",
+          remainingSeats: Math.max(0, seatsOnBoard),
+        });
+        log(`🚫 [${accountId}] ${groupSize} passenger(s) can't board: ${driver.passengerCount}/${driver.maxCapacity}`, "warn");
+        return;
+      }
+
+      driver.passengerCount = (driver.passengerCount || 0) + groupSize;
+      driver.lastUpdated = new Date().toISOString();
+      busUpdateTarget(accountId).emit("passengerUpdate", {
+        from: "driver",
+        accountId,
+        passengerCount: driver.passengerCount,
+        maxCapacity: driver.maxCapacity,
+      });
+
+      if (ping) {
+        delete driver.waitingPassengers[ping.userAccountId];
+        closeChat(accountId, ping.userAccountId, "boarded");
+        emitToAccount(ping.userAccountId, "passengerBoarded", {
+          from: "driver",
+          driverAccountId: accountId,
+          passengerCount: groupSize,
+          timestamp: Date.now(),
+        });
+        broadcastWaitingPassengersUpdate(accountId);
+      }
+      log(
+        `🚏 [${accountId}] ${groupSize} passenger(s) boarded${ping ? ` (ping from ${ping.userAccountId})` : ""}: ${
+          driver.passengerCount
+        }/${driver.maxCapacity}`
+      );
+    })
+  );
+
+  // --- DRIVER SERVICE ALERTS ---
+  /**
+   * createAlert Event Handler
+   * A driver posts an alert about their own bus ({ accountId, title, message?, severity?, endsAt? }),
+   * shown to the riders who can see the bus for at most MAX_DRIVER_ALERT_DURATION. A driver has at
+   * most MAX_DRIVER_ALERTS alerts at a time.
+   * Answered with "alertCreated".
+   */
+  socket.on(
+    "createAlert",
+    safeHandler("createAlert", (data) => {
+      if (!authorizeDriverEvent(socket, "createAlert", data)) return;
+      if (!checkRateLimit(`${socket.id}:alert`, MAX_DRIVER_ALERTS_PER_MINUTE, "createAlert")) {
+        socket.emit("alertError", { message: "Too many alerts, slow down" });
+        return;
+      }
+      const postedAlerts = Object.values(alerts).filter(
+        (alert) => alert.createdBy?.role === "driver" && alert.createdBy.accountId === data.accountId
+      );
+      if (postedAlerts.length >= MAX_DRIVER_ALERTS) {
+        socket.emit("alertError", { message: `At most ${MAX_DRIVER_ALERTS} alerts at a time; cancel one first` });
+        return;
+      }
+      const maxEndsAt = Date.now() + MAX_DRIVER_ALERT_DURATION;
+      const requestedEndsAt = data.endsAt == null ? maxEndsAt : new Date(data.endsAt).getTime();
+      const { alert, error } = normalizeAlert(
+        crypto.randomUUID(),
+        {
+          scope: "driver",
+          driverAccountId: data.accountId,
+          title: data.title,
+          message: data.message,
+          severity: data.severity,
+          endsAt: Number.isNaN(requestedEndsAt) ? data.endsAt : new Date(Math.min(requestedEndsAt, maxEndsAt)).toISOString(),
+        },
+        { role: "driver", accountId: data.accountId }
+      );
+      if (error) {
+        socket.emit("alertError", { message: error });
+        return;
+      }
+      socket.emit("alertCreated", { from: "server", alert: serializeAlert(saveAlert(alert)) });
+    })
+  );
+
+  /**
+   * cancelAlert Event Handler
+   * A driver withdraws one of their own alerts ({ accountId, alertId }).
+   */
+  socket.on(
+    "cancelAlert",
+    safeHandler("cancelAlert", (data) => {
+      if (!authorizeDriverEvent(socket, "cancelAlert", data)) return;
+      const alert = alerts[data.alertId];
+      if (!alert || alert.createdBy?.role !== "driver" || alert.createdBy.accountId !== data.accountId) {
+        socket.emit("alertError", { message: "Alert not found" });
+        return;
+      }
+      deleteAlert(alert.alertId, "cancelled_by_driver");
+      socket.emit("alertCancelled", { from: "server", alertId: alert.alertId });
+    })
+  );
+
+  // --- CHAT (rider <-> pinged driver) ---
+  /**
+   * sendChatMessage Event Handler
+   * { driverAccountId | userAccountId, text | quickReplyId, clientMessageId? }
+   * The other side gets "chatMessage"; the sender gets "chatMessageSent" (with its clientMessageId).
+   */
+  socket.on(
+    "sendChatMessage",
+    safeHandler("sendChatMessage", (data) => {
+      const participants = resolveChatParticipants(socket, data);
+      if (participants.error) {
+        socket.emit("chatError", { message: participants.error });
+        return;
+      }
+      if (!checkRateLimit(`${socket.id}:chat`, MAX_CHAT_MESSAGES_PER_MINUTE, "sendChatMessage")) {
+        socket.emit("chatError", { message: "Too many messages, slow down" });
+        return;
+      }
+      const { message, error } = createChatMessage(participants.role, data);
+      if (error) {
+        socket.emit("chatError", { message: error });
+        return;
+      }
+
+      const { driverAccountId, userAccountId, role } = participants;
+      const chat = getOrOpenChat(driverAccountId, userAccountId);
+      if (chat.messages.length >= MAX_CHAT_MESSAGES) {
+        socket.emit("chatError", { message: "This chat has reached its message limit" });
+        return;
+      }
+      chat.messages.push(message);
+      // Publish the message before it is delivered, so a receipt handled by another instance finds it
+      syncState();
+
+      const payload = { from: role, chatId: chat.chatId, driverAccountId, userAccountId, message };
+      emitToAccount(role === "user" ? driverAccountId : userAccountId, "chatMessage", payload);
+      socket.emit("chatMessageSent", { ...payload, clientMessageId: data.clientMessageId ?? null });
+    })
+  );
+
+  /**
+   * chatReceipt Event Handler
+   * The receiving side reports { driverAccountId | userAccountId, messageIds, status: "delivered" | "read" };
+   * the sender gets "chatReceipt" with the messages that changed.
+   */
+  socket.on(
+    "chatReceipt",
+    safeHandler("chatReceipt", (data) => {
+      const participants = resolveChatParticipants(socket, data);
+      if (participants.error) {
+        socket.emit("chatError", { message: participants.error });
+        return;
+      }
+      if (!Array.isArray(data.messageIds) || !["delivered", "read"].includes(data.status)) {
+        socket.emit("chatError", { message: "chatReceipt needs messageIds and a status of delivered or read" });
+        return;
+      }
+
+      const { driverAccountId, userAccountId, role } = participants;
+      const chat = chats[chatKey(driverAccountId, userAccountId)];
+      if (!chat) return;
+      const now = new Date().toISOString();
+      const messageIds = new Set(data.messageIds);
+      const updated = chat.messages.filter((message) => {
+        // Only the other side's messages can be acknowledged
+        if (!messageIds.has(message.messageId) || message.from === role) return false;
+        const changed = !message.deliveredAt || (data.status === "read" && !message.readAt);
+        if (!message.deliveredAt) message.deliveredAt = now;
+        if (data.status === "read" && !message.readAt) message.readAt = now;
+        return changed;
+      });
+      if (updated.length === 0) return;
+
+      emitToAccount(role === "user" ? driverAccountId : userAccountId, "chatReceipt", {
+        from: role,
+        chatId: chat.chatId,
+        messageIds: updated.map((message) => message.messageId),
+        status: data.status,
+        timestamp: Date.now(),
+      });
+    })
+  );
+
+  /**
+   * getChatHistory Event Handler
+   * Answered with "chatHistory": the open chat's messages (empty before the first message) and the
+   * quick replies available to this side.
+   */
+  socket.on(
+    "getChatHistory",
+    safeHandler("getChatHistory", (data) => {
+      const participants = resolveChatParticipants(socket, data);
+      if (participants.error) {
+        socket.emit("chatError", { message: participants.error });
+        return;
       }
+      const { driverAccountId, userAccountId, role } = participants;
+      const chat = chats[chatKey(driverAccountId, userAccountId)];
+      socket.emit("chatHistory", {
+        from: "server",
+        chatId: chat?.chatId || null,
+        driverAccountId,
+        userAccountId,
+        messages: chat?.messages || [],
+        quickReplies: QUICK_REPLIES[role],
+      });
     })
   );
 
@@ -1752,40 +7400,16 @@ io.on("connection", (socket) => {
         return;
       }
 
-      const driver = drivers[accountId];
-      if (!driver) {
+      // Immediately remove driver from memory (no grace period)
+      const waitingPassengerIds = removeDriver(
+        accountId,
+        "session_ended",
+        "The driver you pinged has ended their session. Please select another driver."
+      );
+      if (!waitingPassengerIds) {
         log(`⚠️ endSession called but driver ${accountId} not found in memory`);
         return;
       }
-
-
-      const waitingPassengerIds = driver.waitingPassengers ? Object.keys(driver.waitingPassengers) : [];
-
-      if (waitingPassengerIds.length > 0) {
-        log(`👥 Driver ${accountId} has ${waitingPassengerIds.length} waiting passenger(s) - notifying them before removal`);
-        
-        waitingPassengerIds.forEach((userId) => {
-          const userSocketId = accountIdToSocketId[userId];
-          if (userSocketId) {
-            const userSocket = io.sockets.sockets.get(userSocketId);
-            if (userSocket && userSocket.connected && users[userId] && !users[userId].disconnected) {
-              // Notify waiting user that driver ended session
-              userSocket.emit("error", {
-                message: "The driver you pinged has ended their session. Please select another driver.",
-                driverAccountId: accountId
-              });
-              log(`⚠️ Notified waiting user ${userId} that driver ${accountId} ended session`);
-            }
-          }
-        });
-      }
-
-      // Immediately remove driver from memory (no grace period)
-      delete drivers[accountId];
-      if (driver.socketId) {
-        delete socketToAccountId[driver.socketId];
-      }
-      delete accountIdToSocketId[accountId];
       
       // Clean up session mappings
       const sessionKey = socketIdToSessionKey[socket.id];
@@ -1797,72 +7421,284 @@ io.on("connection", (socket) => {
       }
       delete socketIdToSessionKey[socket.id];
       delete rateLimitMap[socket.id];
-      
-      // Remove from pending state restoration if present
-      pendingStateRestore.delete(accountId);
 
       // Verify driver was removed and log confirmation
       const driverRemoved = !drivers[accountId];
       if (driverRemoved) {
         log(`🗑️ [${accountId}] Driver session ended immediately (user-initiated, ${waitingPassengerIds.length} waiting users notified)`);
-        if (IS_DEV) {
-          console.log(`🧹 Cleaned up driver ${accountId} (manual endSession)`);
-        }
+        log(`🧹 Cleaned up driver ${accountId} (manual endSession)`, "debug");
       } else {
         log(`⚠️ [${accountId}] Warning: Driver may not have been fully removed from drivers{}`, "error");
       }
-      
-      // Notify all users that this driver is no longer available
-      io.to("user").emit("driverRemoved", {
-        accountId: accountId,
-        timestamp: Date.now()
-      });
     })
   );
 
   // --- DISCONNECT HANDLER ---
-  socket.on("disconnect", () => {
-    log(`❌ Disconnected: ${socket.id} (${socket.role || "unknown"})`);
-    cleanup();
-  });
-  socket.on("error", (error) => {
-    const errorMessage = error?.message || error?.toString() || String(error) || "Unknown error";
-    log(`❌ Socket error for ${socket.id}: ${errorMessage}`, "error");
-    if (error && typeof error === "object") {
-      log(`   Error details: ${JSON.stringify(error)}`, "error");
-    }
-    cleanup();
-  });
+  socket.on("disconnect", (reason) =>
+    withLogContext({ socket, event: "disconnect" }, () => {
+      incrementCounter(metrics.socketEvents, { namespace: "/", event: "disconnect" });
+      log(`❌ Disconnected: ${socket.id} (${socket.role || "unknown"})`, "info", { reason });
+      cleanup();
+      delete socketInstanceIds[socket.id];
+      scheduleStateSync();
+    })
+  );
+  socket.on("error", (error) =>
+    withLogContext({ socket, event: "error" }, () => {
+      incrementCounter(metrics.socketEvents, { namespace: "/", event: "error" });
+      const errorMessage = error?.message || error?.toString() || String(error) || "Unknown error";
+      log(`❌ Socket error for ${socket.id}: ${errorMessage}`, "error");
+      if (error && typeof error === "object") {
+        log(`   Error details: ${JSON.stringify(error)}`, "error");
+      }
+      cleanup();
+    })
+  );
 });
 
-// ========== PERIODIC CLEANUP TASKS ==========
-setInterval(() => {
-  cleanupStaleDrivers();
-  cleanupStaleUsers();
-}, CLEANUP_INTERVAL);
-setInterval(() => {
-  const now = Date.now();
-  for (const [socketId, limit] of Object.entries(rateLimitMap)) {
-    if (now > limit.resetTime) {
-      delete rateLimitMap[socketId];
-    }
+// ========== ADMIN NAMESPACE ==========
+/**
+ * "/admin" Socket.IO namespace exposing the admin API to operator tools.
+ * Every event answers through its acknowledgement callback: { ok: true, data } or { ok: false, error }.
+ */
+const adminNamespace = io.of("/admin");
+
+adminNamespace.use(async (socket, next) => {
+  try {
+    socket.admin = await authenticateAdmin(socket.handshake.auth?.token);
+    next();
+  } catch (error) {
+    log(`🚨 [SECURITY] Admin namespace connection rejected for ${socket.id} (${error.code || "AUTH_INVALID"})`, "error");
+    const rejection = new Error(error.message);
+    rejection.data = { code: error.code || "AUTH_INVALID" };
+    next(rejection);
   }
-}, 60000);
-// Every minute
+});
 
-// ========== SERVER START ==========
+adminNamespace.on("connection", (socket) => {
+  log(`🛠️ [ADMIN] Operator connected: ${socket.id} (${socket.admin.accountId})`);
 
-const PORT = 3000;
-const HOST = "0.0.0.0";
-
-server.listen(PORT, HOST, () => {
-  console.log(`✅ Server running on ${HOST}:${PORT}`);
-  console.log(`📊 Environment: ${IS_DEV ? "Development" : "Production"}`);
-  console.log(`⚙️  Compression: Enabled`);
-  console.log(`🧹 Cleanup interval: ${CLEANUP_INTERVAL / 1000}s`);
-  console.log(
-    `📍 Location update interval: ${
-      LOCATION_UPDATE_INTERVAL / 1000
-    }s (15-second heartbeat enabled)`
+  const adminHandler = (eventName, handler) => (data, ack) =>
+    withLogContext({ socketId: socket.id, accountId: socket.admin.accountId, role: "admin", event: eventName }, () => {
+      const respond = typeof ack === "function" ? ack : typeof data === "function" ? data : () => {};
+      incrementCounter(metrics.socketEvents, { namespace: "/admin", event: eventName });
+      try {
+        respond({ ok: true, data: handler(typeof data === "function" ? {} : data || {}) });
+      } catch (error) {
+        if (!error.code) {
+          incrementCounter(metrics.handlerErrors, { event: `admin:${eventName}` });
+          log(`❌ Error in admin ${eventName}: ${error.message}`, "error");
+        }
+        respond({ ok: false, error: { code: error.code || "INTERNAL_ERROR", message: error.message } });
+      }
+    });
+  const notFound = (message) => {
+    const error = new Error(message);
+    error.code = "NOT_FOUND";
+    return error;
+  };
+
+  socket.on("listSessions", adminHandler("listSessions", () => listSessionsForAdmin()));
+  socket.on("listDrivers", adminHandler("listDrivers", () => listDriversForAdmin()));
+  socket.on("listUsers", adminHandler("listUsers", () => listUsersForAdmin()));
+  socket.on(
+    "disconnectSocket",
+    adminHandler("disconnectSocket", ({ socketId, reason }) => {
+      if (!adminDisconnectSocket(socketId, reason)) throw notFound("Socket not found or already disconnected");
+      return { socketId, disconnected: true };
+    })
+  );
+  socket.on(
+    "removeDriver",
+    adminHandler("removeDriver", ({ accountId }) => {
+      const notified = adminRemoveDriver(accountId);
+      if (!notified) throw notFound("Driver not found");
+      return { accountId, removed: true, waitingUsersNotified: notified.length };
+    })
+  );
+  socket.on(
+    "getLogLevel",
+    adminHandler("getLogLevel", () => ({ level: getLogLevel() }))
+  );
+  socket.on(
+    "setLogLevel",
+    adminHandler("setLogLevel", ({ level }) => {
+      if (!setLogLevel(level)) {
+        const error = new Error(`Unknown log level (expected one of: ${Object.keys(LOG_LEVELS).join(", ")})`);
+        error.code = "INVALID_LEVEL";
+        throw error;
+      }
+      return { level };
+    })
+  );
+  socket.on(
+    "clearWaitingPassenger",
+    adminHandler("clearWaitingPassenger", ({ driverAccountId, userAccountId }) => {
+      if (!adminClearWaitingPassenger(driverAccountId, userAccountId)) throw notFound("Waiting passenger not found");
+      return { driverAccountId, userAccountId, cleared: true };
+    })
+  );
+  socket.on("listOrganizations", adminHandler("listOrganizations", () => listOrganizationsForAdmin()));
+  const invalid = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  };
+  const deleteResult = (result, notFoundMessage, inUseMessage) => {
+    if (result === "not_found") throw notFound(notFoundMessage);
+    if (result === "in_use") throw invalid("CONFLICT", inUseMessage);
+  };
+  socket.on(
+    "saveOrganization",
+    adminHandler("saveOrganization", ({ organizationId, ...input }) => {
+      const { organization, error } = adminSaveOrganization(organizationId, input);
+      if (error) throw invalid("INVALID_ORGANIZATION", error);
+      return organization;
+    })
+  );
+  socket.on(
+    "deleteOrganization",
+    adminHandler("deleteOrganization", ({ organizationId }) => {
+      deleteResult(adminDeleteOrganization(organizationId), "Organization not found", "Organization still has drivers");
+      return { organizationId, deleted: true };
+    })
+  );
+  socket.on(
+    "saveRoute",
+    adminHandler("saveRoute", ({ routeId, ...input }) => {
+      const { route, error } = adminSaveRoute(routeId, input);
+      if (error) throw invalid("INVALID_ROUTE", error);
+      return serializeRoute(route);
+    })
+  );
+  socket.on(
+    "deleteRoute",
+    adminHandler("deleteRoute", ({ routeId }) => {
+      deleteResult(adminDeleteRoute(routeId), "Route not found", "Route still has drivers");
+      return { routeId, deleted: true };
+    })
+  );
+  socket.on(
+    "saveStop",
+    adminHandler("saveStop", ({ stopId, ...input }) => {
+      const { stop, error } = adminSaveStop(stopId, input);
+      if (error) throw invalid("INVALID_STOP", error);
+      return serializeStop(stop);
+    })
+  );
+  socket.on(
+    "deleteStop",
+    adminHandler("deleteStop", ({ stopId }) => {
+      deleteResult(adminDeleteStop(stopId), "Stop not found", "Stop is used by a route");
+      return { stopId, deleted: true };
+    })
+  );
+  socket.on("listAlerts", adminHandler("listAlerts", () => listAlertsForAdmin()));
+  socket.on(
+    "saveAlert",
+    adminHandler("saveAlert", ({ alertId, ...input }) => {
+      const { alert, error } = adminSaveAlert(alertId, input, socket.admin.accountId);
+      if (error) throw invalid("INVALID_ALERT", error);
+      return serializeAlert(alert);
+    })
+  );
+  socket.on(
+    "deleteAlert",
+    adminHandler("deleteAlert", ({ alertId }) => {
+      deleteResult(adminDeleteAlert(alertId), "Alert not found");
+      return { alertId, deleted: true };
+    })
   );
 });
+
+// ========== PERIODIC CLEANUP TASKS ==========
+function startPeriodicTasks() {
+  setInterval(() => {
+    cleanupStaleDrivers();
+    cleanupStaleUsers();
+    cleanupExpiredSessions();
+    cleanupOldTrips();
+    cleanupOrphanedChats();
+  }, CLEANUP_INTERVAL);
+  setInterval(expireStalePings, PING_SWEEP_INTERVAL);
+  setInterval(refreshAlerts, ALERT_SWEEP_INTERVAL);
+  setInterval(persistState, STATE_PERSIST_INTERVAL);
+  setInterval(persistTrips, TRIP_PERSIST_INTERVAL);
+  setInterval(() => {
+    const now = Date.now();
+    for (const [socketId, limit] of Object.entries(rateLimitMap)) {
+      if (now > limit.resetTime) {
+        delete rateLimitMap[socketId];
+      }
+    }
+  }, 60000); // Every minute
+}
+
+// ========== SERVER START ==========
+/**
+ * Flush state to the store before exiting so a deploy/restart doesn't lose recent updates.
+ */
+function shutdown(signal) {
+  log(`🛑 Received ${signal}, persisting state and shutting down`);
+  persistState();
+  persistTrips();
+  stateStore.close();
+  if (clusterBroker) {
+    // Let the other instances release this instance's sockets right away instead of waiting for the heartbeat timeout
+    syncState();
+    clusterBroker.publish(STATE_CHANNEL, { type: "bye", from: INSTANCE_ID });
+    setTimeout(() => process.exit(0), 100);
+    return;
+  }
+  process.exit(0);
+}
+
+/**
+ * Restore state, start the cluster sync and periodic tasks, and listen on PORT.
+ */
+function startServer() {
+  rehydrateState();
+  if (!WAITING_USER_ID_SECRET) WAITING_USER_ID_SECRET = crypto.randomBytes(32).toString("hex");
+  seedOrganizations();
+  seedRoutes();
+  rehydrateTrips();
+  startStateSync();
+  startPeriodicTasks();
+
+  process.on("SIGINT", () => shutdown("SIGINT"));
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGHUP", () => reloadConfig());
+
+  server.listen(PORT, HOST, () => {
+    log(`✅ Server running on ${HOST}:${PORT}`);
+    log(`📊 Environment: ${IS_DEV ? "Development" : "Production"}`);
+    log(`⚙️  Compression: Enabled`);
+    log(`💾 State store: ${stateStore.name}`);
+    log(
+      `📡 Cluster: ${clusterBroker ? `instance ${INSTANCE_ID} via broker ${clusterBroker.name}` : "single instance"}`
+    );
+    log(`📝 Log level: ${getLogLevel()} (${LOG_FORMAT}, coordinate redaction: ${LOG_REDACT_COORDINATES})`);
+    log(`🧹 Cleanup interval: ${CLEANUP_INTERVAL / 1000}s`);
+    log(
+      `📍 Location update interval: ${
+        LOCATION_UPDATE_INTERVAL / 1000
+      }s (15-second heartbeat enabled)`
+    );
+  });
+}
+
+// `node server.js` starts the server; the tests in test/ require this file for its helpers instead
+if (require.main === module) startServer();
+
+module.exports = {
+  io,
+  drivers,
+  accountIdToSocketId,
+  verifyAuthToken,
+  authenticateSocket,
+  waitlistPing,
+  promoteWaitlistedPings,
+  expireStalePings,
+  encodePolyline,
+  decodePolyline,
+};
@@ -0,0 +1,49 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { signToken } = require("./helpers");
+const { verifyAuthToken, authenticateSocket } = require("../server");
+
+const fakeSocket = (token) => ({ id: "socket-1", handshake: { auth: token ? { token } : {} } });
+
+test("verifyAuthToken returns the identity of a valid HS256 token", async () => {
+  const identity = await verifyAuthToken(signToken({ sub: "u1", role: "user" }));
+  assert.equal(identity.accountId, "u1");
+  assert.equal(identity.role, "user");
+});
+
+test("verifyAuthToken rejects missing, malformed, forged and expired tokens", async () => {
+  await assert.rejects(verifyAuthToken(undefined), { code: "AUTH_REQUIRED" });
+  await assert.rejects(verifyAuthToken("not-a-token"), { code: "AUTH_INVALID" });
+  await assert.rejects(verifyAuthToken(signToken({ sub: "u1" }, { secret: "other" })), { code: "AUTH_INVALID" });
+  await assert.rejects(verifyAuthToken(signToken({ sub: "u1", exp: Math.floor(Date.now() / 1000) - 3600 })), {
+    code: "AUTH_EXPIRED",
+  });
+  await assert.rejects(verifyAuthToken(signToken({ sub: "u1" }, { alg: "none" })), { code: "AUTH_INVALID" });
+  await assert.rejects(verifyAuthToken(signToken({ role: "user" })), { code: "AUTH_INVALID" });
+});
+
+test("authenticateSocket reads the token from the handshake when the event carries none", async () => {
+  const identity = await authenticateSocket(fakeSocket(signToken({ sub: "u1", role: "user" })), null, "u1", "user");
+  assert.equal(identity.accountId, "u1");
+  assert.equal(identity.verified, true);
+});
+
+test("authenticateSocket requires a token when AUTH_REQUIRED is on", async () => {
+  await assert.rejects(authenticateSocket(fakeSocket(), null, "u1", "user"), { code: "AUTH_REQUIRED" });
+});
+
+test("authenticateSocket rejects a claimed accountId or role the token doesn't carry", async () => {
+  const token = signToken({ sub: "u1", role: "user" });
+  await assert.rejects(authenticateSocket(fakeSocket(), token, "u2", "user"), { code: "AUTH_ACCOUNT_MISMATCH" });
+  await assert.rejects(authenticateSocket(fakeSocket(), token, "u1", "driver"), { code: "AUTH_ROLE_MISMATCH" });
+});
+
+test("authenticateSocket needs a driver claim or DRIVER_ACCOUNT_IDS entry for the driver role", async () => {
+  await assert.rejects(authenticateSocket(fakeSocket(), signToken({ sub: "d1" }), "d1", "driver"), {
+    code: "AUTH_ROLE_MISMATCH",
+  });
+  const claimed = await authenticateSocket(fakeSocket(), signToken({ sub: "d1", role: "driver" }), "d1", "driver");
+  assert.equal(claimed.accountId, "d1");
+  const allowlisted = await authenticateSocket(fakeSocket(), signToken({ sub: "allowlisted-driver" }), null, "driver");
+  assert.equal(allowlisted.accountId, "allowlisted-driver");
+});
@@ -0,0 +1,86 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServerProcess, connectClient, getFreePort, waitForEvent, waitFor } = require("./helpers");
+
+// Two instances ("a" and "b") joined through a stand-in broker hosted by a third, standalone process,
+// so an instance can be killed without taking the broker down
+const clients = [];
+const processes = [];
+
+after(async () => {
+  clients.forEach((client) => client.close());
+  await Promise.all(processes.map((server) => server.stop("SIGKILL")));
+});
+
+async function startCluster() {
+  const brokerPort = await getFreePort();
+  processes.push(await startServerProcess({ CLUSTER_BROKER_LISTEN: String(brokerPort) }));
+  const instanceEnv = {
+    CLUSTER_BROKER_URL: `tcp://127.0.0.1:${brokerPort}`,
+    CLUSTER_HEARTBEAT_INTERVAL: "200",
+    CLUSTER_INSTANCE_TIMEOUT: "1000",
+    WAITING_USER_ID_SECRET: "cluster-test-secret",
+  };
+  const a = await startServerProcess({ ...instanceEnv, INSTANCE_ID: "a" });
+  const b = await startServerProcess({ ...instanceEnv, INSTANCE_ID: "b" });
+  processes.push(a, b);
+  await waitFor(async () => (await health(a)).cluster.peers.includes("b") && (await health(b)).cluster.peers.includes("a"));
+  return { a, b };
+}
+
+const health = async (server) => (await fetch(`${server.url}/health`)).json();
+
+async function adminRequest(server, path, method = "GET") {
+  const response = await fetch(`${server.url}/api/v1/admin${path}`, {
+    method,
+    headers: { authorization: "Bearer test-admin-key" },
+  });
+  return response.json();
+}
+
+const findDriver = async (server, accountId) =>
+  (await adminRequest(server, "/drivers")).data.find((driver) => driver.accountId === accountId);
+
+test("two instances share rooms and replicated state through the stand-in broker", async (t) => {
+  const { a, b } = await startCluster();
+  const driver = await connectClient(a.url, "d1", "driver");
+  const rider = await connectClient(b.url, "u1", "user");
+  clients.push(driver, rider);
+
+  await t.test("io.to(room).emit on one instance reaches sockets connected to the other", async () => {
+    const update = waitForEvent(rider, "locationUpdate", (data) => data.accountId === "d1");
+    driver.emit("updateLocation", { accountId: "d1", lat: 14.5, lng: 121, maxCapacity: 10 });
+    assert.equal((await update).lat, 14.5);
+  });
+
+  await t.test("map writes replicate, including nested ones made on the other instance", async () => {
+    assert.equal((await waitFor(() => findDriver(b, "d1"))).lat, 14.5);
+
+    const received = waitForEvent(driver, "pingReceived");
+    rider.emit("pingDriver", { driverAccountId: "d1", lat: 14.501, lng: 121.001 });
+    assert.equal((await received).userAccountId, "u1");
+    const replica = await waitFor(async () => {
+      const driverOnA = await findDriver(a, "d1");
+      return driverOnA?.waitingPassengers.length > 0 && driverOnA;
+    });
+    assert.deepEqual(replica.waitingPassengers.map((ping) => ping.userAccountId), ["u1"]);
+  });
+
+  await t.test("deletes replicate", async () => {
+    await adminRequest(b, "/drivers/d1", "DELETE");
+    await waitFor(async () => !(await findDriver(a, "d1")));
+    assert.equal(await findDriver(b, "d1"), undefined);
+  });
+
+  await t.test("the other instance takes over as leader when the leader dies", async () => {
+    assert.equal((await health(a)).cluster.leader, true);
+    assert.equal((await health(b)).cluster.leader, false);
+
+    await a.stop("SIGKILL");
+    const takeover = await waitFor(async () => {
+      const status = await health(b);
+      return status.cluster.leader && status;
+    });
+    assert.deepEqual(takeover.cluster.peers, []);
+  });
+});
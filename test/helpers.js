@@ -0,0 +1,140 @@
+/**
+ * Shared setup for the tests: an isolated, quiet configuration that must be in place
+ * before server.js is required, a signer for HS256 tokens, and helpers to run the server
+ * as a separate process and talk to it with socket.io-client.
+ */
+const crypto = require("crypto");
+const net = require("net");
+const path = require("path");
+const { spawn } = require("child_process");
+const { io } = require("socket.io-client");
+
+const TEST_SECRET = "test-secret";
+
+process.env.STATE_STORE = "memory";
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+process.env.AUTH_HMAC_SECRETS = TEST_SECRET;
+process.env.DRIVER_ACCOUNT_IDS = "allowlisted-driver";
+
+function signToken(claims, { secret = TEST_SECRET, alg = "HS256" } = {}) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  const now = Math.floor(Date.now() / 1000);
+  const input = `${encode({ alg, typ: "JWT" })}.${encode({ iat: now, exp: now + 3600, ...claims })}`;
+  return `${input}.${crypto.createHmac("sha256", secret).update(input).digest("base64url")}`;
+}
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Start `node server.js` with the test configuration plus `env`, and wait until /health answers.
+ * @returns {Promise<{ port: number, url: string, output: () => string, stop: (signal?: string) => Promise<void> }>}
+ */
+async function startServerProcess(env = {}) {
+  const port = env.PORT ? Number(env.PORT) : await getFreePort();
+  const child = spawn(process.execPath, [path.join(__dirname, "..", "server.js")], {
+    env: {
+      ...process.env,
+      STATE_STORE: "memory",
+      LOG_LEVEL: "warn",
+      AUTH_HMAC_SECRETS: TEST_SECRET,
+      ADMIN_API_KEYS: "test-admin-key",
+      HOST: "127.0.0.1",
+      ...env,
+      PORT: String(port),
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  child.stdout.on("data", (chunk) => (output += chunk));
+  child.stderr.on("data", (chunk) => (output += chunk));
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+
+  const url = `http://127.0.0.1:${port}`;
+  const stop = async (signal = "SIGTERM") => {
+    if (child.exitCode === null && child.signalCode === null) child.kill(signal);
+    await exited;
+  };
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (child.exitCode !== null) throw new Error(`server.js exited early:\n${output}`);
+    try {
+      if ((await fetch(`${url}/health`)).ok) return { port, url, output: () => output, stop };
+    } catch {
+      // Not listening yet
+    }
+    await sleep(100);
+  }
+  await stop("SIGKILL");
+  throw new Error(`server.js did not start:\n${output}`);
+}
+
+/**
+ * Connect a client with a token for `accountId`/`role` and register it, with any extra registerRole fields
+ * in `registration` (its key is kept in `client.sessionKey`).
+ */
+async function connectClient(url, accountId, role, registration = {}) {
+  const client = io(url, { transports: ["websocket"], auth: { token: signToken({ sub: accountId, role }) } });
+  client.received = [];
+  client.onAny((event, data) => client.received.push({ event, data }));
+  await new Promise((resolve, reject) => {
+    client.once("connect", resolve);
+    client.once("connect_error", reject);
+  });
+  const registered = waitForEvent(client, "sessionAssigned");
+  client.emit("registerRole", { role, ...registration });
+  client.sessionKey = await registered;
+  return client;
+}
+
+/**
+ * Resolve with the payload of the next `event` on `client` that matches `predicate`.
+ */
+function waitForEvent(client, event, predicate = () => true, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      client.off(event, listener);
+      reject(new Error(`Timed out waiting for "${event}"`));
+    }, timeout);
+    const listener = (data) => {
+      if (!predicate(data)) return;
+      clearTimeout(timer);
+      client.off(event, listener);
+      resolve(data);
+    };
+    client.on(event, listener);
+  });
+}
+
+/**
+ * Poll `check` until it returns a truthy value.
+ */
+async function waitFor(check, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error("Timed out waiting for condition");
+    await sleep(50);
+  }
+}
+
+module.exports = {
+  TEST_SECRET,
+  signToken,
+  getFreePort,
+  sleep,
+  startServerProcess,
+  connectClient,
+  waitForEvent,
+  waitFor,
+};
@@ -0,0 +1,68 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServerProcess, connectClient, waitForEvent, waitFor, sleep } = require("./helpers");
+const { encodePolyline, decodePolyline } = require("../server");
+
+const clients = [];
+let server;
+
+after(async () => {
+  clients.forEach((client) => client.close());
+  await server?.stop();
+});
+
+test("encodePolyline matches the reference encoding and decodePolyline reverses it", () => {
+  const coordinates = [
+    [38.5, -120.2],
+    [40.7, -120.95],
+    [43.252, -126.453],
+  ];
+  assert.equal(encodePolyline(coordinates), "_p~iF~ps|U_ulLnnqC_mqNvxq`@");
+  assert.deepEqual(decodePolyline(encodePolyline(coordinates)), coordinates);
+});
+
+test("polylines round-trip at precision 6, across the equator and antimeridian", () => {
+  const coordinates = [
+    [14.599512, 120.984222],
+    [-0.000001, 179.999999],
+    [-33.868820, -151.209296],
+    [0, 0],
+  ];
+  assert.deepEqual(decodePolyline(encodePolyline(coordinates, 6), 6), coordinates);
+  assert.deepEqual(decodePolyline(encodePolyline([])), []);
+});
+
+const locationUpdates = (client) => client.received.filter(({ event }) => event === "locationUpdate").map(({ data }) => data);
+
+test("each format gets one locationUpdate per broadcast, and compact sockets get a keyframe on joining", async () => {
+  server = await startServerProcess();
+  const driver = await connectClient(server.url, "d1", "driver");
+  clients.push(driver);
+  driver.emit("updateLocation", { accountId: "d1", lat: 14.5, lng: 121, maxCapacity: 10 });
+  await sleep(200);
+
+  const full = await connectClient(server.url, "u1", "user");
+  const compact = await connectClient(server.url, "u2", "user", { payloadFormats: ["compact-v1", "full"] });
+  clients.push(full, compact);
+
+  // The bus was broadcast before the compact socket joined, so it gets the parts in a keyframe
+  await waitFor(() => locationUpdates(compact).length > 0);
+  const [keyframe] = locationUpdates(compact);
+  assert.equal(keyframe.format, "compact-v1");
+  assert.ok("waitingUsers" in keyframe);
+
+  full.received.length = 0;
+  compact.received.length = 0;
+  driver.emit("updateLocation", { accountId: "d1", lat: 14.51, lng: 121.01, maxCapacity: 10 });
+  await waitForEvent(compact, "locationUpdate");
+  await sleep(200);
+
+  const [fullUpdate, ...fullExtra] = locationUpdates(full);
+  assert.equal(fullUpdate.lat, 14.51);
+  assert.equal(fullUpdate.format, undefined);
+  assert.deepEqual(fullExtra, []);
+  const [compactUpdate, ...compactExtra] = locationUpdates(compact);
+  assert.equal(compactUpdate.format, "compact-v1");
+  assert.ok(!("waitingUsers" in compactUpdate));
+  assert.deepEqual(compactExtra, []);
+});
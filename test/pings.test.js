@@ -0,0 +1,124 @@
+const { test, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServerProcess, connectClient, waitForEvent, waitFor, sleep } = require("./helpers");
+const {
+  io,
+  drivers,
+  accountIdToSocketId,
+  waitlistPing,
+  promoteWaitlistedPings,
+  expireStalePings,
+} = require("../server");
+
+const clients = [];
+let server;
+
+after(async () => {
+  clients.forEach((client) => client.close());
+  await server?.stop();
+});
+
+async function getDriver(accountId) {
+  const response = await fetch(`${server.url}/api/v1/admin/drivers`, {
+    headers: { authorization: "Bearer test-admin-key" },
+  });
+  return (await response.json()).data.find((driver) => driver.accountId === accountId);
+}
+
+test("pings use the socket's verified account, never a userAccountId from the payload", async () => {
+  server = await startServerProcess();
+  const driver = await connectClient(server.url, "d1", "driver");
+  const rider = await connectClient(server.url, "u1", "user");
+  const spoofer = await connectClient(server.url, "u2", "user");
+  clients.push(driver, rider, spoofer);
+
+  driver.emit("updateLocation", { accountId: "d1", lat: 14.5, lng: 121, maxCapacity: 10 });
+  await waitFor(async () => (await getDriver("d1"))?.lat === 14.5);
+
+  const received = waitForEvent(driver, "pingReceived");
+  rider.emit("pingDriver", { driverAccountId: "d1", lat: 14.501, lng: 121.001 });
+  assert.equal((await received).userAccountId, "u1");
+
+  // u2 claims to be u1: the ping is recorded as u2's, and u1's ping is left alone
+  const spoofed = waitForEvent(driver, "pingReceived");
+  spoofer.emit("pingDriver", { driverAccountId: "d1", lat: 14.502, lng: 121.002, userAccountId: "u1" });
+  assert.equal((await spoofed).userAccountId, "u2");
+
+  spoofer.emit("unpingDriver", { driverAccountId: "d1", userAccountId: "u1" });
+  await waitFor(async () => !(await getDriver("d1")).waitingPassengers.some((ping) => ping.userAccountId === "u2"));
+  await sleep(100);
+  const waiting = (await getDriver("d1")).waitingPassengers.map((ping) => ping.userAccountId);
+  assert.deepEqual(waiting, ["u1"]);
+});
+
+const PING_TTL = 15 * 60 * 1000;
+
+/**
+ * Put a driver with the given pings in the in-process state and record what each account is sent.
+ */
+function setUpDriver(t, driverAccountId, { maxCapacity, passengerCount = 0, active = [], waitlisted = [] }) {
+  const sent = [];
+  mock.method(io, "to", (room) => ({ emit: (event, payload) => sent.push({ to: room, event, payload }) }));
+  t.after(() => {
+    mock.restoreAll();
+    delete drivers[driverAccountId];
+  });
+  for (const accountId of [driverAccountId, ...active, ...waitlisted].map((ping) => ping.userAccountId || ping)) {
+    accountIdToSocketId[accountId] = accountId;
+  }
+
+  const driver = { accountId: driverAccountId, maxCapacity, passengerCount, waitingPassengers: {}, pingWaitlist: [] };
+  drivers[driverAccountId] = driver;
+  for (const ping of active) driver.waitingPassengers[ping.userAccountId] = { status: "pending", ...ping };
+  for (const ping of waitlisted) waitlistPing(driver, ping);
+  const eventsFor = (accountId) => sent.filter((entry) => entry.to === accountId).map((entry) => entry.event);
+  return { driver, eventsFor };
+}
+
+test("promoteWaitlistedPings promotes in order while the head of the waitlist fits", (t) => {
+  const now = Date.now();
+  const { driver, eventsFor } = setUpDriver(t, "promote-d1", {
+    maxCapacity: 4,
+    passengerCount: 1,
+    waitlisted: [
+      { userAccountId: "promote-u1", passengerCount: 2, pingedAt: now },
+      { userAccountId: "promote-u2", passengerCount: 2, pingedAt: now },
+      { userAccountId: "promote-u3", passengerCount: 1, pingedAt: now },
+    ],
+  });
+
+  // u2 doesn't fit the one seat left after u1, so u3 keeps waiting behind it
+  assert.equal(promoteWaitlistedPings("promote-d1"), 1);
+  assert.deepEqual(Object.keys(driver.waitingPassengers), ["promote-u1"]);
+  assert.equal(driver.waitingPassengers["promote-u1"].status, "pending");
+  assert.deepEqual(
+    driver.pingWaitlist.map((ping) => ping.userAccountId),
+    ["promote-u2", "promote-u3"]
+  );
+  assert.deepEqual(eventsFor("promote-u1"), ["pingPromoted"]);
+  assert.deepEqual(eventsFor("promote-u2"), ["pingWaitlisted"]);
+  assert.deepEqual(eventsFor("promote-d1"), ["pingReceived"]);
+
+  driver.maxCapacity = 6;
+  assert.equal(promoteWaitlistedPings("promote-d1"), 2);
+  assert.deepEqual(driver.pingWaitlist, []);
+});
+
+test("expireStalePings expires stale waitlist entries instead of promoting and then expiring them", (t) => {
+  const stale = Date.now() - PING_TTL - 1000;
+  const { driver, eventsFor } = setUpDriver(t, "expire-d1", {
+    maxCapacity: 2,
+    active: [{ userAccountId: "expire-u1", passengerCount: 2, pingedAt: stale }],
+    waitlisted: [
+      { userAccountId: "expire-u2", passengerCount: 2, pingedAt: stale },
+      { userAccountId: "expire-u3", passengerCount: 2, pingedAt: Date.now() },
+    ],
+  });
+
+  expireStalePings();
+  assert.deepEqual(Object.keys(driver.waitingPassengers), ["expire-u3"]);
+  assert.deepEqual(driver.pingWaitlist, []);
+  assert.deepEqual(eventsFor("expire-u1"), ["pingExpired"]);
+  assert.deepEqual(eventsFor("expire-u2"), ["pingExpired"]);
+  assert.deepEqual(eventsFor("expire-u3"), ["pingPromoted"]);
+});
@@ -0,0 +1,86 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { io } = require("socket.io-client");
+const { startServerProcess, connectClient, signToken, waitForEvent, waitFor } = require("./helpers");
+
+const clients = [];
+let server;
+
+after(async () => {
+  clients.forEach((client) => client.close());
+  await server?.stop();
+});
+
+async function listSessions() {
+  const response = await fetch(`${server.url}/api/v1/admin/sessions`, {
+    headers: { authorization: "Bearer test-admin-key" },
+  });
+  return (await response.json()).data;
+}
+
+test("session keys are random, stored only as their hash, and rotate on resume", async () => {
+  server = await startServerProcess();
+  const first = await connectClient(server.url, "u1", "user");
+  clients.push(first);
+
+  const sessionKey = first.sessionKey;
+  assert.match(sessionKey, /^[A-Za-z0-9_-]{43}$/);
+  assert.ok(!sessionKey.includes("u1"));
+
+  const sessionId = crypto.createHash("sha256").update(sessionKey).digest("hex");
+  const listed = (await listSessions()).map((session) => session.sessionId);
+  assert.ok(listed.includes(sessionId));
+  assert.ok(!listed.includes(sessionKey));
+
+  const resumed = io(server.url, { transports: ["websocket"], auth: { token: signToken({ sub: "u1", role: "user" }) } });
+  clients.push(resumed);
+  const rotated = waitForEvent(resumed, "sessionAssigned");
+  resumed.emit("resumeSession", sessionKey);
+  const newSessionKey = await rotated;
+  assert.notEqual(newSessionKey, sessionKey);
+
+  // The presented key stops working once used
+  const again = io(server.url, { transports: ["websocket"], auth: { token: signToken({ sub: "u1", role: "user" }) } });
+  clients.push(again);
+  const rejected = waitForEvent(again, "error");
+  again.emit("resumeSession", sessionKey);
+  assert.match((await rejected).message, /Session not found/);
+});
+
+test("a waitlisted ping is suspended on disconnect and rejoins the waitlist on resume", async () => {
+  server ??= await startServerProcess();
+  const driver = await connectClient(server.url, "d2", "driver");
+  const rider = await connectClient(server.url, "u2", "user");
+  const waiting = await connectClient(server.url, "u3", "user");
+  clients.push(driver, rider, waiting);
+
+  driver.emit("updateLocation", { accountId: "d2", lat: 14.5, lng: 121, maxCapacity: 2 });
+  const received = waitForEvent(driver, "pingReceived");
+  rider.emit("pingDriver", { driverAccountId: "d2", lat: 14.501, lng: 121.001, passengerCount: 2 });
+  await received;
+  const waitlisted = waitForEvent(waiting, "pingWaitlisted");
+  waiting.emit("pingDriver", { driverAccountId: "d2", lat: 14.502, lng: 121.002, passengerCount: 2 });
+  assert.equal((await waitlisted).position, 1);
+
+  waiting.close();
+  const isSuspended = async () =>
+    (await listSessions()).some((session) => session.accountId === "u3" && session.suspendedPings.includes("d2"));
+  await waitFor(isSuspended);
+
+  // The seats free up while u3 is away: their suspended ping isn't promoted yet
+  rider.emit("unpingDriver", { driverAccountId: "d2" });
+  await waitForEvent(driver, "pingRemoved");
+
+  const resumed = io(server.url, { transports: ["websocket"], auth: { token: signToken({ sub: "u3", role: "user" }) } });
+  clients.push(resumed);
+  const restored = waitForEvent(resumed, "pingsRestored");
+  const promoted = waitForEvent(resumed, "pingPromoted");
+  const promotedOnDriver = waitForEvent(driver, "pingReceived", (ping) => ping.userAccountId === "u3");
+  resumed.emit("resumeSession", waiting.sessionKey);
+  const [ping] = (await restored).pings;
+  assert.equal(ping.driverAccountId, "d2");
+  assert.equal(ping.waitlisted, true);
+  assert.equal((await promoted).driverAccountId, "d2");
+  assert.equal((await promotedOnDriver).promoted, true);
+});
@@ -0,0 +1,39 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServerProcess, connectClient, signToken, waitFor } = require("./helpers");
+
+const clients = [];
+let server;
+
+after(async () => {
+  clients.forEach((client) => client.close());
+  await server?.stop();
+});
+
+const get = (path, token) =>
+  fetch(`${server.url}${path}`, { headers: token ? { authorization: `Bearer ${token}` } : {} });
+
+test("trip tracks need a token: drivers see their own trips, admins every trip", async () => {
+  server = await startServerProcess();
+  const driver = await connectClient(server.url, "d1", "driver");
+  clients.push(driver);
+  driver.emit("updateLocation", { accountId: "d1", lat: 14.5, lng: 121, maxCapacity: 10 });
+  driver.emit("updateLocation", { accountId: "d1", lat: 14.501, lng: 121.001, maxCapacity: 10 });
+
+  const driverToken = signToken({ sub: "d1", role: "driver" });
+  const trip = await waitFor(async () => (await (await get("/api/v1/trips", driverToken)).json()).data?.[0]);
+  assert.equal(trip.accountId, "d1");
+
+  for (const path of ["/api/v1/trips", `/api/v1/trips/${trip.tripId}`, `/api/v1/trips/${trip.tripId}/gpx`, "/trips", `/trips/${trip.tripId}`]) {
+    assert.equal((await get(path)).status, 401, path);
+  }
+
+  const riderToken = signToken({ sub: "u1", role: "user" });
+  assert.deepEqual((await (await get("/api/v1/trips", riderToken)).json()).data, []);
+  assert.equal((await get(`/api/v1/trips/${trip.tripId}`, riderToken)).status, 404);
+  assert.equal((await get(`/api/v1/trips/${trip.tripId}`, "forged.token.value")).status, 401);
+
+  const own = await (await get(`/api/v1/trips/${trip.tripId}`, driverToken)).json();
+  assert.ok(own.data.points.length > 0);
+  assert.equal((await get(`/trips/${trip.tripId}/geojson`, "test-admin-key")).status, 200);
+});